@@ -1,4 +1,12 @@
 import { FileManager } from './src/fileManager.js';
 
-const fileManager = new FileManager();
-await fileManager.initialize();
+try {
+    const fileManager = new FileManager();
+    fileManager.on('exit', exitCode => {
+        process.exitCode = exitCode;
+    });
+    await fileManager.initialize();
+} catch (error) {
+    console.error(error.message);
+    process.exitCode = 1;
+}
@@ -0,0 +1,457 @@
+import { getMessages } from '../utils/index.js';
+
+const CONFLICT_OPTIONS = [
+    { name: 'force', short: 'f' },
+    { name: 'no-clobber', short: 'n' },
+    { name: 'backup', short: 'b' },
+    { name: 'interactive', short: 'i' },
+];
+const PREVIEW_OPTIONS = [
+    { name: 'dry-run' },
+];
+const CONFIRM_OPTIONS = [
+    { name: 'yes', short: 'y' },
+];
+
+/**
+ * Describes the commands built into the file manager, their handlers call the FileManager methods.
+ * Descriptions of the commands and their options come from `messages`, the file manager locale.
+ * Unlike plugin commands, built-in ones that change files declare it with `isMutating`.
+ */
+export const getBuiltinCommands = (fileManager, messages = getMessages()) => {
+    return getCommandDefinitions(fileManager).map(command => ({
+        isMutating: false,
+        ...command,
+        description: messages.getCommandDescription(command.name),
+        options: command.options?.map(option => ({
+            ...option,
+            description: messages.getOptionDescription(command.name, option.name),
+        })) ?? command.options,
+    }));
+};
+
+const getCommandDefinitions = fileManager => [
+    {
+        name: 'up',
+        usage: 'up',
+        args: { max: 0 },
+        examples: [
+            'up',
+        ],
+        handler: () => fileManager.goToUpperDirectory(),
+    },
+    {
+        name: 'cd',
+        usage: 'cd path_to_directory',
+        args: { min: 1, max: 1 },
+        examples: [
+            'cd projects',
+            'cd ~/Downloads',
+            'cd ..',
+            'cd "My Docs"',
+        ],
+        handler: ({ operands: [targetPath] }) => fileManager.changeDirectory(targetPath),
+    },
+    {
+        name: 'ls',
+        usage: 'ls [options] [path_to_directory]',
+        args: { max: 1 },
+        options: [
+            { name: 'all', short: 'a' },
+            { name: 'long', short: 'l' },
+            { name: 'human-readable', short: 'h' },
+            { name: 'sort', value: 'name|size|time|extension' },
+            { name: 'reverse', short: 'r' },
+        ],
+        examples: [
+            'ls',
+            'ls -la',
+            'ls -lh --sort=size ~/Downloads',
+        ],
+        handler: args => fileManager.printDirectoryList(args),
+    },
+    {
+        name: 'cat',
+        usage: 'cat path_to_file',
+        args: { min: 1, max: 1 },
+        examples: [
+            'cat notes.txt',
+        ],
+        handler: ({ operands: [filePath] }) => fileManager.printFileContent(filePath),
+    },
+    {
+        name: 'head',
+        usage: 'head [-n count] path_to_file',
+        args: { min: 1, max: 1 },
+        options: [
+            { name: 'lines', short: 'n', value: 'count' },
+        ],
+        examples: [
+            'head notes.txt',
+            'head -n 3 notes.txt',
+        ],
+        handler: args => fileManager.printFileHead(args),
+    },
+    {
+        name: 'tail',
+        usage: 'tail [-n count] [-f] path_to_file',
+        args: { min: 1, max: 1 },
+        options: [
+            { name: 'lines', short: 'n', value: 'count' },
+            { name: 'follow', short: 'f' },
+        ],
+        examples: [
+            'tail server.log',
+            'tail -n 50 -f server.log',
+        ],
+        handler: args => fileManager.printFileTail(args),
+    },
+    {
+        name: 'hexdump',
+        usage: 'hexdump [-s offset] [-n length] path_to_file',
+        args: { min: 1, max: 1 },
+        options: [
+            { name: 'offset', short: 's', value: 'bytes' },
+            { name: 'length', short: 'n', value: 'bytes' },
+        ],
+        examples: [
+            'hexdump image.png',
+            'hexdump -s 0x200 -n 64 disk.img',
+        ],
+        handler: args => fileManager.printHexDump(args),
+    },
+    {
+        name: 'add',
+        usage: 'add [--content=text] new_file_name',
+        args: { min: 1, max: 1 },
+        options: [
+            { name: 'content', value: 'text' },
+        ],
+        examples: [
+            'add notes.txt',
+            'add todo.txt --content="buy milk"',
+        ],
+        isMutating: true,
+        handler: args => fileManager.createNewFile(args),
+    },
+    {
+        name: 'echo',
+        usage: 'echo [text...]',
+        options: null,
+        examples: [
+            'echo hello',
+            'echo "first line" > notes.txt',
+            'echo "one more line" >> notes.txt',
+        ],
+        handler: ({ operands }) => fileManager.printText(operands),
+    },
+    {
+        name: 'mkdir',
+        usage: 'mkdir new_directory_name',
+        args: { min: 1, max: 1 },
+        examples: [
+            'mkdir backups',
+            'mkdir src/components/forms',
+        ],
+        isMutating: true,
+        handler: ({ operands: [directoryPath] }) => fileManager.createNewDirectory(directoryPath),
+    },
+    {
+        name: 'rn',
+        usage: 'rn [options] path_to_file new_filename',
+        args: { min: 2, max: 2 },
+        options: CONFLICT_OPTIONS,
+        examples: [
+            'rn draft.txt final.txt',
+            'rn -b draft.txt final.txt',
+        ],
+        isMutating: true,
+        handler: args => fileManager.renameFileName(args),
+    },
+    {
+        name: 'cp',
+        usage: 'cp [options] source... path_to_new_directory',
+        args: { min: 2 },
+        options: [
+            { name: 'recursive', short: 'r' },
+            { name: 'dereference', short: 'L' },
+            ...CONFLICT_OPTIONS,
+            ...PREVIEW_OPTIONS,
+        ],
+        examples: [
+            'cp a.txt backups',
+            'cp -r src src/**/*.js backups',
+            'cp -n --dry-run *.txt backups',
+        ],
+        isMutating: true,
+        handler: args => fileManager.copyFileToNewDirectory(args),
+    },
+    {
+        name: 'mv',
+        usage: 'mv [options] source... path_to_new_directory',
+        args: { min: 2 },
+        options: [...CONFLICT_OPTIONS, ...PREVIEW_OPTIONS, ...CONFIRM_OPTIONS],
+        examples: [
+            'mv report.pdf archive',
+            'mv -y *.log logs',
+        ],
+        isMutating: true,
+        handler: args => fileManager.moveFileToNewDirectory(args),
+    },
+    {
+        name: 'rm',
+        usage: 'rm [options] path...',
+        args: { min: 1 },
+        options: [
+            { name: 'recursive', short: 'r' },
+            { name: 'permanent' },
+            ...PREVIEW_OPTIONS,
+            ...CONFIRM_OPTIONS,
+        ],
+        examples: [
+            'rm old.txt',
+            'rm -r build',
+            'rm --permanent secret.txt',
+        ],
+        isMutating: true,
+        handler: args => fileManager.deleteTargetFile(args),
+    },
+    {
+        name: 'find',
+        usage: 'find [criteria] [path_to_directory]',
+        args: { max: 1 },
+        options: [
+            { name: 'name', value: 'pattern' },
+            { name: 'type', value: 'f|d|l' },
+            { name: 'min-size', value: 'size' },
+            { name: 'max-size', value: 'size' },
+            { name: 'newer', value: 'time' },
+            { name: 'older', value: 'time' },
+            { name: 'max-depth', value: 'n' },
+        ],
+        examples: [
+            'find --name=*.{js,ts} src',
+            'find --type=f --min-size=10M --newer=7d',
+        ],
+        handler: args => fileManager.printFoundEntries(args),
+    },
+    {
+        name: 'grep',
+        usage: 'grep [options] query [path]',
+        args: { min: 1, max: 2 },
+        options: [
+            { name: 'regex', short: 'E' },
+            { name: 'ignore-case', short: 'i' },
+            { name: 'max-depth', value: 'n' },
+        ],
+        examples: [
+            'grep TODO src',
+            'grep -Ei "fix(me)?" --max-depth=2',
+        ],
+        handler: args => fileManager.printMatchedLines(args),
+    },
+    {
+        name: 'replace',
+        usage: 'replace [options] search replacement path...',
+        args: { min: 3 },
+        options: [
+            { name: 'regex', short: 'E' },
+            { name: 'ignore-case', short: 'i' },
+            { name: 'recursive', short: 'r' },
+            ...PREVIEW_OPTIONS,
+            ...CONFIRM_OPTIONS,
+        ],
+        examples: [
+            'replace colour color notes.txt',
+            'replace -E "v(\\d+)\\.0" "v$1.1" -r docs --dry-run',
+            'replace -y TODO DONE *.md',
+        ],
+        isMutating: ({ options }) => !options['dry-run'],
+        handler: args => fileManager.replaceInFiles(args),
+    },
+    {
+        name: 'diff',
+        usage: 'diff [options] old_path new_path',
+        args: { min: 2, max: 2 },
+        options: [
+            { name: 'unified', short: 'U', value: 'n' },
+            { name: 'recursive', short: 'r' },
+        ],
+        examples: [
+            'diff notes.txt notes.txt.bak',
+            'diff -U 1 config.json ~/config.json',
+            'diff -r project backup/project',
+        ],
+        handler: args => fileManager.printDifferences(args),
+    },
+    {
+        name: 'cmp',
+        usage: 'cmp path_to_file path_to_file',
+        args: { min: 2, max: 2 },
+        examples: [
+            'cmp image.png image-copy.png',
+        ],
+        handler: ({ operands }) => fileManager.printFirstDifference(operands),
+    },
+    {
+        name: 'os',
+        usage: 'os --parameter...',
+        args: { max: 0 },
+        options: [
+            { name: 'EOL' },
+            { name: 'cpus' },
+            { name: 'homedir' },
+            { name: 'username' },
+            { name: 'architecture' },
+            { name: 'hostname' },
+            { name: 'platform' },
+            { name: 'memory' },
+            { name: 'uptime' },
+            { name: 'loadavg' },
+            { name: 'network' },
+            { name: 'disk' },
+            { name: 'all' },
+        ],
+        examples: [
+            'os --EOL',
+            'os --cpus',
+            'os --memory --disk',
+            'os --all',
+        ],
+        handler: args => fileManager.printOsInfo(args),
+    },
+    {
+        name: 'hash',
+        usage: 'hash [options] path...',
+        options: [
+            { name: 'algo', value: 'name' },
+            { name: 'base64' },
+            { name: 'manifest', value: 'file', isValueOptional: true },
+            { name: 'check', value: 'file', isValueOptional: true },
+            ...CONFLICT_OPTIONS,
+            ...PREVIEW_OPTIONS,
+        ],
+        examples: [
+            'hash file.iso',
+            'hash --algo=md5 --manifest *.iso',
+            'hash --check SHA256SUMS',
+        ],
+        isMutating: ({ options }) => Boolean(options.manifest),
+        handler: args => fileManager.printCalculatedHash(args),
+    },
+    {
+        name: 'compress',
+        usage: 'compress [options] path_to_file... path_to_destination',
+        args: { min: 2 },
+        options: [
+            { name: 'format', value: 'br|gzip|deflate' },
+            { name: 'level', value: 'n' },
+            ...CONFLICT_OPTIONS,
+            ...PREVIEW_OPTIONS,
+        ],
+        examples: [
+            'compress report.txt backups',
+            'compress --format=gzip --level=9 *.log archive',
+        ],
+        isMutating: true,
+        handler: args => fileManager.compressFileToDirectory(args),
+    },
+    {
+        name: 'decompress',
+        usage: 'decompress [options] path_to_file... path_to_destination',
+        args: { min: 2 },
+        options: [...CONFLICT_OPTIONS, ...PREVIEW_OPTIONS],
+        examples: [
+            'decompress report.txt.br .',
+        ],
+        isMutating: true,
+        handler: args => fileManager.decompressFileToDirectory(args),
+    },
+    {
+        name: 'tar',
+        usage: 'tar [options] source... path_to_archive',
+        args: { min: 2 },
+        options: [
+            { name: 'format', value: 'gzip|br|deflate|none' },
+            ...CONFLICT_OPTIONS,
+            ...PREVIEW_OPTIONS,
+        ],
+        examples: [
+            'tar src docs project.tar.gz',
+            'tar --format=none photos photos.tar',
+        ],
+        isMutating: true,
+        handler: args => fileManager.createArchive(args),
+    },
+    {
+        name: 'untar',
+        usage: 'untar [options] path_to_archive [path_to_destination]',
+        args: { min: 1, max: 2 },
+        options: [
+            { name: 'list', short: 't' },
+            ...CONFLICT_OPTIONS,
+        ],
+        examples: [
+            'untar project.tar.gz',
+            'untar -n project.tar.gz restored',
+            'untar -t project.tar.gz',
+        ],
+        isMutating: ({ options }) => !options.list,
+        handler: args => fileManager.extractArchive(args),
+    },
+    {
+        name: 'history',
+        usage: 'history',
+        args: { max: 0 },
+        examples: [
+            'history',
+            '!!',
+            '!12',
+        ],
+        handler: () => fileManager.printHistory(),
+    },
+    {
+        name: 'alias',
+        usage: 'alias [name[=command]]',
+        options: null,
+        examples: [
+            'alias',
+            'alias ll=ls -la',
+            'alias ll',
+        ],
+        handler: ({ params }) => fileManager.manageAliases(params),
+    },
+    {
+        name: 'trash',
+        usage: 'trash list | trash restore [options] id... | trash empty [-y]',
+        args: { min: 1 },
+        options: [...CONFLICT_OPTIONS, ...CONFIRM_OPTIONS],
+        examples: [
+            'trash list',
+            'trash restore 3f9c2a1b',
+            'trash empty -y',
+        ],
+        isMutating: ({ operands: [action] }) => action !== 'list',
+        handler: args => fileManager.manageTrash(args),
+    },
+    {
+        name: 'undo',
+        usage: 'undo',
+        args: { max: 0 },
+        examples: [
+            'undo',
+        ],
+        isMutating: true,
+        handler: () => fileManager.undoLastOperation(),
+    },
+    {
+        name: 'help',
+        usage: 'help [command]',
+        args: { max: 1 },
+        examples: [
+            'help',
+            'help cp',
+        ],
+        handler: ({ operands: [commandName] }) => fileManager.printHelp(commandName),
+    },
+];
@@ -0,0 +1,162 @@
+import { getCommandParameters, getMessages } from '../utils/index.js';
+
+/**
+ * CommandRegistry keeps the commands available in the file manager, built-in and loaded from plugins.
+ * 
+ * A command is described by:
+ * - `name` and optional `aliases`
+ * - `description`, `usage` and `examples` shown in help
+ * - `args: { min, max }` - allowed number of operands
+ * - `options` - `[{ name, short, value, isValueOptional, description }]`, or null to pass all parameters as operands
+ * - `isMutating` - whether the command changes files, or a function deciding it from the parsed arguments.
+ *   Such commands are disabled in read-only mode. Commands that don't declare it are assumed to change files
+ * - `handler({ params, options, operands }, context)` - runs the command and returns its result
+ * 
+ * @class CommandRegistry
+ * @property {Map<string, Object>} #commands - Commands by name
+ * @property {Map<string, string>} #aliases - Command names by alias
+ * @property {Object} #messages - Messages of the file manager locale, used in errors
+ * 
+ * @example
+ * const registry = new CommandRegistry(getMessages('en'));
+ * registry.register({ name: 'pwd', description: 'Print the current directory', handler: (args, { currentDir }) => currentDir });
+ */
+export class CommandRegistry {
+    #commands = new Map();
+    #aliases = new Map();
+    #messages = null;
+
+    /**
+     * @param {Object} [messages] - Messages of the file manager locale, English by default
+     */
+    constructor(messages = getMessages()) {
+        this.#messages = messages;
+    }
+
+    /**
+     * Validates a command description and adds the command.
+     * 
+     * @param {Object} definition - Command description
+     * @returns {Object} The registered command with defaults applied
+     * @throws {Error} If the description is invalid or the name or an alias is taken
+     */
+    register(definition) {
+        const NAME_PATTERN = /^[a-z][\w-]*$/i;
+
+        const messages = this.#messages;
+        const { name, aliases = [], args = {}, options = [] } = definition ?? {};
+        const command = {
+            aliases,
+            description: '',
+            usage: name,
+            examples: [],
+            isMutating: true,
+            ...definition,
+            args: { min: 0, max: Infinity, ...args },
+            options,
+        };
+
+        for (const commandName of [name, ...aliases]) {
+            if (typeof commandName !== 'string' || !NAME_PATTERN.test(commandName)) {
+                throw new Error(messages.getInvalidCommandName(commandName));
+            }
+
+            if (this.has(commandName)) {
+                throw new Error(messages.getCommandNameTaken(commandName));
+            }
+        }
+
+        if (typeof command.handler !== 'function') {
+            throw new Error(messages.getMissingCommandHandler(name));
+        }
+
+        if (!(command.args.min >= 0) || !(command.args.max >= command.args.min)) {
+            throw new Error(messages.getInvalidArgumentLimits(name));
+        }
+
+        this.#commands.set(name, command);
+        aliases.forEach(alias => this.#aliases.set(alias, name));
+
+        return command;
+    }
+
+    /**
+     * Finds a command by its name or alias.
+     * 
+     * @param {string} name - Command name or alias
+     * @returns {Object|undefined} The command
+     */
+    get(name) {
+        return this.#commands.get(this.#aliases.get(name) ?? name);
+    }
+
+    /**
+     * Checks if a name or alias is registered.
+     * 
+     * @param {string} name - Command name or alias
+     * @returns {boolean} Whether the command exists
+     */
+    has(name) {
+        return this.#commands.has(name) || this.#aliases.has(name);
+    }
+
+    /**
+     * Lists the registered commands in registration order.
+     * 
+     * @returns {Object[]} Commands
+     */
+    getCommands() {
+        return [...this.#commands.values()];
+    }
+
+    /**
+     * Lists all names and aliases the commands can be called by.
+     * 
+     * @returns {string[]} Command names and aliases
+     */
+    getNames() {
+        return [...this.#commands.keys(), ...this.#aliases.keys()];
+    }
+
+    /**
+     * Splits parameters into options and operands according to the command options
+     * and checks the number of operands.
+     * 
+     * @param {Object} command - Registered command
+     * @param {string[]} params - Command parameters
+     * @returns {{params: string[], options: Object, operands: string[]}} Parsed arguments
+     * @throws {Error} If an option is unknown or the number of operands is out of the limits
+     */
+    parseArguments(command, params) {
+        const messages = this.#messages;
+        const { options, operands } = command.options
+            ? getCommandParameters(params, getOptionAliases(command.options), getValueOptions(command.options), messages)
+            : { options: {}, operands: params };
+
+        if (operands.length < command.args.min) {
+            throw new Error(messages.getMissingOperand());
+        }
+
+        if (operands.length > command.args.max) {
+            throw new Error(messages.getTooManyArguments());
+        }
+
+        return { params, options, operands };
+    }
+}
+
+/**
+ * Maps long names and short flags of the options to the option names.
+ */
+function getOptionAliases(options) {
+    return Object.fromEntries(options.flatMap(({ name, short }) => {
+        return short ? [[name, name], [short, name]] : [[name, name]];
+    }));
+}
+
+/**
+ * Lists the options that require a value.
+ */
+function getValueOptions(options) {
+    return options.filter(({ value, isValueOptional }) => value && !isValueOptional).map(({ name }) => name);
+}
@@ -0,0 +1,3 @@
+export { getBuiltinCommands } from './builtinCommands.js';
+export { CommandRegistry } from './commandRegistry.js';
+export { loadPlugins } from './loadPlugins.js';
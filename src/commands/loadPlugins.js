@@ -0,0 +1,48 @@
+import { readdir } from 'node:fs/promises';
+import { pathToFileURL } from 'node:url';
+import path from 'node:path';
+
+import { getMessages } from '../utils/index.js';
+
+/**
+ * Imports the plugin modules (`.js` and `.mjs` files) of a directory in name order.
+ * The default export of a plugin is a command description or an array of them.
+ * A missing directory means no plugins, modules that fail to load are reported in `failed`.
+ */
+export const loadPlugins = async (pluginsDir, { messages = getMessages() } = {}) => {
+    const PLUGIN_EXTENSIONS = ['.js', '.mjs'];
+
+    const result = { plugins: [], failed: [] };
+    let fileNames;
+
+    try {
+        fileNames = await readdir(pluginsDir);
+    } catch (error) {
+        if (error.code === 'ENOENT') {
+            return result;
+        }
+
+        throw error;
+    }
+
+    const pluginPaths = fileNames
+        .filter(fileName => PLUGIN_EXTENSIONS.includes(path.extname(fileName)))
+        .sort()
+        .map(fileName => path.resolve(pluginsDir, fileName));
+
+    for (const pluginPath of pluginPaths) {
+        try {
+            const { default: commands } = await import(pathToFileURL(pluginPath).href);
+
+            if (!commands) {
+                throw new Error(messages.getPluginWithoutExport());
+            }
+
+            result.plugins.push({ path: pluginPath, commands: [commands].flat() });
+        } catch (error) {
+            result.failed.push({ path: pluginPath, error });
+        }
+    }
+
+    return result;
+};
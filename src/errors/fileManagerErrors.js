@@ -0,0 +1,47 @@
+export const ERROR_CODES = {
+    INVALID_INPUT: 'INVALID_INPUT',
+    OPERATION_FAILED: 'OPERATION_FAILED',
+    NOT_FOUND: 'NOT_FOUND',
+    PERMISSION_DENIED: 'PERMISSION_DENIED',
+    ALREADY_EXISTS: 'ALREADY_EXISTS',
+    CANCELLED: 'CANCELLED',
+    UNKNOWN: 'UNKNOWN_ERROR',
+};
+
+/**
+ * Base class of the errors reported by the file manager. `code` is one of ERROR_CODES,
+ * the error that caused it (e.g. a system error with its errno code) is kept as `cause`.
+ */
+export class FileManagerError extends Error {
+    static code = ERROR_CODES.UNKNOWN;
+
+    constructor(message, { code = new.target.code, cause } = {}) {
+        super(message, cause === undefined ? undefined : { cause });
+        this.name = new.target.name;
+        this.code = code;
+    }
+}
+
+export class InputError extends FileManagerError {
+    static code = ERROR_CODES.INVALID_INPUT;
+}
+
+export class OperationError extends FileManagerError {
+    static code = ERROR_CODES.OPERATION_FAILED;
+}
+
+export class NotFoundError extends FileManagerError {
+    static code = ERROR_CODES.NOT_FOUND;
+}
+
+export class PermissionDeniedError extends FileManagerError {
+    static code = ERROR_CODES.PERMISSION_DENIED;
+}
+
+export class AlreadyExistsError extends FileManagerError {
+    static code = ERROR_CODES.ALREADY_EXISTS;
+}
+
+export class CancelledError extends FileManagerError {
+    static code = ERROR_CODES.CANCELLED;
+}
@@ -0,0 +1,21 @@
+import { AlreadyExistsError, FileManagerError, NotFoundError, PermissionDeniedError } from './fileManagerErrors.js';
+
+const CLASSES_BY_SYSTEM_CODE = {
+    ENOENT: NotFoundError,
+    EACCES: PermissionDeniedError,
+    EPERM: PermissionDeniedError,
+    EROFS: PermissionDeniedError,
+    EEXIST: AlreadyExistsError,
+};
+
+/**
+ * Picks the typed error class for a caught error: its own class for file manager errors,
+ * a class by errno code for system errors, null if there is none.
+ */
+export const getErrorClass = error => {
+    if (error instanceof FileManagerError) {
+        return error.constructor;
+    }
+
+    return CLASSES_BY_SYSTEM_CODE[error?.code] ?? null;
+};
@@ -0,0 +1,11 @@
+export {
+    FileManagerError,
+    InputError,
+    OperationError,
+    NotFoundError,
+    PermissionDeniedError,
+    AlreadyExistsError,
+    CancelledError,
+    ERROR_CODES,
+} from './fileManagerErrors.js';
+export { getErrorClass } from './getErrorClass.js';
@@ -1,19 +1,43 @@
-import { stdin as input, stdout as output } from 'node:process';
 import * as readline from 'node:readline/promises';
-import { access } from 'node:fs/promises';
+import { access, lstat, readFile, stat } from 'node:fs/promises';
+import { opendirSync, realpathSync } from 'node:fs';
+import { EventEmitter } from 'node:events';
+import { getHashes } from 'node:crypto';
+import { Console } from 'node:console';
 import path from 'node:path';
 import os from 'node:os';
 
 import {
+    getHumanReadableSize,
+    getDateFromTimeSpec,
+    getBytesFromSize,
     getCliArguments,
+    getInputTokens,
+    getQuotedInputTokens,
+    quoteInputToken,
+    getRedirection,
+    getProgressLine,
+    getScriptCommands,
+    getFormattedDate,
+    getEditDistance,
     getMessages,
+    resolveLocale,
 } from './utils/index.js';
 import {
+    copyDirectoryToDest,
     getUpperDirectory,
     getChangedDirectory,
+    getSandboxedPath,
     getDirectoryContent,
+    moveEntryToDest,
     readFileContent,
+    readFileLines,
+    readTailLines,
+    followFile,
+    isBinaryFile,
+    dumpFileHex,
     createDirectory,
+    deleteDirectory,
     copyFileToDest,
     decompressFile,
     calculateHash,
@@ -22,429 +46,3013 @@ import {
     renameFile,
     deleteFile,
     getOsInfo,
+    OS_PARAMETERS,
+    findEntries,
+    grepFiles,
+    expandGlobPattern,
+    getLiteralPath,
+    isGlobPattern,
+    CONFLICT_ACTIONS,
+    SORT_KEYS,
+    ENTRY_TYPES,
+    CHECK_STATUSES,
+    DEFAULT_HASH_ALGORITHM,
+    writeChecksumManifest,
+    verifyChecksums,
+    COMPRESSION_FORMATS,
+    DEFAULT_COMPRESSION_FORMAT,
+    createTarArchive,
+    extractTarArchive,
+    listTarArchive,
+    getArchiveCompressionByName,
+    getPathCompletions,
+    loadCommandHistory,
+    saveHistoryEntry,
+    moveToTrash,
+    restoreFromTrash,
+    readTrashItems,
+    emptyTrash,
+    getLineDiff,
+    getDiffHunks,
+    getTextLines,
+    formatUnifiedDiff,
+    getReplacedContent,
+    writeReplacedContent,
+    openOutputFile,
+    compareFiles,
+    compareDirectories,
+    DIFF_STATUSES,
 } from './services/index.js';
+import { CommandRegistry, getBuiltinCommands, loadPlugins } from './commands/index.js';
+import {
+    FileManagerError,
+    InputError,
+    OperationError,
+    CancelledError,
+    NotFoundError,
+    PermissionDeniedError,
+    ERROR_CODES,
+    getErrorClass,
+} from './errors/index.js';
+
+const HISTORY_FILE_NAME = '.fm_history';
+const CONFIG_FILE_NAME = '.fmrc';
+const HISTORY_SIZE = 1000;
+const TRASH_DIR_NAME = '.fm_trash';
+const PLUGINS_DIR_NAME = '.fm_plugins';
+const JOURNAL_SIZE = 100;
+const DEFAULT_LINES_COUNT = 10;
+const DEFAULT_DIFF_CONTEXT = 3;
 
 /**
  * FileManager class provides a command-line interface for file system operations.
  * It allows users to navigate directories, view and manipulate files, and perform various system operations.
+ * It can also be embedded: streams, the starting directory and arguments are injectable,
+ * `execute` runs a single command and returns its result, and a `command` event is emitted for every command.
  * 
  * @class FileManager
- * @property {Object} #messages - Messages for user interaction
+ * @extends EventEmitter
  * @property {Object} #cliArguments - Command line arguments
+ * @property {Object} #messages - Messages for user interaction in the selected language
+ * @property {stream.Readable} #input - Stream the commands are read from
+ * @property {stream.Writable} #output - Stream the command output is written to
+ * @property {stream.Writable} #errorOutput - Stream errors and progress are written to
+ * @property {Console} #console - Console writing to the output streams
+ * @property {string|null} #rootDir - Directory all paths are confined to with `--root`
+ * @property {boolean} #isReadOnly - Whether commands changing files are disabled with `--readonly`
+ * @property {AbortController|null} #abortController - Cancels the running commands
+ * @property {number} #runningCommands - Number of commands in progress
+ * @property {Object|null} #progress - State of the rendered progress line
+ * @property {boolean} #isBatchMode - Whether commands run without prompts, from arguments, a script, stdin or `execute`
+ * @property {boolean} #isJsonOutput - Whether the running command reports its result as a JSON line
+ * @property {Set<string>} #quotedTokens - Quoted parameters of the running command, they are never glob-expanded
+ * @property {string[]} #history - Entered commands, oldest first
+ * @property {Map<string, string>} #aliases - Commands by alias name
+ * @property {Object[]} #journal - Reversible operations, the latest one last
+ * @property {CommandRegistry} #registry - Built-in and plugin commands
  * @property {readline.Interface} readline - Interface for reading user input
- * @property {string} currentDir - Current working directory
+ * @property {string} currentDir - Current working directory of the session
+ * 
+ * @fires FileManager#command
+ * @fires FileManager#exit
  * 
  * @method initialize - Initializes the file manager and sets up event listeners
+ * @method execute - Runs a single command and returns its result
  * @method printCurrentDirPath - Prints the current directory path
  * @method goToUpperDirectory - Navigates to the parent directory
  * @method changeDirectory - Changes the current directory
- * @method printDirectoryList - Lists contents of the current directory
+ * @method printDirectoryList - Lists contents of the current or a specified directory
  * @method printFileContent - Displays content of a specified file
+ * @method printFileHead - Displays the first lines of a file
+ * @method printFileTail - Displays the last lines of a file and follows appended data
+ * @method printHexDump - Displays bytes of a file in hex
+ * @method printText - Prints the given words
  * @method createNewFile - Creates a new file
  * @method createNewDirectory - Creates a new directory
  * @method renameFileName - Renames a file
- * @method copyFileToNewDirectory - Copies a file to a new location
- * @method moveFileToNewDirectory - Moves a file to a new location
- * @method deleteTargetFile - Deletes a specified file
+ * @method copyFileToNewDirectory - Copies a file or directory to a new location
+ * @method moveFileToNewDirectory - Moves a file or directory to a new location
+ * @method deleteTargetFile - Deletes a specified file or directory
+ * @method printFoundEntries - Searches the directory tree for entries matching criteria
+ * @method printMatchedLines - Searches file contents for a string or regular expression
+ * @method replaceInFiles - Replaces a string or regular expression in files after a diff preview
+ * @method printDifferences - Displays a unified diff of two files or the differing entries of two directories
+ * @method printFirstDifference - Displays the first differing byte of two files
  * @method printOsInfo - Displays operating system information
- * @method printCalculatedHash - Calculates and displays file hash
+ * @method printCalculatedHash - Calculates and displays file hashes, writes and verifies checksum manifests
  * @method compressFileToDirectory - Compresses a file
  * @method decompressFileToDirectory - Decompresses a file
+ * @method createArchive - Bundles files and directories into a tar archive
+ * @method extractArchive - Extracts or lists a tar archive
+ * @method printHistory - Displays the numbered command history
+ * @method manageAliases - Lists or defines command aliases
+ * @method manageTrash - Lists, restores or permanently deletes trash items
+ * @method undoLastOperation - Reverts the last rn, mv, rm or cp
+ * @method printHelp - Lists the commands or describes one of them
  * 
  * @example
  * const fileManager = new FileManager();
  * await fileManager.initialize();
+ * 
+ * @example
+ * const fileManager = new FileManager({ cwd: '/srv/data', output: logStream });
+ * fileManager.on('command', ({ command, status }) => log(command, status));
+ * const entries = await fileManager.execute('ls -a');
  */
-export class FileManager {
-    #messages = getMessages();
-    #cliArguments = getCliArguments(process.argv);
+export class FileManager extends EventEmitter {
+    #cliArguments = null;
+    #messages = null;
+    #input = null;
+    #output = null;
+    #errorOutput = null;
+    #console = null;
+    #rootDir = null;
+    #isReadOnly = false;
+    #abortController = null;
+    #runningCommands = 0;
+    #progress = null;
+    #isBatchMode = true;
+    #isJsonOutput = false;
+    #quotedTokens = new Set();
+    #history = [];
+    #aliases = new Map();
+    #journal = [];
+    #registry = null;
+
+    /**
+     * @param {Object} [settings] - Session settings
+     * @param {stream.Readable} [settings.input=process.stdin] - Stream the commands are read from
+     * @param {stream.Writable} [settings.output=process.stdout] - Stream the command output is written to
+     * @param {stream.Writable} [settings.errorOutput=process.stderr] - Stream errors and progress are written to
+     * @param {string} [settings.cwd=os.homedir()] - Starting directory, relative paths are resolved against it
+     * @param {string[]} [settings.args=process.argv.slice(2)] - Command line arguments like `--lang=ru` or `--output=json`
+     * @throws {FileManagerError} If the `--root` directory is missing or invalid
+     */
+    constructor ({
+        input = process.stdin,
+        output = process.stdout,
+        errorOutput = process.stderr,
+        cwd = os.homedir(),
+        args = process.argv.slice(2),
+    } = {}) {
+        super();
+
+        this.#cliArguments = getCliArguments(args);
+
+        const { lang, root, readonly } = this.#cliArguments;
+        const { LC_ALL, LC_MESSAGES, LANG } = process.env;
+
+        // --lang takes precedence over the environment, where LC_ALL and LC_MESSAGES override LANG
+        this.#messages = getMessages(typeof lang === 'string' ? lang : LC_ALL || LC_MESSAGES || LANG);
+        this.#registry = new CommandRegistry(this.#messages);
+        this.#input = input;
+        this.#output = output;
+        this.#errorOutput = errorOutput;
+        this.#console = new Console({ stdout: output, stderr: errorOutput });
+        this.#rootDir = root === undefined ? null : this.#getRootDir(root);
+        this.#isReadOnly = Boolean(readonly);
+        this.readline = null;
+        // A sandboxed session starts in its root directory
+        this.currentDir = this.#rootDir ?? path.resolve(cwd);
+
+        getBuiltinCommands(this, this.#messages).forEach(command => this.#registry.register(command));
+    }
+
+    /**
+     * Resolves the `--root` directory with symbolic links, so the paths confined to it can be compared with its real path.
+     * 
+     * @private
+     * @param {string|boolean} root - Value of `--root`, relative to the directory the file manager was started in
+     * @returns {string} Real path of the root directory
+     * @throws {Error} If the value is missing or isn't an existing directory
+     */
+    #getRootDir(root) {
+        if (root === true) {
+            this.#throwInputError(this.#messages.getMissingOperand());
+        }
 
-    constructor () {
-        this.readline = readline.createInterface({ input, output });
-        this.currentDir = os.homedir();
+        try {
+            const rootDir = realpathSync(root);
+            opendirSync(rootDir).closeSync();
+
+            return rootDir;
+        } catch (error) {
+            this.#throwInputError(error);
+        }
     }
 
     /**
-     * Initializes the file manager and sets up event listeners for user input.
-     * Sets the current directory to user's home directory and displays welcome message.
+     * Initializes the file manager and sets up event listeners for user input, then displays welcome message.
+     * With `--exec`, `--script` or an input stream that isn't a terminal the commands run in batch mode instead.
+     * Interactive sessions restore the command history and load aliases from the config file.
+     * Plugin commands are registered before any command runs, only if `--plugins` is given.
      * 
      * @async
      * @returns {Promise<void>}
      */
     async initialize() {
-        const ANONYMOUS = 'Anonymous';
-        const username = this.#cliArguments.username ?? ANONYMOUS;
-        const introMessage = this.#messages.getIntro(username);
-        const outroMessage = this.#messages.getOutro(username);
+        const { username, exec, script, plugins, lang } = this.#cliArguments;
+        const userName = typeof username === 'string' ? username : this.#messages.getAnonymous();
+        const introMessage = this.#messages.getIntro(userName);
+        const outroMessage = this.#messages.getOutro(userName);
+        // The script and plugins paths are relative to the directory the file manager was started in
+        const scriptPath = typeof script === 'string' ? path.resolve(script) : script;
+        const pluginsDir = typeof plugins === 'string'
+            ? path.resolve(plugins)
+            : path.join(os.homedir(), PLUGINS_DIR_NAME);
+        // Plugins run as code, so they are never loaded without the user asking for it
+        const isPluginsEnabled = plugins !== undefined;
+
+        const input = this.#input;
+        const output = this.#output;
+        const isBatchMode = Boolean(exec || script || !input.isTTY);
+
+        if (typeof lang === 'string' && !resolveLocale(lang)) {
+            this.#console.error(this.#messages.getUnsupportedLanguage(lang));
+        }
+
+        // Ctrl+C reaches readline only from a terminal, piped runs get it as a signal of the process.
+        // Only the instance reading the process stdin listens to it, until the session ends
+        if (input === process.stdin) {
+            const onInterrupt = () => this.#handleInterrupt();
+
+            process.on('SIGINT', onInterrupt);
+            this.once('exit', () => process.off('SIGINT', onInterrupt));
+        }
+
+        if (isPluginsEnabled) {
+            await this.#loadPlugins(pluginsDir);
+        }
 
-        process.chdir(this.currentDir);
-        console.log(introMessage);
+        if (isBatchMode) {
+            this.readline = readline.createInterface({ input, output });
+            this.readline.on('SIGINT', () => this.#handleInterrupt());
+            await this.#runBatch(exec, scriptPath);
+
+            return;
+        }
+
+        await this.#loadUserSettings();
+
+        this.readline = readline.createInterface({
+            input,
+            output,
+            completer: line => this.#completeInput(line),
+            history: [...this.#history].reverse(),
+            historySize: HISTORY_SIZE,
+            removeHistoryDuplicates: true,
+        });
+        this.readline.on('SIGINT', () => this.#handleInterrupt());
+        this.#isBatchMode = false;
+
+        this.#console.log(introMessage);
         this.printCurrentDirPath();
         this.#showPrompt();
     
-        this.readline.on('line', async input => {
+        this.readline.on('line', async line => {
             try {
-                console.log();
+                this.#console.log();
+
+                const input = this.#getRecalledInput(line);
+
+                if (input !== line) {
+                    this.#console.log(input);
+                }
+
+                await this.#rememberInput(input);
                 await this.#handleInput(input);
             } catch (error) {
-                console.error(error.message);
+                this.#printError(error);
                 this.#showPrompt();
             }
         });
 
         this.readline.on('close', () => {
-            console.log(outroMessage);
+            this.#console.log(outroMessage);
+            this.emit('exit', 0);
         });
     }
 
     /**
-     * Prints the current directory path to the console.
-     * 
-     * @returns {void}
-     */
-    printCurrentDirPath() {
-        console.log(this.#messages.getCurrentDir(this.currentDir));
-    };
-
-    /**
-     * Handles user input and executes corresponding commands.
+     * Restores the command history and defines aliases from the config file in the home directory.
+     * The config file contains `alias name=command` lines, other lines are reported and skipped.
      * 
      * @private
      * @async
-     * @param {string} input - User input command
      * @returns {Promise<void>}
      */
-    async #handleInput(input) {
-        const commandMap = {
-            up: () => this.goToUpperDirectory(),
-            cd: targetDirectory => this.changeDirectory(targetDirectory),
-            ls: () => this.printDirectoryList(),
-            cat: filePath => this.printFileContent(filePath),
-            add: fileName => this.createNewFile(fileName),
-            mkdir: directoryPath => this.createNewDirectory(directoryPath),
-            rn: fileNames => this.renameFileName(fileNames),
-            cp: params => this.copyFileToNewDirectory(params),
-            mv: params => this.moveFileToNewDirectory(params),
-            rm: filePath => this.deleteTargetFile(filePath),
-            os: parameter => this.printOsInfo(parameter),
-            hash: filePath => this.printCalculatedHash(filePath),
-            compress: params => this.compressFileToDirectory(params),
-            decompress: params => this.decompressFileToDirectory(params),
-        }
-
-        const spaceIdx = input.indexOf(' ');
-        const parsedInput = spaceIdx !== -1 
-            ? [input.slice(0, spaceIdx), input.slice(spaceIdx + 1)]
-            : [input];
-        const [inputCommand, parameter] = parsedInput;
-
-        if (inputCommand === '.exit') {
-            this.readline.close();
+    async #loadUserSettings() {
+        const ALIAS_COMMAND = 'alias';
 
-            return;
+        try {
+            this.#history = await loadCommandHistory(path.join(os.homedir(), HISTORY_FILE_NAME), HISTORY_SIZE);
+        } catch (error) {
+            this.#console.error(this.#getErrorMessage(error));
         }
 
-        if (!commandMap.hasOwnProperty(inputCommand)) {
-            this.#throwInputError(`${this.#messages.getUnknownCommand()} '${inputCommand}'`);
-        };
-
-        if (!['up', 'ls', 'cd'].includes(inputCommand)) {
-            this.#checkIsParameterExist(parameter);
-        }
+        let config = '';
 
         try {
-            await commandMap[inputCommand](parameter);
-            this.printCurrentDirPath();
-            this.#showPrompt();
+            config = await readFile(path.join(os.homedir(), CONFIG_FILE_NAME), 'utf8');
         } catch (error) {
-            throw new Error(`${inputCommand}: ${error.message}`);
+            if (error.code !== 'ENOENT') {
+                this.#console.error(this.#getErrorMessage(error));
+            }
+        }
+
+        for (const configLine of getScriptCommands(config)) {
+            try {
+                const [{ token: command } = {}, ...quotedParams] = getQuotedInputTokens(configLine, this.#messages);
+                const params = quotedParams.map(({ token }) => token);
+
+                if (command !== ALIAS_COMMAND || !params.length) {
+                    this.#throwInputError(this.#messages.getUnsupportedConfigLine(configLine));
+                }
+
+                this.#defineAlias(params, new Set(quotedParams.filter(({ isQuoted }) => isQuoted).map(({ token }) => token)));
+            } catch (error) {
+                this.#console.error(`${CONFIG_FILE_NAME}: ${error.message}`);
+            }
         }
     }
 
     /**
-     * Navigates to the parent directory of the current directory.
+     * Replaces `!!` at the start of the input with the previous command and `!n` with the n-th history entry.
      * 
-     * @returns {void}
+     * @private
+     * @param {string} line - Entered line
+     * @returns {string} The input with the recalled command
+     * @throws {Error} If there is no such history entry
      */
-    goToUpperDirectory() {
-        const upperDirectory = getUpperDirectory(this.currentDir);
+    #getRecalledInput(line) {
+        const match = /^\s*!(!|\d+)(.*)$/s.exec(line);
 
-        if (upperDirectory) {
-            this.currentDir = upperDirectory;
+        if (!match) {
+            return line;
+        }
+
+        const [, reference, rest] = match;
+        const entry = reference === '!' ? this.#history.at(-1) : this.#history[Number(reference) - 1];
+
+        if (entry === undefined) {
+            this.#throwInputError(this.#messages.getHistoryEntryNotFound(`!${reference}`));
         }
+
+        return `${entry}${rest}`;
     }
 
     /**
-     * Changes the current directory to the specified target directory.
+     * Adds the input to the history and appends it to the history file in the home directory.
      * 
+     * @private
      * @async
-     * @param {string} targetDirectory - Path to the target directory
+     * @param {string} input - Entered command
      * @returns {Promise<void>}
-     * @throws {Error} If the target directory doesn't exist or is inaccessible
      */
-    async changeDirectory(targetDirectory) {
+    async #rememberInput(input) {
+        if (!input.trim()) {
+            return;
+        }
+
+        this.#history.push(input);
+
         try {
-            const changedDirectory = await getChangedDirectory(targetDirectory);
-            this.currentDir = changedDirectory;
+            await saveHistoryEntry(path.join(os.homedir(), HISTORY_FILE_NAME), input);
         } catch (error) {
-            throw this.#throwInputError(error.message);
+            this.#console.error(this.#getErrorMessage(error));
         }
     }
 
     /**
-     * Lists the contents of the current directory in a table format.
+     * Suggests command and alias names for the first word, and paths relative to the current directory
+     * for the following ones.
      * 
+     * @private
      * @async
-     * @returns {Promise<void>}
+     * @param {string} line - Line typed so far
+     * @returns {Promise<[string[], string]>} Completions and the completed part of the line
      */
-    async printDirectoryList() {
-        const dirContent = await getDirectoryContent(this.currentDir);
-        console.table(dirContent);
-    }
+    async #completeInput(line) {
+        const [partialToken] = /(?:\\.|[^\s\\])*$/.exec(line);
 
-    /**
-     * Displays the content of a specified file.
-     * 
-     * @async
-     * @param {string} filePath - Path to the file to read
-     * @returns {Promise<void>}
-     * @throws {Error} If the file doesn't exist or is inaccessible
-     */
-    async printFileContent(filePath) {
-        const validatedPath = await this.#getValidatedPath(filePath);
-        await this.#launchOperation(readFileContent, [validatedPath]);
-    }
+        if (line.trimStart() === partialToken) {
+            const names = ['.exit', ...this.#registry.getNames(), ...this.#aliases.keys()];
 
-    /**
-     * Creates a new file with the specified name.
-     * 
-     * @async
-     * @param {string} fileName - Name of the file to create
-     * @returns {Promise<void>}
-     * @throws {Error} If file creation fails
-     */
-    async createNewFile(fileName) {
-        await this.#launchOperation(createFile, [fileName]);
+            return [names.filter(name => name.startsWith(partialToken)).sort(), partialToken];
+        }
+
+        const partialPath = partialToken.replace(/\\(.)/g, '$1');
+        const completions = await getPathCompletions(partialPath, this.currentDir, this.#rootDir);
+
+        return [completions.map(completion => completion.replace(/([\s"'\\])/g, '\\$1')), partialToken];
     }
 
     /**
-     * Creates a new directory at the specified path.
+     * Runs commands from `--exec`, a `--script` file or stdin one after another without prompts.
+     * Stops at the first failed command unless `--continue-on-error` is given
+     * and emits the `exit` event with a non-zero exit code if any of the commands failed.
      * 
+     * @private
      * @async
-     * @param {string} directoryPath - Path where the directory should be created
+     * @param {string|boolean|undefined} exec - Commands given with `--exec`
+     * @param {string|boolean|undefined} script - Path of the script file given with `--script`
      * @returns {Promise<void>}
-     * @throws {Error} If directory creation fails
      */
-    async createNewDirectory(directoryPath) {
-        await this.#launchOperation(createDirectory, [directoryPath]);
+    async #runBatch(exec, script) {
+        const isContinueOnError = Boolean(this.#cliArguments['continue-on-error']);
+        let isFailed = false;
+
+        try {
+            for await (const command of this.#getBatchCommands(exec, script)) {
+                if (command === '.exit') {
+                    break;
+                }
+
+                try {
+                    await this.#handleInput(command);
+                } catch (error) {
+                    this.#printError(error);
+                    isFailed = true;
+
+                    if (!isContinueOnError) {
+                        break;
+                    }
+                }
+            }
+        } catch (error) {
+            this.#printError(error);
+            isFailed = true;
+        } finally {
+            this.readline.close();
+        }
+
+        this.emit('exit', isFailed ? 1 : 0);
     }
 
     /**
-     * Renames a file from old path to new path.
+     * Yields batch commands. `--exec` and script files may separate commands with `;` or new lines,
+     * lines starting with `#` are comments.
      * 
+     * @private
      * @async
-     * @param {string} params - Space-separated old and new file paths
-     * @returns {Promise<void>}
-     * @throws {Error} If renaming fails or paths are invalid
+     * @generator
+     * @param {string|boolean|undefined} exec - Commands given with `--exec`
+     * @param {string|boolean|undefined} script - Path of the script file given with `--script`
+     * @yields {string} Command line
+     * @throws {Error} If an argument has no value or the script can't be read
      */
-    async renameFileName(params) {
-        const filePaths = params.split(' ');
-        this.#checkIsArgsCountMatchLimit(filePaths.length, 2);
+    async *#getBatchCommands(exec, script) {
+        if (exec === true || script === true) {
+            this.#throwInputError(this.#messages.getMissingOperand());
+        }
 
-        const [oldPath, newPath] = filePaths;
-        const validatedPath = await this.#getValidatedPath(oldPath);
-        await this.#launchOperation(renameFile, [validatedPath, path.join(newPath)]);
+        if (exec || script) {
+            yield* getScriptCommands(exec ?? await readFile(script, 'utf8'));
+
+            return;
+        }
+
+        for await (const line of this.readline) {
+            yield* getScriptCommands(line);
+        }
     }
 
     /**
-     * Copies a file to a new location.
+     * Runs a single command line without prompts, as in batch mode, and returns its result.
+     * Relative paths are resolved against the current directory of this file manager, which `cd` and `up` change.
+     * The human-readable output is still written to the output stream.
      * 
      * @async
-     * @param {string} params - Space-separated source and destination paths
-     * @returns {Promise<void>}
-     * @throws {Error} If copying fails or paths are invalid
+     * @param {string} commandLine - Command with its parameters, e.g. `cp -r src backup`
+     * @returns {Promise<*>} Result of the command: entries, found paths, an operation summary and so on
+     * @throws {FileManagerError} If the command is unknown or fails
+     * 
+     * @example
+     * const { succeeded } = await fileManager.execute('mv *.log archive');
      */
-    async copyFileToNewDirectory(params) {
-        const validatedPaths = await this.#getValidatedPaths(params);
-        await this.#launchOperation(copyFileToDest, validatedPaths);
+    async execute(commandLine) {
+        return this.#handleInput(commandLine);
     }
 
     /**
-     * Moves a file to a new location by copying and then deleting the original.
+     * Prints the current directory path to the console.
      * 
-     * @async
-     * @param {string} params - Space-separated source and destination paths
-     * @returns {Promise<void>}
-     * @throws {Error} If moving fails or paths are invalid
+     * @returns {void}
      */
-    async moveFileToNewDirectory(params) {
-        const validatedPaths = await this.#getValidatedPaths(params);
-        const [fileName] = validatedPaths;
-        
-        await this.#launchOperation(copyFileToDest, validatedPaths);
-        await this.#launchOperation(deleteFile, [fileName]);
-    }
+    printCurrentDirPath() {
+        this.#print(this.#messages.getCurrentDir(this.currentDir));
+    };
 
     /**
-     * Deletes a specified file.
+     * Handles user input and executes corresponding commands.
+     * With `--output=json`, or `--json` among the command options, the result or the error
+     * is printed as a single JSON line: `{command, status, result, error: {code, systemCode, message}}`.
+     * The human-readable output of a command can be written to a file with `> file` or appended with `>> file`.
      * 
+     * @private
      * @async
-     * @param {string} filePath - Path to the file to delete
-     * @returns {Promise<void>}
-     * @throws {Error} If deletion fails or file doesn't exist
+     * @fires FileManager#command
+     * @param {string} input - User input command
+     * @returns {Promise<*>} Result of the command
+     * @throws {FileManagerError} If the command is unknown or fails
      */
-    async deleteTargetFile(filePath) {
-        const validatedPath = await this.#getValidatedPath(filePath);
-        await this.#launchOperation(deleteFile, [validatedPath]);
-    }
+    async #handleInput(input) {
+        const JSON_OPTION = '--json';
+        let inputCommand = null;
 
-    /**
-     * Displays operating system information based on the specified parameter.
-     * 
-     * @param {string} params - Parameter specifying which OS info to display
-     * @returns {void}
-     * @throws {Error} If the parameter is invalid
-     */
-    printOsInfo(params) {
-        const parametersArray = Object.keys(getCliArguments(params.split(' ')));
-        this.#checkIsArgsCountMatchLimit(parametersArray.length, 1);
+        this.#isJsonOutput = this.#cliArguments.output === 'json';
 
         try {
-            const [parameter] = parametersArray;
-            const osInfo = getOsInfo(parameter)
-            console.log(osInfo);
+            const { commandLine, target, isAppend } = getRedirection(this.#expandAlias(input));
+            const [{ token: command = '' } = {}, ...quotedInputTokens] = this.#getParsedInput(commandLine, true);
+            const tokens = quotedInputTokens.map(({ token }) => token);
+            const redirection = target === null ? null : { target: this.#getRedirectionTarget(target, isAppend), isAppend };
+            const optionsEndIdx = tokens.includes('--') ? tokens.indexOf('--') : tokens.length;
+            const parameters = tokens.filter((token, index) => token !== JSON_OPTION || index > optionsEndIdx);
+
+            inputCommand = command;
+            this.#isJsonOutput ||= parameters.length < tokens.length;
+            this.#quotedTokens = new Set(quotedInputTokens.filter(({ isQuoted }) => isQuoted).map(({ token }) => token));
+
+            const result = await this.#runCommand(inputCommand, parameters, redirection);
+
+            if (this.#isJsonOutput) {
+                this.#console.log(JSON.stringify({ command: inputCommand, status: 'ok', result: result ?? null, error: null }));
+            }
+
+            this.#emitCommand({ command: inputCommand, input, status: 'ok', result: result ?? null, error: null });
+
+            return result;
         } catch (error) {
-            this.#throwOperationError(error.message);
+            if (this.#isJsonOutput) {
+                const { code = ERROR_CODES.UNKNOWN, message } = error.isCommandError ? error.cause : error;
+                const systemCode = this.#getSystemCode(error);
+                const result = error.result ?? null;
+
+                this.#console.log(JSON.stringify({
+                    command: inputCommand,
+                    status: 'error',
+                    result,
+                    error: { code, systemCode, message },
+                }));
+            }
+
+            this.#emitCommand({ command: inputCommand, input, status: 'error', result: error.result ?? null, error });
+
+            throw error;
         }
     }
 
     /**
-     * Calculates and displays the hash of a specified file.
+     * Notifies listeners about an executed command.
      * 
-     * @async
-     * @param {string} filePath - Path to the file to hash
-     * @returns {Promise<void>}
-     * @throws {Error} If hashing fails or file doesn't exist
+     * @private
+     * @fires FileManager#command
+     * @param {Object} report - Command report
+     * @returns {void}
      */
-    async printCalculatedHash(filePath) {
-        const validatedPath = await this.#getValidatedPath(filePath);
-        await this.#launchOperation(async filepath => {
-            const hash = await calculateHash(filepath);
-            console.log(hash);
-        }, [validatedPath]);
+    #emitCommand(report) {
+        /**
+         * Emitted after every command, whether it succeeded or failed.
+         * 
+         * @event FileManager#command
+         * @type {Object}
+         * @property {string|null} command - Command name, null if the input couldn't be parsed
+         * @property {string} input - Entered command line
+         * @property {string} status - `ok` or `error`
+         * @property {*} result - Result of the command, the partial result of a failed one or null
+         * @property {FileManagerError|null} error - Error of a failed command
+         */
+        this.emit('command', report);
     }
 
     /**
-     * Compresses a file to a specified directory.
+     * Executes a command, printing its output or returning its result in JSON mode.
      * 
+     * @private
      * @async
-     * @param {string} params - Space-separated source and destination paths
-     * @returns {Promise<void>}
-     * @throws {Error} If compression fails or paths are invalid
+     * @param {string} inputCommand - Command name
+     * @param {string[]} parameters - Command parameters
+     * @param {{target: string, isAppend: boolean}|null} [redirection=null] - File the output is written to
+     * @returns {Promise<*>} Result of the command
+     * @throws {Error} If the command is unknown or fails, prefixed with the command name
      */
-    async compressFileToDirectory(params) {
-        const validatedPaths = await this.#getValidatedPaths(params);
-        await this.#launchOperation(compressFile, validatedPaths);
+    async #runCommand(inputCommand, parameters, redirection = null) {
+        const command = this.#registry.get(inputCommand);
+
+        if (inputCommand === '.exit') {
+            this.readline?.close();
+
+            return;
+        }
+
+        if (!command) {
+            this.#throwInputError(this.#getUnknownCommandMessage(inputCommand));
+        };
+
+        // Commands entered while another one is running share its controller, so Ctrl+C cancels all of them
+        this.#abortController ??= new AbortController();
+        this.#runningCommands++;
+
+        let result;
+
+        try {
+            const args = this.#parseArguments(command, parameters);
+            this.#checkIsCommandAllowed(command, args, redirection);
+
+            result = await this.#runRedirected(redirection, () => command.handler(args, this.#getCommandContext()));
+        } catch (error) {
+            const cause = this.#abortController.signal.aborted
+                ? new CancelledError(this.#messages.getOperationCancelled(), { cause: error })
+                : error;
+            // The command error keeps the class and code of its cause, plugins may throw any errors
+            const ErrorClass = cause instanceof FileManagerError ? cause.constructor : FileManagerError;
+
+            // Argument errors are followed by the command syntax
+            const usage = cause.isArgumentError ? `\n${this.#messages.getUsage(command.usage)}` : '';
+            const message = `${inputCommand}: ${cause.message}${usage}`;
+
+            throw Object.assign(new ErrorClass(message, { code: cause.code, cause }), {
+                result: error.result,
+                isCommandError: true,
+            });
+        } finally {
+            this.#clearProgress();
+            this.#runningCommands--;
+
+            if (!this.#runningCommands) {
+                this.#abortController = null;
+            }
+        }
+
+        if (!this.#isBatchMode) {
+            this.printCurrentDirPath();
+            this.#showPrompt();
+        }
+
+        return result;
     }
 
     /**
-     * Decompresses a file to a specified directory.
+     * Runs a command handler with its output written to a file instead of the output stream.
+     * Errors, warnings and progress still go to the error output.
      * 
+     * @private
      * @async
-     * @param {string} params - Space-separated source and destination paths
-     * @returns {Promise<void>}
-     * @throws {Error} If decompression fails or paths are invalid
+     * @param {{target: string, isAppend: boolean}|null} redirection - File the output is written to, null for none
+     * @param {Function} runHandler - Runs the command handler
+     * @returns {Promise<*>} Result of the command
+     * @throws {Error} If the file can't be opened or the command fails
      */
-    async decompressFileToDirectory(params) {
-        const validatedPaths = await this.#getValidatedPaths(params);
-        await this.#launchOperation(decompressFile, validatedPaths);
+    async #runRedirected(redirection, runHandler) {
+        if (!redirection) {
+            return runHandler();
+        }
+
+        const targetPath = await this.#getSandboxedPath(redirection.target);
+        const outputFile = await this.#launchOperation(openOutputFile, [targetPath, { isAppend: redirection.isAppend }]);
+        const [output, console] = [this.#output, this.#console];
+
+        this.#output = outputFile;
+        this.#console = new Console({ stdout: outputFile, stderr: this.#errorOutput });
+
+        try {
+            return await runHandler();
+        } finally {
+            [this.#output, this.#console] = [output, console];
+            await new Promise(resolve => outputFile.end(resolve));
+        }
     }
-    
+
     /**
-     * Throws an input error with a custom message.
+     * Parses the file name following `>` or `>>`.
      * 
      * @private
-     * @param {string} errorMessage - Error message to display
-     * @throws {Error} Always throws an error
+     * @param {string} target - Input after the redirection operator
+     * @param {boolean} isAppend - Whether the operator is `>>`
+     * @returns {string} File name
+     * @throws {Error} If there is no file name or more than one
      */
-    #throwInputError(errorMessage) {
-        throw new Error(`${this.#messages.getInvalidInput()} - ${errorMessage}`);
+    #getRedirectionTarget(target, isAppend) {
+        const tokens = this.#getParsedInput(target);
+
+        if (!tokens.length) {
+            this.#throwInputError(this.#messages.getMissingRedirectionTarget(isAppend ? '>>' : '>'));
+        }
+
+        if (tokens.length > 1) {
+            this.#throwInputError(this.#messages.getTooManyArguments());
+        }
+
+        return tokens[0];
     }
 
     /**
-     * Throws an operation error with a custom message.
+     * Creates the context passed to command handlers as the second argument,
+     * so plugin commands can print output, ask questions and support cancellation.
      * 
      * @private
-     * @param {string} errorMessage - Error message to display
-     * @throws {Error} Always throws an error
+     * @returns {Object} Current directory, path resolver, output and prompt functions, cancellation signal and progress callback
      */
-    #throwOperationError(errorMessage) {
-        throw new Error(`${this.#messages.getOperationFailed()} - ${errorMessage}`);
+    #getCommandContext() {
+        return {
+            currentDir: this.currentDir,
+            resolvePath: specifiedPath => this.#getSandboxedPath(specifiedPath),
+            isJsonOutput: this.#isJsonOutput,
+            print: (...data) => this.#print(...data),
+            printTable: rows => this.#printTable(rows),
+            askQuestion: query => this.#askQuestion(query),
+            ...this.#getProgressOptions(),
+        };
     }
 
     /**
-     * Launches an operation with error handling.
+     * Registers plugin commands from the `--plugins` directory, `~/.fm_plugins` if it is given without a value.
+     * Plugins that fail to load or clash with existing commands are reported and skipped.
      * 
      * @private
      * @async
-     * @param {Function} callback - Function to execute
-     * @param {Array} params - Parameters to pass to the callback
+     * @param {string} pluginsDir - Directory with plugin modules
      * @returns {Promise<void>}
-     * @throws {Error} If the operation fails
      */
-    async #launchOperation(callback, params) {
+    async #loadPlugins(pluginsDir) {
+        let plugins = [];
+        let failed = [];
+
         try {
-            await callback(...params);
+            ({ plugins, failed } = await loadPlugins(pluginsDir, { messages: this.#messages }));
         } catch (error) {
-            this.#throwOperationError(error.message);
+            this.#console.error(this.#messages.getPluginSkipped(pluginsDir, this.#getErrorMessage(error)));
+        }
+
+        for (const { path: pluginPath, commands } of plugins) {
+            try {
+                commands.forEach(command => this.#registry.register(command));
+            } catch (error) {
+                failed.push({ path: pluginPath, error });
+            }
         }
+
+        failed.forEach(({ path: pluginPath, error }) => {
+            this.#console.error(this.#messages.getPluginSkipped(pluginPath, this.#getErrorMessage(error)));
+        });
     }
 
     /**
-     * Validates multiple file paths.
+     * Handles Ctrl+C: cancels the running command, or closes the file manager when there is none.
      * 
      * @private
-     * @async
-     * @param {string} specifiedPaths - Space-separated paths to validate
-     * @returns {Promise<string[]>} Array of validated paths
-     * @throws {Error} If any path is invalid
+     * @returns {void}
      */
-    async #getValidatedPaths(specifiedPaths) {
-        const paths = specifiedPaths.split(' ');
-        this.#checkIsArgsCountMatchLimit(paths.length, 2);
+    #handleInterrupt() {
+        if (this.#abortController) {
+            this.#abortController.abort();
 
-        const validatedPaths = await Promise.all(paths.map(async path => {
-            const validPath = await this.#getValidatedPath(path);
-
-            return validPath
-        }));
+            return;
+        }
 
-        return validatedPaths;
+        this.readline?.close();
     }
 
     /**
-     * Validates a single file path.
+     * Navigates to the parent directory of the current directory.
      * 
-     * @private
-     * @async
-     * @param {string} specifiedPath - Path to validate
-     * @returns {Promise<string>} Validated path
-     * @throws {Error} If the path is invalid
+     * @returns {string} The new current directory
      */
-    async #getValidatedPath(specifiedPath) {
-        const normalizedPath = path.join(specifiedPath);
-
-        try {
-            await access(normalizedPath);
+    goToUpperDirectory() {
+        const upperDirectory = getUpperDirectory(this.currentDir, this.#rootDir);
 
-            return normalizedPath;
-        } catch (error) {
-            this.#throwInputError(error.message);
+        if (upperDirectory) {
+            this.currentDir = upperDirectory;
         }
+
+        return this.currentDir;
     }
 
     /**
-     * Checks if the number of arguments matches the expected limit.
+     * Changes the current directory to the specified target directory.
+     * 
+     * @async
+     * @param {string} targetDirectory - Path to the target directory
+     * @returns {Promise<string>} The new current directory
+     * @throws {Error} If the target directory doesn't exist or is inaccessible
+     */
+    async changeDirectory(targetDirectory) {
+        try {
+            const changedDirectory = await getChangedDirectory(targetDirectory, this.currentDir, this.#rootDir);
+            this.currentDir = changedDirectory;
+
+            return changedDirectory;
+        } catch (error) {
+            this.#throwInputError(error);
+        }
+    }
+
+    /**
+     * Lists the contents of the current or a specified directory in a table format.
+     * Supports long format (`-l`), human-readable sizes (`-h`), hidden entries (`-a`),
+     * sorting (`--sort=name|size|time|extension`) and reverse order (`-r`).
+     * 
+     * @async
+     * @param {Object} args - Parsed arguments
+     * @param {Object} args.options - Listing options
+     * @param {string[]} args.operands - Optional path to list
+     * @returns {Promise<Object[]>} Listed entries
+     * @throws {Error} If the path or the sort key is invalid
+     */
+    async printDirectoryList({ options, operands }) {
+        if (options.sort === true) {
+            this.#throwArgumentError(this.#messages.getInvalidOptionValue('--sort'));
+        }
+
+        if (options.sort !== undefined && !SORT_KEYS.includes(options.sort)) {
+            this.#throwArgumentError(this.#messages.getUnknownSortKey(options.sort));
+        }
+
+        const targetPath = operands.length ? await this.#getValidatedPath(operands[0]) : this.currentDir;
+        const dirContent = await this.#launchOperation(getDirectoryContent, [targetPath, {
+            showHidden: Boolean(options.all),
+            isLongFormat: Boolean(options.long),
+            isHumanReadable: Boolean(options['human-readable']),
+            sortBy: options.sort ?? null,
+            isReversed: Boolean(options.reverse),
+            isRaw: this.#isJsonOutput,
+        }]);
+
+        this.#printTable(dirContent);
+
+        return dirContent;
+    }
+
+    /**
+     * Displays the content of a specified file. In an interactive session files taller than the terminal
+     * are shown page by page, binary files are reported instead of being printed and base64-encoded in JSON mode.
+     * 
+     * @async
+     * @param {string} filePath - Path to the file to read
+     * @returns {Promise<Object|undefined>} File metadata and content in JSON mode, binary content is base64-encoded
+     * @throws {Error} If the file doesn't exist or is inaccessible
+     */
+    async printFileContent(filePath) {
+        const validatedPath = await this.#getValidatedPath(filePath);
+        const { signal } = this.#abortController;
+
+        if (!this.#isJsonOutput) {
+            if (!await this.#checkIsTextFile(validatedPath)) {
+                return;
+            }
+
+            if (this.#isPagerAvailable()) {
+                await this.#printPaged(validatedPath);
+
+                return;
+            }
+
+            await this.#launchOperation(readFileContent, [validatedPath, { output: this.#output, signal }]);
+
+            return;
+        }
+
+        const { size, mtime } = await this.#launchOperation(stat, [validatedPath]);
+        const isBinary = await this.#launchOperation(isBinaryFile, [validatedPath]);
+        const encoding = isBinary ? 'base64' : 'utf8';
+        const content = await this.#launchOperation(readFile, [validatedPath, { encoding, signal }]);
+
+        return { path: validatedPath, size, modified: mtime.toISOString(), isBinary, encoding, content };
+    }
+
+    /**
+     * Displays the first lines of a file, `-n` sets their number.
+     * 
+     * @async
+     * @param {Object} args - Parsed arguments
+     * @param {Object} args.options - Number of lines
+     * @param {string[]} args.operands - Path to the file
+     * @returns {Promise<{path: string, lines: string[]}>} Printed lines
+     * @throws {Error} If the file is inaccessible or the number of lines is invalid
+     */
+    async printFileHead({ options, operands }) {
+        const count = this.#getOptionValue(options, 'lines', this.#getDepth) ?? DEFAULT_LINES_COUNT;
+        const validatedPath = await this.#getValidatedPath(operands[0]);
+        const lines = [];
+
+        if (!await this.#checkIsTextFile(validatedPath)) {
+            return { path: validatedPath, lines };
+        }
+
+        await this.#launchOperation(async () => {
+            for await (const line of readFileLines(validatedPath, { signal: this.#abortController.signal })) {
+                if (lines.length >= count) {
+                    break;
+                }
+
+                lines.push(line);
+                this.#print(line);
+            }
+        }, []);
+
+        return { path: validatedPath, lines };
+    }
+
+    /**
+     * Displays the last lines of a file, `-n` sets their number. The file is read from its end.
+     * With `-f` data appended to the file is printed as it comes, until the command is cancelled with Ctrl+C.
+     * 
+     * @async
+     * @param {Object} args - Parsed arguments
+     * @param {Object} args.options - Number of lines and following
+     * @param {string[]} args.operands - Path to the file
+     * @returns {Promise<{path: string, lines: string[]}>} Printed lines, without the followed data
+     * @throws {Error} If the file is inaccessible or the number of lines is invalid
+     */
+    async printFileTail({ options, operands }) {
+        const count = this.#getOptionValue(options, 'lines', this.#getDepth) ?? DEFAULT_LINES_COUNT;
+        const validatedPath = await this.#getValidatedPath(operands[0]);
+        const { signal } = this.#abortController;
+
+        if (!await this.#checkIsTextFile(validatedPath)) {
+            return { path: validatedPath, lines: [] };
+        }
+
+        const { lines, size } = await this.#launchOperation(readTailLines, [validatedPath, count, { signal }]);
+        lines.forEach(line => this.#print(line));
+
+        if (options.follow) {
+            await this.#launchOperation(followFile, [validatedPath, {
+                position: size,
+                signal,
+                onData: chunk => {
+                    if (!this.#isJsonOutput) {
+                        this.#output.write(chunk);
+                    }
+                },
+            }]);
+        }
+
+        return { path: validatedPath, lines };
+    }
+
+    /**
+     * Displays bytes of a file as `hexdump -C` does. `-s` (`--offset`) and `-n` (`--length`) limit the dumped part,
+     * they take a number of bytes like `512`, `4K` or `0x200`.
+     * 
+     * @async
+     * @param {Object} args - Parsed arguments
+     * @param {Object} args.options - Offset and length
+     * @param {string[]} args.operands - Path to the file
+     * @returns {Promise<{path: string, offset: number, length: number, lines: string[]}>} Dumped lines
+     * @throws {Error} If the file is inaccessible or the offset or length is invalid
+     */
+    async printHexDump({ options, operands }) {
+        const parseBytes = value => /^0x[\da-f]+$/i.test(value) ? Number.parseInt(value, 16) : getBytesFromSize(value);
+        const offset = this.#getOptionValue(options, 'offset', parseBytes) ?? 0;
+        const length = this.#getOptionValue(options, 'length', parseBytes) ?? Infinity;
+        const validatedPath = await this.#getValidatedPath(operands[0]);
+        const lines = [];
+
+        const dumpedLength = await this.#launchOperation(dumpFileHex, [validatedPath, {
+            offset,
+            length,
+            onLine: line => {
+                lines.push(line);
+                this.#print(line);
+            },
+            ...this.#getProgressOptions(),
+        }]);
+
+        return { path: validatedPath, offset, length: dumpedLength, lines };
+    }
+
+    /**
+     * Prints the given words separated by spaces, mostly to write them to a file with `>` or `>>`.
+     * 
+     * @param {string[]} words - Words to print
+     * @returns {string} The printed text
+     */
+    printText(words) {
+        const text = words.join(' ');
+        this.#print(text);
+
+        return text;
+    }
+
+    /**
+     * Creates a new file with the specified name, empty unless `--content=text` is given.
+     * 
+     * @async
+     * @param {Object} args - Parsed arguments
+     * @param {Object} args.options - Content option
+     * @param {string[]} args.operands - Name of the file to create
+     * @returns {Promise<string>} Path of the created file
+     * @throws {Error} If the content option has no value or file creation fails
+     */
+    async createNewFile({ options, operands: [fileName] }) {
+        const content = this.#getOptionValue(options, 'content', value => value) ?? '';
+        const filePath = await this.#getSandboxedPath(fileName);
+        await this.#launchOperation(createFile, [filePath, content]);
+
+        return filePath;
+    }
+
+    /**
+     * Creates a new directory at the specified path.
+     * 
+     * @async
+     * @param {string} directoryPath - Path where the directory should be created
+     * @returns {Promise<string>} Path of the created directory
+     * @throws {Error} If directory creation fails
+     */
+    async createNewDirectory(directoryPath) {
+        const resolvedPath = await this.#getSandboxedPath(directoryPath);
+        await this.#launchOperation(createDirectory, [resolvedPath, { messages: this.#messages }]);
+
+        return resolvedPath;
+    }
+
+    /**
+     * Renames a file from old path to new path.
+     * 
+     * @async
+     * @param {Object} args - Parsed arguments
+     * @param {Object} args.options - Conflict options
+     * @param {string[]} args.operands - Old and new file paths
+     * @returns {Promise<Object>} Operation summary
+     * @throws {Error} If renaming fails or paths are invalid
+     */
+    async renameFileName({ options, operands }) {
+        const [oldPath, newPath] = operands;
+        const validatedPath = await this.#getValidatedPath(oldPath);
+        const onConflict = this.#getConflictHandler(options);
+        const targetPath = await this.#getSandboxedPath(newPath);
+
+        return this.#runJournaled('rn', async recordChange => {
+            const renameOptions = { messages: this.#messages, onConflict, onReplace: this.#getReplaceHandler(recordChange) };
+            const renamedPath = await this.#launchOperation(renameFile, [validatedPath, targetPath, renameOptions]);
+
+            if (renamedPath) {
+                recordChange({ type: 'rename', path: path.resolve(renamedPath), originalPath: path.resolve(validatedPath) });
+            }
+
+            return this.#reportOperationSummary(this.#getEntrySummary(validatedPath, Boolean(renamedPath)));
+        });
+    }
+
+    /**
+     * Copies files to a new location.
+     * Directories are copied only with `-r`, symbolic links are copied as links unless `-L` is given.
+     * Existing targets are handled according to the conflict options.
+     * 
+     * @async
+     * @param {Object} args - Parsed arguments
+     * @param {Object} args.options - Copy, conflict and preview options
+     * @param {string[]} args.operands - Source paths or glob patterns followed by the destination path
+     * @returns {Promise<Object>} Operation summary
+     * @throws {Error} If copying fails or paths are invalid
+     */
+    async copyFileToNewDirectory({ options, operands }) {
+        // Links inside copied directories would be followed out of the root
+        if (options.dereference && this.#rootDir) {
+            this.#throwInputError(this.#messages.getOptionNotAllowedWithRoot('--dereference'));
+        }
+
+        const { sourcePaths, targetPath, hasPatterns } = await this.#getSourcesAndTarget(operands);
+        const copyOptions = {
+            dereference: Boolean(options.dereference),
+            messages: this.#messages,
+            onConflict: this.#getConflictHandler(options),
+            ...this.#getProgressOptions(),
+        };
+
+        if (!await this.#confirmSources(sourcePaths, { hasPatterns, options })) {
+            return;
+        }
+
+        return this.#runJournaled('cp', recordChange => this.#runOnSources(sourcePaths, async sourcePath => {
+            const journaledOptions = { ...copyOptions, onReplace: this.#getReplaceHandler(recordChange) };
+
+            if (!await this.#isDirectory(sourcePath, copyOptions.dereference)) {
+                const copiedPath = await this.#launchOperation(copyFileToDest, [sourcePath, targetPath, journaledOptions]);
+
+                if (copiedPath) {
+                    recordChange({ type: 'copy', path: path.resolve(copiedPath) });
+                }
+
+                return this.#getEntrySummary(sourcePath, Boolean(copiedPath));
+            }
+
+            if (!options.recursive) {
+                this.#throwInputError(this.#messages.getIsDirectory(this.#getDisplayPath(sourcePath)));
+            }
+
+            // Copies merged into an existing directory can't be told apart from its content, so they aren't undone
+            const copiedPath = path.resolve(targetPath, path.basename(sourcePath));
+            const isNewTarget = !await lstat(copiedPath).catch(() => null);
+            const summary = await this.#launchOperation(copyDirectoryToDest, [sourcePath, targetPath, journaledOptions]);
+
+            if (isNewTarget && summary.succeeded.includes(sourcePath)) {
+                recordChange({ type: 'copy', path: copiedPath });
+            }
+
+            return summary;
+        }));
+    }
+
+    /**
+     * Moves files or directories to a new location.
+     * Uses an atomic rename when possible and falls back to copy, verify and delete across devices.
+     * Existing targets are handled according to the conflict options.
+     * 
+     * @async
+     * @param {Object} args - Parsed arguments
+     * @param {Object} args.options - Conflict, preview and confirmation options
+     * @param {string[]} args.operands - Source paths or glob patterns followed by the destination path
+     * @returns {Promise<Object>} Operation summary
+     * @throws {Error} If moving fails or paths are invalid
+     */
+    async moveFileToNewDirectory({ options, operands }) {
+        const { sourcePaths, targetPath, hasPatterns } = await this.#getSourcesAndTarget(operands);
+        const moveOptions = {
+            messages: this.#messages,
+            onConflict: this.#getConflictHandler(options),
+            ...this.#getProgressOptions(),
+        };
+
+        if (!await this.#confirmSources(sourcePaths, { hasPatterns, options, isDestructive: true })) {
+            return;
+        }
+
+        return this.#runJournaled('mv', recordChange => this.#runOnSources(sourcePaths, async sourcePath => {
+            const journaledOptions = { ...moveOptions, onReplace: this.#getReplaceHandler(recordChange) };
+            const summary = await this.#launchOperation(moveEntryToDest, [sourcePath, targetPath, journaledOptions]);
+
+            if (summary.succeeded.includes(sourcePath) && !summary.failed.length) {
+                const movedPath = path.resolve(targetPath, path.basename(sourcePath));
+                recordChange({ type: 'move', path: movedPath, originalPath: path.resolve(sourcePath) });
+            }
+
+            return summary;
+        }));
+    }
+
+    /**
+     * Moves specified files, or directories with all their content when `-r` is given, to the trash.
+     * With `--permanent` they are deleted right away.
+     * 
+     * @async
+     * @param {Object} args - Parsed arguments
+     * @param {Object} args.options - Deletion, preview and confirmation options
+     * @param {string[]} args.operands - Paths or glob patterns to delete
+     * @returns {Promise<Object>} Operation summary
+     * @throws {Error} If deletion fails or file doesn't exist
+     */
+    async deleteTargetFile({ options, operands }) {
+        const { sourcePaths, hasPatterns } = await this.#getSourcePaths(operands);
+
+        if (!await this.#confirmSources(sourcePaths, { hasPatterns, options, isDestructive: true })) {
+            return;
+        }
+
+        return this.#runJournaled('rm', recordChange => this.#runOnSources(sourcePaths, async sourcePath => {
+            const isDirectory = await this.#isDirectory(sourcePath);
+
+            if (isDirectory && !options.recursive) {
+                this.#throwInputError(this.#messages.getIsDirectory(this.#getDisplayPath(sourcePath)));
+            }
+
+            if (!options.permanent) {
+                const trashOptions = { messages: this.#messages, ...this.#getProgressOptions() };
+                const { id, originalPath } = await this.#launchOperation(moveToTrash, [sourcePath, this.#getTrashDir(), trashOptions]);
+                recordChange({ type: 'trash', path: originalPath, id });
+
+                return this.#getEntrySummary(sourcePath, true);
+            }
+
+            if (!isDirectory) {
+                await this.#launchOperation(deleteFile, [sourcePath]);
+
+                return this.#getEntrySummary(sourcePath, true);
+            }
+
+            return this.#launchOperation(deleteDirectory, [sourcePath]);
+        }));
+    }
+
+    /**
+     * Searches the current or a specified directory tree and prints matching paths.
+     * Criteria: `--name=glob`, `--type=f|d|l`, `--min-size`/`--max-size` (e.g. `10K`, `2M`),
+     * `--newer`/`--older` (a duration like `2d` or a date) and `--max-depth`.
+     * 
+     * @async
+     * @param {Object} args - Parsed arguments
+     * @param {Object} args.options - Search criteria
+     * @param {string[]} args.operands - Optional start path
+     * @returns {Promise<string[]>} Found paths
+     * @throws {Error} If the start path or any criteria value is invalid
+     */
+    async printFoundEntries({ options, operands }) {
+        const startPath = operands.length ? await this.#getValidatedPath(operands[0]) : this.currentDir;
+        const criteria = {
+            namePattern: this.#getOptionValue(options, 'name', value => value),
+            type: this.#getOptionValue(options, 'type', value => ENTRY_TYPES.includes(value) ? value : null),
+            minSize: this.#getOptionValue(options, 'min-size', getBytesFromSize),
+            maxSize: this.#getOptionValue(options, 'max-size', getBytesFromSize),
+            newerThan: this.#getOptionValue(options, 'newer', getDateFromTimeSpec),
+            olderThan: this.#getOptionValue(options, 'older', getDateFromTimeSpec),
+            maxDepth: this.#getOptionValue(options, 'max-depth', this.#getDepth) ?? Infinity,
+        };
+
+        const foundPaths = [];
+
+        await this.#launchOperation(findEntries, [startPath, criteria, {
+            onMatch: entryPath => {
+                foundPaths.push(entryPath);
+                this.#print(this.#getDisplayPath(entryPath));
+            },
+            onError: (entryPath, error) => this.#printUnreadableSkipped(entryPath, error),
+        }]);
+
+        return foundPaths;
+    }
+
+    /**
+     * Searches files in the current or a specified directory tree and prints matches as `path:line:text`.
+     * The query is a literal string unless `-E` is given, `-i` ignores case.
+     * 
+     * @async
+     * @param {Object} args - Parsed arguments
+     * @param {Object} args.options - Matching options
+     * @param {string[]} args.operands - Query followed by an optional start path
+     * @returns {Promise<{path: string, line: number, text: string}[]>} Matched lines
+     * @throws {Error} If the query or the start path is invalid
+     */
+    async printMatchedLines({ options, operands }) {
+        const [query, searchPath] = operands;
+        this.#checkIsParameterExist(query);
+
+        const startPath = searchPath ? await this.#getValidatedPath(searchPath) : this.currentDir;
+        const matcher = this.#getSearchMatcher(query, options);
+        const maxDepth = this.#getOptionValue(options, 'max-depth', this.#getDepth) ?? Infinity;
+
+        const matches = [];
+
+        await this.#launchOperation(grepFiles, [startPath, matcher, {
+            maxDepth,
+            onMatch: (filePath, lineNumber, line) => {
+                matches.push({ path: filePath, line: lineNumber, text: line });
+                this.#print(`${this.#getDisplayPath(filePath)}:${lineNumber}:${line}`);
+            },
+            onError: (entryPath, error) => this.#printUnreadableSkipped(entryPath, error),
+        }]);
+
+        return matches;
+    }
+
+    /**
+     * Replaces a literal string, or a regular expression with `-E`, in files and shows the changes
+     * as a unified diff before writing them. `-i` ignores case, `-r` processes files in directories
+     * and binary files are skipped. The changes are written after confirmation unless `-y` is given,
+     * `--dry-run` only shows the diff. With `-E` `^` and `$` match at line boundaries
+     * and the replacement may refer to groups as `$1`.
+     * 
+     * @async
+     * @param {Object} args - Parsed arguments
+     * @param {Object} args.options - Matching, recursion, preview and confirmation options
+     * @param {string[]} args.operands - Search string, replacement and paths or glob patterns of files
+     * @returns {Promise<{path: string, count: number}[]|undefined>} Changed files with their numbers of replacements, nothing if cancelled or only previewed
+     * @throws {Error} If the search string is invalid, a path doesn't exist or writing fails
+     */
+    async replaceInFiles({ options, operands }) {
+        const [query, replacement, ...patterns] = operands;
+        const matcher = this.#getSearchMatcher(query, options, 'gm');
+        const { sourcePaths } = await this.#getSourcePaths(patterns);
+
+        for (const sourcePath of sourcePaths) {
+            if (!options.recursive && await this.#isDirectory(sourcePath)) {
+                this.#throwInputError(this.#messages.getIsDirectory(this.#getDisplayPath(sourcePath)));
+            }
+        }
+
+        const changes = [];
+
+        for (const filePath of await this.#getFilePaths(sourcePaths)) {
+            if (await this.#launchOperation(isBinaryFile, [filePath])) {
+                continue;
+            }
+
+            const replaceOptions = { isLiteral: !options.regex, signal: this.#abortController.signal };
+            const change = await this.#launchOperation(getReplacedContent, [filePath, matcher, replacement, replaceOptions]);
+
+            if (change.count) {
+                changes.push({ filePath, ...change });
+            }
+        }
+
+        if (!changes.length) {
+            this.#print(this.#messages.getNoMatches(query));
+
+            return [];
+        }
+
+        changes.forEach(({ filePath, content, replacedContent }) => {
+            const displayPath = this.#getDisplayPath(filePath);
+            this.#getDiffLines(displayPath, displayPath, content, replacedContent).forEach(line => this.#print(line));
+        });
+
+        if (options['dry-run']) {
+            return;
+        }
+
+        if (!options.yes) {
+            const answer = await this.#askQuestion(this.#messages.getReplacePrompt(changes.length));
+
+            if (!answer.trim().toLowerCase().startsWith('y')) {
+                this.#print(this.#messages.getCancelled());
+
+                return;
+            }
+        }
+
+        await this.#runOnSources(changes.map(({ filePath }) => filePath), async filePath => {
+            const { replacedContent, count } = changes.find(change => change.filePath === filePath);
+            await this.#launchOperation(writeReplacedContent, [filePath, replacedContent]);
+            this.#print(`${this.#getDisplayPath(filePath)}: ${this.#messages.getReplacementsCount(count)}`);
+
+            return this.#getEntrySummary(filePath, true);
+        }, { isQuiet: true });
+
+        return changes.map(({ filePath, count }) => ({ path: filePath, count }));
+    }
+
+    /**
+     * Compares two files line by line and prints the differences as a unified diff,
+     * `-U n` sets the number of context lines. Binary files are only reported as different.
+     * With `-r` two directories are compared by entry names, sizes and digests instead,
+     * and the added, removed and changed entries are listed.
+     * 
+     * @async
+     * @param {Object} args - Parsed arguments
+     * @param {Object} args.options - Context and recursion options
+     * @param {string[]} args.operands - Paths of the old and the new file or directory
+     * @returns {Promise<Object>} Compared paths, whether they differ, and the diff lines or the differing entries
+     * @throws {Error} If a path doesn't exist, directories are compared without `-r` or reading fails
+     */
+    async printDifferences({ options, operands }) {
+        const contextSize = this.#getOptionValue(options, 'unified', this.#getDepth) ?? DEFAULT_DIFF_CONTEXT;
+        const paths = [await this.#getValidatedPath(operands[0]), await this.#getValidatedPath(operands[1])];
+        const [firstName, secondName] = paths.map(comparedPath => this.#getDisplayPath(comparedPath));
+        const [isFirstDirectory, isSecondDirectory] = [await this.#isDirectory(paths[0], true), await this.#isDirectory(paths[1], true)];
+
+        if (isFirstDirectory !== isSecondDirectory) {
+            this.#throwInputError(isFirstDirectory
+                ? this.#messages.getDirectoryWithFile(firstName, secondName)
+                : this.#messages.getDirectoryWithFile(secondName, firstName));
+        }
+
+        if (isFirstDirectory) {
+            if (!options.recursive) {
+                this.#throwInputError(this.#messages.getIsDirectory(firstName));
+            }
+
+            return this.#printDirectoriesDifferences(paths);
+        }
+
+        if (await this.#launchOperation(isBinaryFile, [paths[0]]) || await this.#launchOperation(isBinaryFile, [paths[1]])) {
+            const difference = await this.#launchOperation(compareFiles, [...paths, this.#getProgressOptions()]);
+            this.#print(difference ? this.#messages.getBinaryFilesDiffer(firstName, secondName) : this.#messages.getNoDifferences());
+
+            return { paths, isDifferent: Boolean(difference), isBinary: true, lines: [] };
+        }
+
+        const readOptions = { encoding: 'utf8', signal: this.#abortController.signal };
+        const [firstContent, secondContent] = [
+            await this.#launchOperation(readFile, [paths[0], readOptions]),
+            await this.#launchOperation(readFile, [paths[1], readOptions]),
+        ];
+        const lines = firstContent === secondContent
+            ? []
+            : this.#getDiffLines(firstName, secondName, firstContent, secondContent, contextSize);
+
+        lines.forEach(line => this.#print(line));
+
+        if (!lines.length) {
+            this.#print(this.#messages.getNoDifferences());
+        }
+
+        return { paths, isDifferent: lines.length > 0, isBinary: false, lines };
+    }
+
+    /**
+     * Lists the entries that differ between two directory trees as `path: ADDED|REMOVED|CHANGED`,
+     * followed by the counts. Entries that can't be read are reported and skipped.
+     * 
+     * @private
+     * @async
+     * @param {string[]} paths - Paths of the old and the new directory
+     * @returns {Promise<Object>} Compared paths, whether they differ and the differing entries
+     * @throws {Error} If comparing fails
+     */
+    async #printDirectoriesDifferences(paths) {
+        const entries = await this.#launchOperation(compareDirectories, [...paths, {
+            ...this.#getProgressOptions(),
+            onError: (entryPath, error) => this.#printUnreadableSkipped(entryPath, error),
+        }]);
+
+        if (!entries.length) {
+            this.#print(this.#messages.getNoDifferences());
+
+            return { paths, isDifferent: false, entries };
+        }
+
+        entries.forEach(({ path: entryPath, status }) => this.#print(`${entryPath}: ${status}`));
+        this.#print(Object.values(DIFF_STATUSES)
+            .map(status => `${status}: ${entries.filter(entry => entry.status === status).length}`)
+            .join(', '));
+
+        return { paths, isDifferent: true, entries };
+    }
+
+    /**
+     * Compares two files byte by byte and prints the first difference, as `cmp` does.
+     * 
+     * @async
+     * @param {string[]} operands - Paths of the two files
+     * @returns {Promise<Object>} Compared paths, whether they differ, the number of the first differing byte and its line,
+     * and the path of the file that ended first if one is the start of the other
+     * @throws {Error} If a file is inaccessible or reading fails
+     */
+    async printFirstDifference(operands) {
+        const paths = [await this.#getValidatedPath(operands[0]), await this.#getValidatedPath(operands[1])];
+        const [firstName, secondName] = paths.map(comparedPath => this.#getDisplayPath(comparedPath));
+        const difference = await this.#launchOperation(compareFiles, [...paths, this.#getProgressOptions()]);
+
+        if (!difference) {
+            this.#print(this.#messages.getNoDifferences());
+
+            return { paths, isDifferent: false, byte: null, line: null, eofPath: null };
+        }
+
+        const { byte, line, eofPath } = difference;
+
+        this.#print(eofPath
+            ? this.#messages.getEndOfFile(this.#getDisplayPath(eofPath), byte)
+            : this.#messages.getFilesDiffer(firstName, secondName, byte, line));
+
+        return { paths, isDifferent: true, byte, line, eofPath };
+    }
+
+    /**
+     * Displays operating system information for every given flag, in the given order. `--all` shows all of it.
+     * With several flags every value is preceded by its flag name.
+     * 
+     * @async
+     * @param {Object} args - Parsed arguments
+     * @param {Object} args.options - Flags specifying which OS info to display
+     * @returns {Promise<*>} The requested information, an object by flag name for several flags
+     * @throws {Error} If no flag is given or the information can't be read
+     */
+    async printOsInfo({ options }) {
+        const { all: isAll, ...parameterOptions } = options;
+        const parameters = isAll ? OS_PARAMETERS : Object.keys(parameterOptions);
+        this.#checkIsParameterExist(parameters[0]);
+
+        try {
+            const osInfo = {};
+
+            for (const parameter of parameters) {
+                osInfo[parameter] = await getOsInfo(parameter, {
+                    isRaw: this.#isJsonOutput,
+                    currentDir: this.currentDir,
+                    messages: this.#messages,
+                });
+            }
+
+            if (parameters.length === 1) {
+                this.#print(osInfo[parameters[0]]);
+
+                return osInfo[parameters[0]];
+            }
+
+            Object.entries(osInfo).forEach(([parameter, value]) => {
+                // Multiline values start on the line after the flag name
+                const separator = String(value).includes('\n') ? '\n' : ' ';
+                this.#print(`${parameter}:${separator}${String(value).trimEnd()}`);
+            });
+
+            return osInfo;
+        } catch (error) {
+            this.#throwOperationError(error);
+        }
+    }
+
+    /**
+     * Calculates and displays the hash of specified files, directories are hashed file by file.
+     * For several files every hash is followed by the file path, as in `sha256sum`.
+     * Options: `--algo=name` (sha256 by default), `--base64`, `--manifest[=file]` to write
+     * the checksums to a file, and `--check[=file]` to verify files listed in a manifest.
+     * 
+     * @async
+     * @param {Object} args - Parsed arguments
+     * @param {Object} args.options - Hashing, manifest, conflict and preview options
+     * @param {string[]} args.operands - Paths or glob patterns of files to hash, or manifest paths with `--check`
+     * @returns {Promise<Object[]>} Calculated checksums or verification results
+     * @throws {Error} If hashing fails, a file doesn't exist or a checked file doesn't match
+     */
+    async printCalculatedHash({ options, operands }) {
+        const algorithm = options.algo === undefined ? null : String(options.algo).toLowerCase();
+
+        if (algorithm !== null && !getHashes().includes(algorithm)) {
+            this.#throwInputError(this.#messages.getUnknownHashAlgorithm(options.algo));
+        }
+
+        if (options.check) {
+            return this.#printChecksumsVerification(options.check === true ? operands : [options.check], algorithm);
+        }
+
+        const { sourcePaths, hasPatterns } = await this.#getSourcePaths(operands);
+        const hashOptions = {
+            algorithm: algorithm ?? DEFAULT_HASH_ALGORITHM,
+            encoding: options.base64 ? 'base64' : 'hex',
+            ...this.#getProgressOptions(),
+        };
+
+        if (!await this.#confirmSources(sourcePaths, { hasPatterns, options })) {
+            return;
+        }
+
+        const filePaths = await this.#getFilePaths(sourcePaths);
+        const isSingleFile = filePaths.length === 1 && filePaths[0] === sourcePaths[0];
+        const checksums = [];
+
+        await this.#runOnSources(filePaths, async filePath => {
+            const digest = await this.#launchOperation(calculateHash, [filePath, hashOptions]);
+            checksums.push({ filePath, digest });
+            this.#print(isSingleFile ? digest : `${digest}  ${this.#getDisplayPath(filePath)}`);
+
+            return this.#getEntrySummary(filePath, true);
+        }, { isQuiet: true });
+
+        if (options.manifest) {
+            const manifestPath = await this.#getSandboxedPath(options.manifest === true
+                ? `${hashOptions.algorithm.toUpperCase()}SUMS`
+                : options.manifest);
+            const manifestOptions = { messages: this.#messages, onConflict: this.#getConflictHandler(options) };
+            const writtenPath = await this.#launchOperation(writeChecksumManifest, [manifestPath, checksums, manifestOptions]);
+
+            this.#print(writtenPath
+                ? this.#messages.getManifestWritten(this.#getDisplayPath(writtenPath))
+                : this.#messages.getTargetSkipped(this.#getDisplayPath(manifestPath)));
+        }
+
+        return checksums.map(({ filePath, digest }) => ({ path: filePath, algorithm: hashOptions.algorithm, digest }));
+    }
+
+    /**
+     * Verifies files listed in a checksum manifest and prints `path: OK|FAILED|MISSING` for each of them.
+     * 
+     * @private
+     * @async
+     * @param {string[]} operands - The manifest path as the only operand
+     * @param {string|null} algorithm - Hash algorithm, detected from the digest length if null
+     * @returns {Promise<{path: string, status: string}[]>} Verification results
+     * @throws {Error} If the manifest is invalid or any file failed verification
+     */
+    async #printChecksumsVerification(operands, algorithm) {
+        const manifestPath = await this.#getValidatedPath(this.#getSingleParameter(operands));
+        const results = [];
+        const counts = await this.#launchOperation(verifyChecksums, [manifestPath, {
+            algorithm,
+            messages: this.#messages,
+            resolvePath: filePath => this.#getSandboxedPath(filePath),
+            onResult: (filePath, status) => {
+                results.push({ path: filePath, status });
+                this.#print(`${filePath}: ${status}`);
+            },
+            ...this.#getProgressOptions(),
+        }]);
+
+        this.#print(Object.entries(counts).map(([status, count]) => `${status}: ${count}`).join(', '));
+
+        const failedCount = counts[CHECK_STATUSES.FAILED] + counts[CHECK_STATUSES.MISSING];
+
+        if (failedCount) {
+            this.#throwOperationError(this.#messages.getCheckFailed(failedCount), results);
+        }
+
+        return results;
+    }
+
+    /**
+     * Replaces directories with all regular files found in them.
+     * 
+     * @private
+     * @async
+     * @param {string[]} sourcePaths - Paths of files and directories
+     * @returns {Promise<string[]>} Paths of regular files
+     */
+    async #getFilePaths(sourcePaths) {
+        const filePaths = [];
+
+        for (const sourcePath of sourcePaths) {
+            if (!await this.#isDirectory(sourcePath)) {
+                filePaths.push(sourcePath);
+                continue;
+            }
+
+            await this.#launchOperation(findEntries, [sourcePath, { type: 'f' }, {
+                onMatch: filePath => filePaths.push(filePath),
+                onError: (entryPath, error) => this.#printUnreadableSkipped(entryPath, error),
+            }]);
+        }
+
+        return filePaths;
+    }
+
+    /**
+     * Compresses files to a specified directory and prints the resulting sizes.
+     * Options: `--format=br|gzip|deflate` (br by default) and `--level=n`,
+     * which is the quality (0-11) for Brotli and the compression level (0-9) for the others.
+     * 
+     * @async
+     * @param {Object} args - Parsed arguments
+     * @param {Object} args.options - Compression, conflict and preview options
+     * @param {string[]} args.operands - Source paths or glob patterns followed by the destination path
+     * @returns {Promise<Object>} Operation summary
+     * @throws {Error} If compression fails or paths are invalid
+     */
+    async compressFileToDirectory({ options, operands }) {
+        const format = this.#getOptionValue(options, 'format', value => {
+            return COMPRESSION_FORMATS.hasOwnProperty(value) ? value : null;
+        }) ?? DEFAULT_COMPRESSION_FORMAT;
+        const level = this.#getOptionValue(options, 'level', value => {
+            const parsedLevel = this.#getDepth(value);
+
+            return parsedLevel !== null && parsedLevel <= COMPRESSION_FORMATS[format].maxLevel ? parsedLevel : null;
+        }) ?? undefined;
+        const { sourcePaths, targetPath, hasPatterns } = await this.#getSourcesAndTarget(operands);
+        const compressOptions = {
+            format,
+            level,
+            messages: this.#messages,
+            onConflict: this.#getConflictHandler(options),
+            ...this.#getProgressOptions(),
+        };
+
+        if (!await this.#confirmSources(sourcePaths, { hasPatterns, options })) {
+            return;
+        }
+
+        return this.#runOnSources(sourcePaths, async sourcePath => {
+            const compressedPath = await this.#launchOperation(compressFile, [sourcePath, targetPath, compressOptions]);
+            await this.#printSizeChange(sourcePath, compressedPath);
+
+            return this.#getEntrySummary(sourcePath, Boolean(compressedPath));
+        });
+    }
+
+    /**
+     * Decompresses files to a specified directory and prints the resulting sizes.
+     * The format is detected from magic bytes or the extension (`.br`, `.gz`, `.zz`).
+     * 
+     * @async
+     * @param {Object} args - Parsed arguments
+     * @param {Object} args.options - Conflict and preview options
+     * @param {string[]} args.operands - Source paths or glob patterns followed by the destination path
+     * @returns {Promise<Object>} Operation summary
+     * @throws {Error} If decompression fails or paths are invalid
+     */
+    async decompressFileToDirectory({ options, operands }) {
+        const { sourcePaths, targetPath, hasPatterns } = await this.#getSourcesAndTarget(operands);
+        const decompressOptions = {
+            messages: this.#messages,
+            onConflict: this.#getConflictHandler(options),
+            ...this.#getProgressOptions(),
+        };
+
+        if (!await this.#confirmSources(sourcePaths, { hasPatterns, options })) {
+            return;
+        }
+
+        return this.#runOnSources(sourcePaths, async sourcePath => {
+            const decompressedPath = await this.#launchOperation(decompressFile, [sourcePath, targetPath, decompressOptions]);
+            await this.#printSizeChange(sourcePath, decompressedPath);
+
+            return this.#getEntrySummary(sourcePath, Boolean(decompressedPath));
+        });
+    }
+    
+    /**
+     * Bundles files and directories into a ustar archive, the last operand being the archive path.
+     * `--format=gzip|br|deflate` compresses the archive, by default the format is taken from
+     * the archive extension (`.tar.gz`, `.tgz`, `.tar.br`, `.tar.zz`).
+     * 
+     * @async
+     * @param {Object} args - Parsed arguments
+     * @param {Object} args.options - Compression, conflict and preview options
+     * @param {string[]} args.operands - Source paths or glob patterns followed by the archive path
+     * @returns {Promise<Object>} Operation summary
+     * @throws {Error} If archiving fails or paths are invalid
+     */
+    async createArchive({ options, operands }) {
+        const archivePath = await this.#getSandboxedPath(operands.at(-1));
+        const format = this.#getOptionValue(options, 'format', value => {
+            return value === 'none' || COMPRESSION_FORMATS.hasOwnProperty(value) ? value : null;
+        }) ?? getArchiveCompressionByName(archivePath);
+        const { sourcePaths, hasPatterns } = await this.#getSourcePaths(operands.slice(0, -1));
+        const archiveOptions = {
+            format: format === 'none' ? null : format,
+            messages: this.#messages,
+            onConflict: this.#getConflictHandler(options),
+        };
+
+        if (!await this.#confirmSources(sourcePaths, { hasPatterns, options })) {
+            return;
+        }
+
+        return this.#runOnSources([archivePath], async () => {
+            const summary = await this.#launchOperation(createTarArchive, [sourcePaths, archivePath, archiveOptions]);
+
+            if (!summary) {
+                return this.#getEntrySummary(archivePath, false);
+            }
+
+            const { size } = await stat(archivePath);
+            const archivedEntries = this.#messages.getArchivedEntries(summary.succeeded.length);
+            this.#print(`${this.#getDisplayPath(archivePath)}: ${archivedEntries} (${getHumanReadableSize(size)})`);
+
+            return summary;
+        }, { isQuiet: true });
+    }
+
+    /**
+     * Extracts a tar archive to the current or a specified directory, `-t` lists its entries instead.
+     * Compression is detected automatically. Entries pointing outside the destination are rejected.
+     * 
+     * @async
+     * @param {Object} args - Parsed arguments
+     * @param {Object} args.options - Listing and conflict options
+     * @param {string[]} args.operands - Archive path followed by an optional destination path
+     * @returns {Promise<Object|Object[]>} Operation summary, or archive entries with `-t`
+     * @throws {Error} If extraction fails or paths are invalid
+     */
+    async extractArchive({ options, operands }) {
+        const [archiveOperand, targetOperand = this.currentDir] = operands;
+
+        const archivePath = await this.#getValidatedPath(archiveOperand);
+
+        if (options.list) {
+            const entries = await this.#launchOperation(listTarArchive, [archivePath, { messages: this.#messages }]);
+            this.#printTable(entries);
+
+            return entries;
+        }
+
+        const targetPath = await this.#getValidatedPath(targetOperand);
+        const extractOptions = { messages: this.#messages, onConflict: this.#getConflictHandler(options) };
+
+        return this.#runOnSources([archivePath], async () => {
+            const summary = await this.#launchOperation(extractTarArchive, [archivePath, targetPath, extractOptions]);
+            this.#print(`${this.#getDisplayPath(targetPath)}: ${this.#messages.getExtractedEntries(summary.succeeded.length)}`);
+
+            return summary;
+        }, { isQuiet: true });
+    }
+
+    /**
+     * Displays the commands entered in interactive sessions, numbered for recall with `!n`.
+     * 
+     * @returns {Object[]} History entries with their numbers
+     */
+    printHistory() {
+        const entries = this.#history.map((command, index) => ({ number: index + 1, command }));
+        const numberWidth = String(entries.length).length;
+
+        entries.forEach(({ number, command }) => this.#print(`${String(number).padStart(numberWidth)}  ${command}`));
+
+        return entries;
+    }
+
+    /**
+     * Lists aliases, shows one alias or defines an alias with `alias name=command`.
+     * The alias replaces the first word of the input, the rest of the input is appended to its command.
+     * 
+     * @param {string[]} params - Nothing, an alias name or an alias definition
+     * @returns {Object[]} Aliases with their commands
+     * @throws {Error} If the alias is unknown or the definition is invalid
+     */
+    manageAliases(params) {
+        let names = [...this.#aliases.keys()];
+
+        if (params.some(param => param.includes('='))) {
+            names = [this.#defineAlias(params, this.#quotedTokens)];
+        } else if (params.length) {
+            this.#checkIsArgsCountMatchLimit(params.length, 1);
+            names = params;
+
+            if (!this.#aliases.has(params[0])) {
+                this.#throwInputError(this.#messages.getUnknownAlias(params[0]));
+            }
+        }
+
+        const aliases = names.map(name => ({ name, command: this.#aliases.get(name) }));
+        aliases.forEach(({ name, command }) => this.#print(`alias ${name}='${command}'`));
+
+        return aliases;
+    }
+
+    /**
+     * Manages the trash: `trash list` shows the deleted entries, `trash restore id...` moves them back
+     * to their original paths and `trash empty` deletes them permanently after a confirmation.
+     * 
+     * @async
+     * @param {Object} args - Parsed arguments
+     * @param {Object} args.options - Conflict and confirmation options
+     * @param {string[]} args.operands - Action followed by trash item ids
+     * @returns {Promise<Object[]|Object|undefined>} Trash items or operation summary
+     * @throws {Error} If the action is unknown or a trash item can't be restored
+     */
+    async manageTrash({ options, operands }) {
+        const [action, ...ids] = operands;
+        const actionsMap = {
+            list: () => this.#printTrashItems(),
+            restore: () => this.#restoreTrashItems(ids, options),
+            empty: () => this.#emptyTrash(options),
+        };
+
+        if (!actionsMap.hasOwnProperty(action)) {
+            this.#throwArgumentError(this.#messages.getUnknownTrashAction(action));
+        }
+
+        if (action !== 'restore' && ids.length) {
+            this.#throwArgumentError(this.#messages.getTooManyArguments());
+        }
+
+        return actionsMap[action]();
+    }
+
+    /**
+     * Reverts the last `rn`, `mv`, `rm` or `cp`: entries are moved back, deleted and overwritten ones are restored
+     * from the trash and copies are moved to the trash. Repeated calls go further back in the journal.
+     * 
+     * @async
+     * @returns {Promise<Object>} Operation summary
+     * @throws {Error} If there is nothing to undo or some of the changes can't be reverted
+     */
+    async undoLastOperation() {
+        const operation = this.#journal.pop();
+
+        if (!operation) {
+            this.#throwOperationError(this.#messages.getNothingToUndo());
+        }
+
+        const summary = { succeeded: [], skipped: [], failed: [] };
+        const failedChanges = [];
+
+        this.#print(this.#messages.getUndoing(operation.command));
+
+        for (const change of [...operation.changes].reverse()) {
+            try {
+                await this.#revertChange(change);
+
+                // An overwritten target is reverted along with the entry that replaced it
+                if (!summary.succeeded.includes(change.path)) {
+                    summary.succeeded.push(change.path);
+                }
+            } catch (error) {
+                if (this.#abortController.signal.aborted) {
+                    throw error;
+                }
+
+                summary.failed.push({ path: change.path, error });
+                failedChanges.unshift(change);
+            }
+        }
+
+        // Changes that couldn't be reverted stay in the journal, so undo can be retried
+        this.#recordOperation(operation.command, failedChanges);
+
+        return this.#reportOperationSummary(summary);
+    }
+
+    /**
+     * Lists the commands with their descriptions, or shows the usage, options and examples of one command.
+     * 
+     * @param {string} [commandName] - Name or alias of the command to describe
+     * @returns {Object|Object[]} Command descriptions
+     * @throws {Error} If the command is unknown
+     */
+    printHelp(commandName) {
+        const EXIT_COMMAND = '.exit';
+
+        if (commandName === undefined) {
+            const commands = this.#registry.getCommands().map(({ handler, ...description }) => description);
+            const nameWidth = Math.max(EXIT_COMMAND.length, ...commands.map(({ name }) => name.length));
+
+            this.#print(this.#messages.getCommandsTitle());
+            commands.forEach(({ name, description }) => this.#print(`  ${name.padEnd(nameWidth)}  ${description}`));
+            this.#print(`  ${EXIT_COMMAND.padEnd(nameWidth)}  ${this.#messages.getExitDescription()}`);
+            this.#print(this.#messages.getHelpHint());
+
+            return commands;
+        }
+
+        const command = this.#registry.get(commandName);
+
+        if (!command) {
+            this.#throwInputError(this.#getUnknownCommandMessage(commandName));
+        }
+
+        const { handler, ...description } = command;
+        const optionSyntaxes = (command.options ?? []).map(option => this.#getOptionSyntax(option));
+        const syntaxWidth = Math.max(0, ...optionSyntaxes.map(syntax => syntax.length));
+
+        this.#print(`${command.name} - ${command.description}`);
+        this.#print(this.#messages.getUsage(command.usage));
+
+        if (command.aliases.length) {
+            this.#print(this.#messages.getAliases(command.aliases.join(', ')));
+        }
+
+        if (optionSyntaxes.length) {
+            this.#print(this.#messages.getOptionsTitle());
+            command.options.forEach((option, index) => {
+                this.#print(`  ${optionSyntaxes[index].padEnd(syntaxWidth)}  ${option.description ?? ''}`);
+            });
+        }
+
+        if (command.examples.length) {
+            this.#print(this.#messages.getExamplesTitle());
+            command.examples.forEach(example => this.#print(`  ${example}`));
+        }
+
+        return description;
+    }
+
+    /**
+     * Defines an alias from `name=command` split into parameters. The text after `=` is taken as is,
+     * so `alias ll="ls -l"` works, the following parameters are quoted again where needed.
+     * 
+     * @private
+     * @param {string[]} params - Alias definition
+     * @param {Set<string>} quotedParams - Parameters that were quoted in the input
+     * @returns {string} Name of the defined alias
+     * @throws {Error} If the name or the command is missing or the name contains unsupported characters
+     */
+    #defineAlias(params, quotedParams) {
+        const definition = params.join(' ');
+        const [definitionStart, ...commandParams] = params;
+        const separatorIdx = definitionStart.indexOf('=');
+        const name = definitionStart.slice(0, separatorIdx);
+        const command = [
+            definitionStart.slice(separatorIdx + 1),
+            ...commandParams.map(param => quoteInputToken(param, quotedParams.has(param))),
+        ].join(' ').trim();
+
+        if (separatorIdx === -1 || !/^[\w.-]+$/.test(name) || !command) {
+            this.#throwInputError(this.#messages.getInvalidAlias(definition));
+        }
+
+        this.#aliases.set(name, command);
+
+        return name;
+    }
+
+    /**
+     * Replaces an alias at the start of the input with its command. Aliases aren't expanded recursively.
+     * 
+     * @private
+     * @param {string} input - User input
+     * @returns {string} The input with the alias expanded
+     */
+    #expandAlias(input) {
+        const [, indent, word, rest] = /^(\s*)(\S*)(.*)$/s.exec(input);
+
+        return this.#aliases.has(word) ? `${indent}${this.#aliases.get(word)}${rest}` : input;
+    }
+
+    /**
+     * Prints the trash items as a table.
+     * 
+     * @private
+     * @async
+     * @returns {Promise<Object[]>} Trash items
+     */
+    async #printTrashItems() {
+        const items = await this.#launchOperation(readTrashItems, [this.#getTrashDir()]);
+
+        if (!items.length) {
+            this.#print(this.#messages.getTrashEmpty());
+        } else {
+            this.#printTable(items.map(({ id, originalPath, type, deletedAt }) => ({
+                Id: id,
+                Path: originalPath,
+                Type: type,
+                Deleted: getFormattedDate(new Date(deletedAt)),
+            })));
+        }
+
+        return items;
+    }
+
+    /**
+     * Moves trash items back to their original paths, existing entries there are handled
+     * according to the conflict options.
+     * 
+     * @private
+     * @async
+     * @param {string[]} ids - Ids of the trash items
+     * @param {Object} options - Parsed command options
+     * @returns {Promise<Object>} Operation summary
+     */
+    async #restoreTrashItems(ids, options) {
+        const trashDir = this.#getTrashDir();
+        const restoreOptions = {
+            messages: this.#messages,
+            onConflict: this.#getConflictHandler(options),
+            ...this.#getProgressOptions(),
+        };
+
+        this.#checkIsParameterExist(ids[0]);
+
+        const items = await this.#launchOperation(readTrashItems, [trashDir]);
+
+        return this.#runOnSources(ids, async id => {
+            const item = items.find(trashItem => trashItem.id === id);
+
+            if (!item) {
+                this.#throwOperationError(new NotFoundError(this.#messages.getTrashItemNotFound(id)));
+            }
+
+            // Items deleted in sessions without a root or with another one may belong outside of this root
+            await this.#getSandboxedPath(item.originalPath);
+
+            const restoredPath = await this.#launchOperation(restoreFromTrash, [id, trashDir, restoreOptions]);
+
+            return this.#getEntrySummary(item.originalPath, Boolean(restoredPath));
+        });
+    }
+
+    /**
+     * Permanently deletes all trash items, asking for a confirmation unless `-y` is given.
+     * 
+     * @private
+     * @async
+     * @param {Object} options - Parsed command options
+     * @returns {Promise<Object|undefined>} Number of deleted items, or nothing if cancelled
+     */
+    async #emptyTrash(options) {
+        const trashDir = this.#getTrashDir();
+        const items = await this.#launchOperation(readTrashItems, [trashDir]);
+
+        if (!items.length) {
+            this.#print(this.#messages.getTrashEmpty());
+
+            return { deleted: 0 };
+        }
+
+        if (!options.yes) {
+            const answer = await this.#askQuestion(this.#messages.getEmptyTrashPrompt(items.length));
+
+            if (!answer.trim().toLowerCase().startsWith('y')) {
+                this.#print(this.#messages.getCancelled());
+
+                return;
+            }
+        }
+
+        const deletedCount = await this.#launchOperation(emptyTrash, [trashDir]);
+        this.#print(this.#messages.getTrashEmptied(deletedCount));
+
+        return { deleted: deletedCount };
+    }
+
+    /**
+     * Reverts a single journaled change.
+     * 
+     * @private
+     * @async
+     * @param {Object} change - Change recorded by an operation
+     * @returns {Promise<void>}
+     * @throws {Error} If the entry is gone or its original path is taken
+     */
+    async #revertChange({ type, path: changedPath, originalPath, id }) {
+        const trashDir = this.#getTrashDir();
+        const progressOptions = { messages: this.#messages, ...this.#getProgressOptions() };
+        const revertMap = {
+            rename: () => renameFile(changedPath, originalPath, { messages: this.#messages }),
+            move: async () => {
+                const { failed } = await moveEntryToDest(changedPath, path.dirname(originalPath), progressOptions);
+
+                if (failed.length) {
+                    throw failed[0].error;
+                }
+            },
+            trash: () => restoreFromTrash(id, trashDir, progressOptions),
+            copy: () => moveToTrash(changedPath, trashDir, progressOptions),
+            // Whatever took the place of the overwritten target since then goes to the trash
+            replace: () => restoreFromTrash(id, trashDir, {
+                ...progressOptions,
+                onConflict: () => CONFLICT_ACTIONS.OVERWRITE,
+                onReplace: targetPath => moveToTrash(targetPath, trashDir, progressOptions),
+            }),
+        };
+
+        await this.#launchOperation(revertMap[type], []);
+    }
+
+    /**
+     * Creates a handler moving a target overwritten by a journaled operation to the trash, so undo can restore it.
+     * 
+     * @private
+     * @param {Function} recordChange - Function adding a change to the running operation
+     * @returns {Function} Async handler receiving the path of the replaced target
+     */
+    #getReplaceHandler(recordChange) {
+        return async targetPath => {
+            const trashOptions = { messages: this.#messages, ...this.#getProgressOptions() };
+            const { id, originalPath } = await moveToTrash(targetPath, this.#getTrashDir(), trashOptions);
+            recordChange({ type: 'replace', path: originalPath, id });
+        };
+    }
+
+    /**
+     * Runs an operation that reports its reversible changes, and adds them to the journal
+     * even if the operation fails partway.
+     * 
+     * @private
+     * @async
+     * @param {string} command - Command name shown by undo
+     * @param {Function} runOperation - Operation receiving a function to record a change
+     * @returns {Promise<*>} Result of the operation
+     */
+    async #runJournaled(command, runOperation) {
+        const changes = [];
+
+        try {
+            return await runOperation(change => changes.push(change));
+        } finally {
+            this.#recordOperation(command, changes);
+        }
+    }
+
+    /**
+     * Adds an operation to the journal, dropping the oldest one when the journal is full.
+     * 
+     * @private
+     * @param {string} command - Command name shown by undo
+     * @param {Object[]} changes - Changes `{ type, path, originalPath, id }` in the order they were made
+     * @returns {void}
+     */
+    #recordOperation(command, changes) {
+        if (!changes.length) {
+            return;
+        }
+
+        this.#journal.push({ command, changes });
+
+        if (this.#journal.length > JOURNAL_SIZE) {
+            this.#journal.shift();
+        }
+    }
+
+    /**
+     * Checks whether a file looks like text, a binary file is reported with a warning.
+     * 
+     * @private
+     * @async
+     * @param {string} filePath - Path of the file
+     * @returns {Promise<boolean>} True if the file can be printed as text
+     */
+    async #checkIsTextFile(filePath) {
+        const isBinary = await this.#launchOperation(isBinaryFile, [filePath]);
+
+        if (isBinary) {
+            this.#console.error(this.#messages.getBinaryFile(this.#getDisplayPath(filePath)));
+        }
+
+        return !isBinary;
+    }
+
+    /**
+     * Checks whether long output can be paged: the session is interactive and the output is a terminal.
+     * 
+     * @private
+     * @returns {boolean} True if a pager can be shown
+     */
+    #isPagerAvailable() {
+        return !this.#isBatchMode && !this.#isJsonOutput && Boolean(this.#output.isTTY && this.#output.rows);
+    }
+
+    /**
+     * Prints a file a screen at a time, waiting for Enter after every page, `q` stops the output.
+     * Lines longer than the terminal width take several rows.
+     * 
+     * @private
+     * @async
+     * @param {string} filePath - Path of the text file
+     * @returns {Promise<void>}
+     */
+    async #printPaged(filePath) {
+        const QUIT_KEY = 'q';
+
+        const { rows, columns = Infinity } = this.#output;
+        // The last row is left for the prompt
+        const pageHeight = Math.max(1, rows - 1);
+        let usedRows = 0;
+
+        await this.#launchOperation(async () => {
+            for await (const line of readFileLines(filePath, { signal: this.#abortController.signal })) {
+                const lineRows = Math.max(1, Math.ceil(line.length / columns));
+
+                if (usedRows && usedRows + lineRows > pageHeight) {
+                    const answer = await this.#askQuestion(this.#messages.getPagerPrompt());
+
+                    if (answer.trim().toLowerCase().startsWith(QUIT_KEY)) {
+                        return;
+                    }
+
+                    usedRows = 0;
+                }
+
+                this.#print(line);
+                usedRows += lineRows;
+            }
+        }, []);
+    }
+
+    /**
+     * Returns the trash directory in the home directory, or in the root directory with `--root`,
+     * so deleted entries never leave the sandbox and items deleted outside of it aren't visible.
+     * 
+     * @private
+     * @returns {string} Path of the trash directory
+     */
+    #getTrashDir() {
+        return path.join(this.#rootDir ?? os.homedir(), TRASH_DIR_NAME);
+    }
+
+    /**
+     * Formats an option as it is typed, e.g. `-r, --recursive` or `--sort=key`.
+     * 
+     * @private
+     * @param {Object} option - Option description
+     * @returns {string} Option syntax
+     */
+    #getOptionSyntax({ name, short, value, isValueOptional = false }) {
+        const shortSyntax = short ? `-${short}, ` : '    ';
+        const valueSyntax = value ? `=${value}` : '';
+
+        return `${shortSyntax}--${name}${isValueOptional ? `[${valueSyntax}]` : valueSyntax}`;
+    }
+
+    /**
+     * Builds the unknown command message, suggesting the closest command or alias names.
+     * 
+     * @private
+     * @param {string} inputCommand - Mistyped command
+     * @returns {string} Message with suggestions, if there are close enough names
+     */
+    #getUnknownCommandMessage(inputCommand) {
+        const MAX_DISTANCE = 2;
+
+        const unknownCommand = this.#messages.getUnknownCommand(inputCommand);
+        const maxDistance = Math.min(MAX_DISTANCE, Math.floor(inputCommand.length / 2));
+        const candidates = ['.exit', ...this.#registry.getNames(), ...this.#aliases.keys()]
+            .map(name => ({ name, distance: getEditDistance(inputCommand, name) }))
+            .filter(({ distance }) => distance <= maxDistance);
+        const minDistance = Math.min(...candidates.map(({ distance }) => distance));
+        const suggestions = candidates
+            .filter(({ distance }) => distance === minDistance)
+            .map(({ name }) => `'${name}'`);
+
+        return suggestions.length
+            ? `${unknownCommand}, ${this.#messages.getDidYouMean(suggestions.join(', '))}`
+            : unknownCommand;
+    }
+
+    /**
+     * Throws an input error with a custom message, or made of a caught error.
+     * 
+     * @private
+     * @param {string|Error} reason - Error message to display, or the caught error
+     * @throws {FileManagerError} Always throws an error
+     */
+    #throwInputError(reason) {
+        throw this.#getTypedError(reason, InputError, message => this.#messages.getInvalidInput(message));
+    }
+
+    /**
+     * Throws an input error caused by wrong command arguments, which is reported with the command usage.
+     * 
+     * @private
+     * @param {string|Error} reason - Error message to display, or the caught error
+     * @throws {FileManagerError} Always throws an error
+     */
+    #throwArgumentError(reason) {
+        const error = this.#getTypedError(reason, InputError, message => this.#messages.getInvalidInput(message));
+
+        throw Object.assign(error, { isArgumentError: true });
+    }
+
+    /**
+     * Throws an operation error with a custom message, or made of a caught error.
+     * 
+     * @private
+     * @param {string|Error} reason - Error message to display, or the caught error
+     * @param {*} [result] - Partial result of the operation, reported in JSON mode
+     * @throws {FileManagerError} Always throws an error
+     */
+    #throwOperationError(reason, result) {
+        const error = this.#getTypedError(reason, OperationError, message => this.#messages.getOperationFailed(message));
+
+        throw Object.assign(error, { result });
+    }
+
+    /**
+     * Creates a typed error. A caught error is kept as the cause, and its class is preserved:
+     * system errors get the class of their errno code (e.g. NotFoundError for ENOENT) and a friendly message.
+     * 
+     * @private
+     * @param {string|Error} reason - Error message, or the caught error
+     * @param {typeof FileManagerError} DefaultErrorClass - Class for messages and errors of unknown kind
+     * @param {Function} formatMessage - Adds the kind of the error to the message
+     * @returns {FileManagerError} The error
+     */
+    #getTypedError(reason, DefaultErrorClass, formatMessage) {
+        if (typeof reason === 'string') {
+            return new DefaultErrorClass(formatMessage(reason));
+        }
+
+        const ErrorClass = getErrorClass(reason) ?? DefaultErrorClass;
+
+        return new ErrorClass(formatMessage(this.#getErrorMessage(reason)), { cause: reason });
+    }
+
+    /**
+     * Describes an error for the user, system errors get a localized text instead of the errno message.
+     * 
+     * @private
+     * @param {Error} error - Caught error
+     * @returns {string} Error message
+     */
+    #getErrorMessage(error) {
+        return this.#messages.getSystemError(error.code, error.path) ?? error.message;
+    }
+
+    /**
+     * Finds the errno code (e.g. ENOENT) of the system error that caused an error.
+     * 
+     * @private
+     * @param {Error} error - Reported error
+     * @returns {string|null} The errno code, or null if the error wasn't caused by the system
+     */
+    #getSystemCode(error) {
+        const fileManagerCodes = Object.values(ERROR_CODES);
+
+        for (let cause = error; cause; cause = cause.cause) {
+            if (typeof cause.code === 'string' && !fileManagerCodes.includes(cause.code)) {
+                return cause.code;
+            }
+        }
+
+        return null;
+    }
+
+    /**
+     * Prints an error message. With `--verbose` the stack trace of the error and of all its causes is printed instead.
+     * 
+     * @private
+     * @param {Error} error - Reported error
+     * @returns {void}
+     */
+    #printError(error) {
+        if (!this.#cliArguments.verbose) {
+            this.#console.error(error.message);
+
+            return;
+        }
+
+        this.#console.error(error.stack);
+
+        for (let cause = error.cause; cause; cause = cause.cause) {
+            this.#console.error(this.#messages.getCausedBy(cause.stack ?? String(cause)));
+        }
+    }
+
+    /**
+     * Prints human-readable command output, which is omitted when the command reports its result as JSON.
+     * 
+     * @private
+     * @param {...*} data - Values to print
+     * @returns {void}
+     */
+    #print(...data) {
+        if (!this.#isJsonOutput) {
+            this.#console.log(...data);
+        }
+    }
+
+    /**
+     * Prints rows as a table with localized column titles, which is omitted when the command reports its result as JSON.
+     * 
+     * @private
+     * @param {Object[]} rows - Table rows
+     * @returns {void}
+     */
+    #printTable(rows) {
+        if (this.#isJsonOutput) {
+            return;
+        }
+
+        this.#console.table(rows.map(row => Object.fromEntries(
+            Object.entries(row).map(([column, value]) => [this.#messages.getColumnTitle(column), value]),
+        )));
+    }
+
+    /**
+     * Launches an operation with error handling.
+     * 
+     * @private
+     * @async
+     * @param {Function} callback - Function to execute
+     * @param {Array} params - Parameters to pass to the callback
+     * @returns {Promise<*>} Result of the callback
+     * @throws {Error} If the operation fails
+     */
+    async #launchOperation(callback, params) {
+        try {
+            return await callback(...params);
+        } catch (error) {
+            this.#throwOperationError(error);
+        }
+    }
+
+    /**
+     * Resolves source operands to existing paths, expanding unquoted glob patterns relative to the current directory.
+     * Pattern matches outside of the root are skipped, errors name only the pattern, never what it matched.
+     * 
+     * @private
+     * @async
+     * @param {string[]} patterns - Paths or glob patterns
+     * @returns {Promise<{sourcePaths: string[], hasPatterns: boolean}>} Unique matched paths
+     * @throws {Error} If operands are missing, a path doesn't exist or a pattern matches nothing
+     */
+    async #getSourcePaths(patterns) {
+        this.#checkIsParameterExist(patterns[0]);
+
+        const sourcePaths = new Set();
+        let hasPatterns = false;
+
+        for (const pattern of patterns) {
+            if (this.#quotedTokens.has(pattern)) {
+                sourcePaths.add(await this.#getValidatedPath(pattern));
+                continue;
+            }
+
+            if (!isGlobPattern(pattern)) {
+                sourcePaths.add(await this.#getValidatedPath(getLiteralPath(pattern)));
+                continue;
+            }
+
+            let isOutsideRoot = false;
+            // Directories are checked before they are read, so a pattern can't list entries outside of the root
+            const matchedPaths = await expandGlobPattern(pattern, this.currentDir, {
+                resolvePath: async entryPath => {
+                    try {
+                        return await getSandboxedPath(entryPath, this.#rootDir, { messages: this.#messages });
+                    } catch (error) {
+                        isOutsideRoot ||= error instanceof PermissionDeniedError;
+
+                        throw error;
+                    }
+                },
+            });
+            hasPatterns = true;
+
+            if (!matchedPaths.length) {
+                this.#throwInputError(isOutsideRoot
+                    ? new PermissionDeniedError(this.#messages.getOutsideRoot(pattern))
+                    : this.#messages.getNoMatches(pattern));
+            }
+
+            for (const matchedPath of matchedPaths) {
+                sourcePaths.add(await this.#getSandboxedPath(matchedPath));
+            }
+        }
+
+        return { sourcePaths: [...sourcePaths], hasPatterns };
+    }
+
+    /**
+     * Splits operands into source paths and the destination path, which is always the last one.
+     * 
+     * @private
+     * @async
+     * @param {string[]} operands - Source paths or glob patterns followed by the destination path
+     * @returns {Promise<{sourcePaths: string[], targetPath: string, hasPatterns: boolean}>} Validated paths
+     * @throws {Error} If operands are missing or any path is invalid
+     */
+    async #getSourcesAndTarget(operands) {
+        if (operands.length < 2) {
+            this.#throwArgumentError(this.#messages.getMissingOperand());
+        }
+
+        const targetPath = await this.#getValidatedPath(operands.at(-1));
+        const { sourcePaths, hasPatterns } = await this.#getSourcePaths(operands.slice(0, -1));
+
+        return { sourcePaths, targetPath, hasPatterns };
+    }
+
+    /**
+     * Shows the entries matched by glob patterns before they are processed.
+     * With `--dry-run` only the preview is shown. Destructive commands ask for confirmation
+     * unless `-y` is given.
+     * 
+     * @private
+     * @async
+     * @param {string[]} sourcePaths - Entries to process
+     * @param {Object} settings - Preview settings
+     * @param {boolean} settings.hasPatterns - Whether any of the entries came from a glob pattern
+     * @param {Object} settings.options - Parsed command options
+     * @param {boolean} [settings.isDestructive=false] - Whether the command changes or removes the entries
+     * @returns {Promise<boolean>} True if the command should proceed
+     */
+    async #confirmSources(sourcePaths, { hasPatterns, options, isDestructive = false }) {
+        const isDryRun = Boolean(options['dry-run']);
+
+        if (!isDryRun && !(isDestructive && hasPatterns)) {
+            return true;
+        }
+
+        this.#print(this.#messages.getMatchedEntries(sourcePaths.length));
+        sourcePaths.forEach(sourcePath => this.#print(`  ${this.#getDisplayPath(sourcePath)}`));
+
+        if (isDryRun) {
+            return false;
+        }
+
+        if (options.yes) {
+            return true;
+        }
+
+        const answer = await this.#askQuestion(this.#messages.getProceedPrompt());
+        const isConfirmed = answer.trim().toLowerCase().startsWith('y');
+
+        if (!isConfirmed) {
+            this.#print(this.#messages.getCancelled());
+        }
+
+        return isConfirmed;
+    }
+
+    /**
+     * Asks the user a question, the running command can still be cancelled while waiting for the answer.
+     * 
+     * @private
+     * @async
+     * @param {string} query - Question to ask
+     * @returns {Promise<string>} The answer
+     * @throws {Error} In batch mode, where there is nobody to answer
+     */
+    async #askQuestion(query) {
+        if (this.#isBatchMode) {
+            this.#throwInputError(this.#messages.getPromptInBatchMode());
+        }
+
+        return this.readline.question(query, { signal: this.#abortController.signal });
+    }
+
+    /**
+     * Runs an operation for every source entry and reports the combined result.
+     * With a single source its error is rethrown as is, otherwise failures are collected per entry.
+     * 
+     * @private
+     * @async
+     * @param {string[]} sourcePaths - Entries to process
+     * @param {Function} runOnSource - Async operation returning a summary for one entry
+     * @param {Object} [settings] - Reporting settings
+     * @param {boolean} [settings.isQuiet=false] - Report only failures, for operations printing their own results
+     * @returns {Promise<Object>} Operation summary
+     * @throws {Error} If the operation fails for any of the entries
+     */
+    async #runOnSources(sourcePaths, runOnSource, { isQuiet = false } = {}) {
+        const summary = { succeeded: [], skipped: [], failed: [] };
+
+        for (const sourcePath of sourcePaths) {
+            try {
+                const { succeeded, skipped = [], failed } = await runOnSource(sourcePath);
+                summary.succeeded.push(...succeeded);
+                summary.skipped.push(...skipped);
+                summary.failed.push(...failed);
+            } catch (error) {
+                if (sourcePaths.length === 1 || this.#abortController.signal.aborted) {
+                    throw error;
+                }
+
+                summary.failed.push({ path: sourcePath, error });
+            }
+        }
+
+        if (!isQuiet) {
+            return this.#reportOperationSummary(summary);
+        }
+
+        summary.failed.forEach(({ path: entryPath, error }) => {
+            this.#console.error(`${this.#messages.getEntryFailed()} ${this.#getDisplayPath(entryPath)}: ${this.#getErrorMessage(error)}`);
+        });
+
+        if (summary.failed.length) {
+            this.#throwOperationError(this.#messages.getPartiallyFailed(summary.failed.length), this.#getSummaryResult(summary));
+        }
+
+        return this.#getSummaryResult(summary);
+    }
+
+    /**
+     * Converts an operation summary to a plain object that can be reported as JSON.
+     * 
+     * @private
+     * @param {{succeeded: string[], skipped: string[], failed: {path: string, error: Error}[]}} summary - Operation summary
+     * @returns {{succeeded: string[], skipped: string[], failed: {path: string, message: string}[]}} Summary result
+     */
+    #getSummaryResult({ succeeded, skipped = [], failed }) {
+        return {
+            succeeded,
+            skipped,
+            failed: failed.map(({ path: entryPath, error }) => ({ path: entryPath, message: this.#getErrorMessage(error) })),
+        };
+    }
+
+    /**
+     * Creates an operation summary for a single entry.
+     * 
+     * @private
+     * @param {string} sourcePath - Path of the processed entry
+     * @param {boolean} isDone - Whether the entry was processed or skipped
+     * @returns {{succeeded: string[], skipped: string[], failed: Array}} Operation summary
+     */
+    #getEntrySummary(sourcePath, isDone) {
+        return {
+            succeeded: isDone ? [sourcePath] : [],
+            skipped: isDone ? [] : [sourcePath],
+            failed: [],
+        };
+    }
+
+    /**
+     * Reports an operation summary. Operations over several entries get a line per entry,
+     * a single entry is reported only if it was skipped or failed.
+     * 
+     * @private
+     * @param {{succeeded: string[], skipped: string[], failed: {path: string, error: Error}[]}} summary - Operation summary
+     * @returns {Object} Operation summary
+     * @throws {Error} If any of the entries failed
+     */
+    #reportOperationSummary(summary) {
+        const { succeeded, skipped, failed } = summary;
+
+        if (succeeded.length + skipped.length + failed.length > 1) {
+            this.#printOperationSummary(summary);
+
+            return this.#getSummaryResult(summary);
+        }
+
+        if (skipped.length) {
+            this.#print(this.#messages.getTargetSkipped(this.#getDisplayPath(skipped[0])));
+        }
+
+        if (failed.length) {
+            this.#throwOperationError(failed[0].error, this.#getSummaryResult(summary));
+        }
+
+        return this.#getSummaryResult(summary);
+    }
+
+    /**
+     * Validates a single file path.
+     * 
+     * @private
+     * @async
+     * @param {string} specifiedPath - Path to validate
+     * @returns {Promise<string>} Validated path
+     * @throws {Error} If the path is invalid
+     */
+    async #getValidatedPath(specifiedPath) {
+        const resolvedPath = await this.#getSandboxedPath(specifiedPath);
+
+        try {
+            await access(resolvedPath);
+
+            return resolvedPath;
+        } catch (error) {
+            this.#throwInputError(error);
+        }
+    }
+
+    /**
+     * Resolves a path against the current directory of the file manager, which isn't the process working directory.
+     * 
+     * @private
+     * @param {string} specifiedPath - Absolute or relative path
+     * @returns {string} Absolute path
+     */
+    #resolvePath(specifiedPath) {
+        return path.resolve(this.currentDir, specifiedPath);
+    }
+
+    /**
+     * Resolves a path against the current directory and, with `--root`, checks that it doesn't lead out of the root directory.
+     * 
+     * @private
+     * @async
+     * @param {string} specifiedPath - Absolute or relative path, which may not exist yet
+     * @returns {Promise<string>} Absolute path
+     * @throws {Error} If the path is outside of the root directory
+     */
+    async #getSandboxedPath(specifiedPath) {
+        try {
+            return await getSandboxedPath(this.#resolvePath(specifiedPath), this.#rootDir, { messages: this.#messages });
+        } catch (error) {
+            this.#throwInputError(error);
+        }
+    }
+
+    /**
+     * Shortens an absolute path for printing: entries inside the current directory are shown relative to it.
+     * 
+     * @private
+     * @param {string} entryPath - Absolute path
+     * @returns {string} Path to print
+     */
+    #getDisplayPath(entryPath) {
+        const relativePath = path.relative(this.currentDir, entryPath);
+
+        if (!relativePath) {
+            return '.';
+        }
+
+        return relativePath.split(path.sep)[0] === '..' || path.isAbsolute(relativePath) ? entryPath : relativePath;
+    }
+
+    /**
+     * Prints the result of an operation over multiple entries, one line per entry.
+     * 
+     * @private
+     * @param {{succeeded: string[], skipped: string[], failed: {path: string, error: Error}[]}} summary - Operation summary
+     * @returns {void}
+     * @throws {Error} If any of the entries failed
+     */
+    #printOperationSummary(summary) {
+        const { succeeded, skipped = [], failed } = summary;
+
+        succeeded.forEach(entryPath => {
+            this.#print(`${this.#messages.getEntrySucceeded()} ${this.#getDisplayPath(entryPath)}`);
+        });
+        skipped.forEach(entryPath => {
+            this.#print(`${this.#messages.getEntrySkipped()} ${this.#getDisplayPath(entryPath)}`);
+        });
+        failed.forEach(({ path: entryPath, error }) => {
+            this.#print(`${this.#messages.getEntryFailed()} ${this.#getDisplayPath(entryPath)}: ${this.#getErrorMessage(error)}`);
+        });
+        this.#print([
+            this.#messages.getSucceededCount(succeeded.length),
+            this.#messages.getSkippedCount(skipped.length),
+            this.#messages.getFailedCount(failed.length),
+        ].join(', '));
+
+        if (failed.length) {
+            this.#throwOperationError(this.#messages.getPartiallyFailed(failed.length), this.#getSummaryResult(summary));
+        }
+    }
+
+    /**
+     * Creates a handler deciding what to do with an already existing target.
+     * Without conflict options the handler is omitted and the operation fails on existing targets.
+     * 
+     * @private
+     * @param {Object} options - Parsed command options
+     * @returns {Function|undefined} Async handler returning one of CONFLICT_ACTIONS for a target path
+     * @throws {Error} If several conflict options are combined
+     */
+    #getConflictHandler(options) {
+        let isOverwriteAll = false;
+
+        const handlersMap = {
+            force: () => CONFLICT_ACTIONS.OVERWRITE,
+            'no-clobber': () => CONFLICT_ACTIONS.SKIP,
+            backup: () => CONFLICT_ACTIONS.BACKUP,
+            interactive: async targetPath => {
+                if (isOverwriteAll) {
+                    return CONFLICT_ACTIONS.OVERWRITE;
+                }
+
+                const answer = await this.#askQuestion(this.#messages.getOverwritePrompt(targetPath));
+                const [choice] = answer.trim().toLowerCase();
+                isOverwriteAll = choice === 'a';
+
+                return ['y', 'a'].includes(choice) ? CONFLICT_ACTIONS.OVERWRITE : CONFLICT_ACTIONS.SKIP;
+            },
+        };
+        const policies = Object.keys(handlersMap).filter(name => options[name]);
+
+        if (policies.length > 1) {
+            this.#throwArgumentError(this.#messages.getConflictingOptions(policies.map(name => `--${name}`).join(', ')));
+        }
+
+        return handlersMap[policies[0]];
+    }
+
+    /**
+     * Prints sizes of a file before and after an operation together with their ratio.
+     * 
+     * @private
+     * @async
+     * @param {string} sourcePath - Path of the original file
+     * @param {string|null} resultPath - Path of the written file, null if the operation was skipped
+     * @returns {Promise<void>}
+     */
+    async #printSizeChange(sourcePath, resultPath) {
+        if (!resultPath) {
+            return;
+        }
+
+        const { size: sourceSize } = await stat(sourcePath);
+        const { size: resultSize } = await stat(resultPath);
+        const ratio = sourceSize ? `${(resultSize / sourceSize * 100).toFixed(1)}%` : '-';
+        const sizeChange = `${getHumanReadableSize(sourceSize)} -> ${getHumanReadableSize(resultSize)}`;
+
+        this.#print(`${this.#getDisplayPath(resultPath)}: ${sizeChange} (${this.#messages.getRatio(ratio)})`);
+    }
+
+    /**
+     * Parses the value of a command option.
+     * 
+     * @private
+     * @param {Object} options - Parsed command options
+     * @param {string} name - Option name
+     * @param {Function} parse - Converts the raw value, returns null if it is invalid
+     * @returns {*} Parsed value, or null if the option isn't given
+     * @throws {Error} If the option has no value or the value is invalid
+     */
+    #getOptionValue(options, name, parse) {
+        if (options[name] === undefined) {
+            return null;
+        }
+
+        const value = options[name] === true ? null : parse(options[name]);
+
+        if (value === null) {
+            this.#throwArgumentError(this.#messages.getInvalidOptionValue(`--${name}`));
+        }
+
+        return value;
+    }
+
+    /**
+     * Parses a directory depth limit.
+     * 
+     * @private
+     * @param {string} value - Raw option value
+     * @returns {number|null} Non-negative integer depth, or null if the value is invalid
+     */
+    #getDepth(value) {
+        return /^\d+$/.test(value) ? Number(value) : null;
+    }
+
+    /**
+     * Creates a regular expression for searching file contents.
+     * 
+     * @private
+     * @param {string} query - Literal string, or a regular expression with `-E`
+     * @param {Object} options - Parsed command options
+     * @param {string} [flags=''] - Additional flags, `gm` to find every match in a whole file
+     * @returns {RegExp} Matcher for a single line
+     * @throws {Error} If the regular expression is invalid
+     */
+    #getSearchMatcher(query, options, flags = '') {
+        const source = options.regex ? query : query.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+        try {
+            return new RegExp(source, `${options['ignore-case'] ? 'i' : ''}${flags}`);
+        } catch (error) {
+            this.#throwInputError(error);
+        }
+    }
+
+    /**
+     * Compares two texts line by line and formats the differences as a unified diff.
+     * 
+     * @private
+     * @param {string} oldName - Name of the old text in the diff header
+     * @param {string} newName - Name of the new text in the diff header
+     * @param {string} oldContent - Old text
+     * @param {string} newContent - New text
+     * @param {number} [contextSize=DEFAULT_DIFF_CONTEXT] - Number of unchanged lines around the changes
+     * @returns {string[]} Lines of the diff
+     */
+    #getDiffLines(oldName, newName, oldContent, newContent, contextSize = DEFAULT_DIFF_CONTEXT) {
+        const [oldLines, newLines] = [oldContent, newContent].map(getTextLines);
+
+        return formatUnifiedDiff(oldName, newName, getDiffHunks(getLineDiff(oldLines, newLines), contextSize));
+    }
+
+    /**
+     * Reports an entry skipped during a search because it couldn't be read.
+     * 
+     * @private
+     * @param {string} entryPath - Path of the skipped entry
+     * @param {Error} error - Reading error
+     * @returns {void}
+     */
+    #printUnreadableSkipped(entryPath, error) {
+        this.#console.error(`${this.#messages.getUnreadableSkipped(this.#getDisplayPath(entryPath))}: ${this.#getErrorMessage(error)}`);
+    }
+
+    /**
+     * Checks whether a path points to a directory.
+     * 
+     * @private
+     * @async
+     * @param {string} specifiedPath - Path to check
+     * @param {boolean} [followSymlinks=false] - Whether a symbolic link to a directory counts as a directory
+     * @returns {Promise<boolean>} True if the path is a directory
+     */
+    async #isDirectory(specifiedPath, followSymlinks = false) {
+        const stats = followSymlinks ? await stat(specifiedPath) : await lstat(specifiedPath);
+
+        return stats.isDirectory();
+    }
+
+    /**
+     * Separates options from operands in command parameters according to the command description.
+     * 
+     * @private
+     * @param {Object} command - Registered command
+     * @param {string[]} params - Command parameters
+     * @returns {{params: string[], options: Object, operands: string[]}} Parsed arguments
+     * @throws {Error} If an option is unknown or the number of operands doesn't match the command
+     */
+    #parseArguments(command, params) {
+        try {
+            return this.#registry.parseArguments(command, params);
+        } catch (error) {
+            this.#throwArgumentError(error);
+        }
+    }
+
+    /**
+     * Splits user input into a command and its parameters.
+     * Supports quotes, backslash escapes and `~` expansion.
+     * 
+     * @private
+     * @param {string} input - Raw user input
+     * @param {boolean} [isQuoteMarked=false] - Whether to return `{token, isQuoted}` objects instead of strings
+     * @returns {Array<string|Object>} Command followed by its parameters
+     * @throws {Error} If quotes are unbalanced or an escape is unfinished
+     */
+    #getParsedInput(input, isQuoteMarked = false) {
+        try {
+            return isQuoteMarked ? getQuotedInputTokens(input, this.#messages) : getInputTokens(input, this.#messages);
+        } catch (error) {
+            this.#throwInputError(error);
+        }
+    }
+
+    /**
+     * Returns the only parameter of a command.
+     * 
+     * @private
+     * @param {string[]} params - Command parameters
+     * @returns {string} The single parameter
+     * @throws {Error} If the parameter is missing or there are extra ones
+     */
+    #getSingleParameter(params) {
+        this.#checkIsArgsCountMatchLimit(params.length, 1);
+
+        return params[0];
+    }
+
+    /**
+     * Checks if the number of arguments matches the expected limit.
      * 
      * @private
      * @param {number} argsCount - Number of arguments
@@ -453,11 +3061,29 @@ export class FileManager {
      */
     #checkIsArgsCountMatchLimit(argsCount, limit) {
         if (argsCount < limit) {
-            this.#throwInputError(this.#messages.getMissingOperand());
+            this.#throwArgumentError(this.#messages.getMissingOperand());
         }
 
         if (argsCount > limit) {
-            this.#throwInputError(this.#messages.getTooManyArguments());
+            this.#throwArgumentError(this.#messages.getTooManyArguments());
+        }
+    }
+
+    /**
+     * Checks that a command can run in the current mode, commands changing files
+     * and output redirection are disabled with `--readonly`.
+     * 
+     * @private
+     * @param {Object} command - Registered command
+     * @param {Object} args - Parsed arguments
+     * @param {Object|null} redirection - File the output is written to
+     * @throws {Error} If the command changes files in read-only mode
+     */
+    #checkIsCommandAllowed(command, args, redirection) {
+        const isMutating = typeof command.isMutating === 'function' ? command.isMutating(args) : command.isMutating;
+
+        if (this.#isReadOnly && (isMutating || redirection)) {
+            this.#throwOperationError(new PermissionDeniedError(this.#messages.getReadOnlyMode()));
         }
     }
 
@@ -470,8 +3096,84 @@ export class FileManager {
      */
     #checkIsParameterExist(parameter) {
         if (!parameter) {
-            this.#throwInputError(this.#messages.getMissingOperand());
+            this.#throwArgumentError(this.#messages.getMissingOperand());
+        }
+    }
+
+    /**
+     * Creates options that let a stream operation be cancelled and report its progress.
+     * 
+     * @private
+     * @returns {{signal: AbortSignal, onProgress: Function}} Options for stream services
+     */
+    #getProgressOptions() {
+        return {
+            signal: this.#abortController.signal,
+            onProgress: progress => this.#renderProgress(progress),
+        };
+    }
+
+    /**
+     * Renders a progress line for the file being processed. The line is shown only on a terminal
+     * and only for operations running longer than the render interval.
+     * 
+     * @private
+     * @param {Object} progress - Progress of the operation
+     * @param {string} progress.filePath - Path of the file being processed
+     * @param {number} progress.processedBytes - Number of bytes processed so far
+     * @param {number} progress.totalBytes - Size of the file
+     * @returns {void}
+     */
+    #renderProgress({ filePath, processedBytes, totalBytes }) {
+        const RENDER_INTERVAL_MS = 100;
+        const now = Date.now();
+
+        if (!this.#errorOutput.isTTY) {
+            return;
+        }
+
+        if (this.#progress?.filePath !== filePath) {
+            this.#clearProgress();
+            this.#progress = { filePath, startTime: now, renderTime: now, isRendered: false };
+        }
+
+        if (processedBytes >= totalBytes) {
+            this.#clearProgress();
+
+            return;
+        }
+
+        if (now - this.#progress.renderTime < RENDER_INTERVAL_MS) {
+            return;
+        }
+
+        const progressLine = getProgressLine({
+            label: path.basename(filePath),
+            processedBytes,
+            totalBytes,
+            elapsedMs: now - this.#progress.startTime,
+        }, this.#messages);
+
+        this.#errorOutput.cursorTo(0);
+        // Writing up to the last column would wrap the line, so it is cut one character shorter
+        this.#errorOutput.write(this.#errorOutput.columns ? progressLine.slice(0, this.#errorOutput.columns - 1) : progressLine);
+        this.#errorOutput.clearLine(1);
+        Object.assign(this.#progress, { renderTime: now, isRendered: true });
+    }
+
+    /**
+     * Removes the progress line from the terminal.
+     * 
+     * @private
+     * @returns {void}
+     */
+    #clearProgress() {
+        if (this.#progress?.isRendered) {
+            this.#errorOutput.cursorTo(0);
+            this.#errorOutput.clearLine(0);
         }
+
+        this.#progress = null;
     }
 
     /**
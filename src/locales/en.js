@@ -0,0 +1,352 @@
+/**
+ * English messages. Placeholders in braces are replaced with the named values,
+ * messages with `one`/`other` forms are chosen by the `count` value.
+ */
+export const en = {
+    intro: 'Welcome to the File Manager, {username}!',
+    outro: 'Thank you for using File Manager, {username}, goodbye!',
+    anonymous: 'Anonymous',
+    currentDir: 'You are currently in {directory}',
+    unsupportedLanguage: "Unsupported language '{language}', expected one of: {languages}",
+    tooManyArguments: 'Too many arguments',
+    operationFailed: 'Operation failed - {reason}',
+    missingOperand: 'Missing operand',
+    unknownCommand: "Unknown command '{command}'",
+    unknownOption: "Unknown option '{option}'",
+    invalidInput: 'Invalid input - {reason}',
+    isDirectory: "'{path}' is a directory (use -r to process it recursively)",
+    partiallyFailed: {
+        one: '{count} entry could not be processed',
+        other: '{count} entries could not be processed',
+    },
+    conflictingOptions: 'Options cannot be combined: {options}',
+    overwritePrompt: "Overwrite '{path}'? [y/n/a] ",
+    targetSkipped: "Skipped '{path}': target already exists",
+    matchedEntries: 'Matched entries: {count}',
+    noMatches: "No matches found for '{pattern}'",
+    unknownSortKey: "Unknown sort key '{key}'",
+    invalidOptionValue: "Invalid value for option '{option}'",
+    unreadableSkipped: "Skipped unreadable '{path}'",
+    unknownHashAlgorithm: "Unknown hash algorithm '{algorithm}'",
+    manifestWritten: 'Checksums written to {path}',
+    checkFailed: {
+        one: '{count} file did not match the manifest',
+        other: '{count} files did not match the manifest',
+    },
+    ratio: 'ratio {ratio}',
+    archivedEntries: {
+        one: '{count} entry archived',
+        other: '{count} entries archived',
+    },
+    extractedEntries: {
+        one: '{count} entry extracted',
+        other: '{count} entries extracted',
+    },
+    historyEntryNotFound: "History entry '{reference}' not found",
+    unknownAlias: "Unknown alias '{name}'",
+    invalidAlias: "Invalid alias '{definition}', expected name=command",
+    unsupportedConfigLine: "Skipped unsupported line '{line}'",
+    unknownTrashAction: "Unknown trash action '{action}', expected list, restore or empty",
+    emptyTrashPrompt: {
+        one: 'Permanently delete {count} trash item? [y/n] ',
+        other: 'Permanently delete {count} trash items? [y/n] ',
+    },
+    trashEmptied: {
+        one: '{count} trash item deleted',
+        other: '{count} trash items deleted',
+    },
+    undoing: "Undoing '{command}'",
+    trashEmpty: 'Trash is empty',
+    nothingToUndo: 'Nothing to undo',
+    pluginSkipped: "Skipped plugin '{path}': {reason}",
+    usage: 'Usage: {usage}',
+    aliases: 'Aliases: {aliases}',
+    didYouMean: 'did you mean {names}?',
+    commandsTitle: 'Commands:',
+    optionsTitle: 'Options:',
+    examplesTitle: 'Examples:',
+    exitDescription: 'Exit the file manager',
+    helpHint: "Type 'help command' to see its usage, options and examples",
+    proceedPrompt: 'Proceed? [y/n] ',
+    cancelled: 'Cancelled',
+    operationCancelled: 'Operation cancelled',
+    promptInBatchMode: 'Confirmation is not possible in batch mode, use -y or a conflict option',
+    succeededCount: 'Succeeded: {count}',
+    skippedCount: 'Skipped: {count}',
+    failedCount: 'Failed: {count}',
+    entrySucceeded: 'OK',
+    entrySkipped: 'SKIPPED',
+    entryFailed: 'FAILED',
+    eta: 'ETA',
+    causedBy: 'Caused by: {error}',
+    systemErrorWithPath: "{description} '{path}'",
+    systemErrors: {
+        ENOENT: 'No such file or directory',
+        EACCES: 'Permission denied',
+        EPERM: 'Operation not permitted',
+        EROFS: 'Read-only file system',
+        EEXIST: 'File already exists',
+        EISDIR: 'Is a directory',
+        ENOTDIR: 'Not a directory',
+        ENOTEMPTY: 'Directory not empty',
+        EBUSY: 'Resource busy or locked',
+        EMFILE: 'Too many open files',
+        ENOSPC: 'No space left on device',
+        ELOOP: 'Too many levels of symbolic links',
+        ENAMETOOLONG: 'File name too long',
+        EXDEV: 'Cross-device link not permitted',
+        EINVAL: 'Invalid argument',
+    },
+    unbalancedQuotes: 'Unbalanced quotes: missing closing {quote}',
+    unfinishedEscape: 'Unfinished escape sequence',
+    invalidCommandName: "Invalid command name '{name}'",
+    commandNameTaken: "Command name is already taken '{name}'",
+    missingCommandHandler: "Command has no handler '{name}'",
+    invalidArgumentLimits: "Invalid argument limits of command '{name}'",
+    pluginWithoutExport: 'Plugin has no default export',
+    directoryAlreadyExists: 'Directory already exists',
+    notRegularFile: "Not a regular file '{path}'",
+    copyIntoItself: "Cannot copy a directory into itself '{path}'",
+    symlinkLoop: 'Symbolic link loop detected',
+    sameFile: "Source and target are the same file '{path}'",
+    directoryWithNonDirectory: "Cannot overwrite directory with non-directory '{path}'",
+    nonDirectoryWithDirectory: "Cannot overwrite non-directory with directory '{path}'",
+    targetAlreadyExists: "Target already exists '{path}'",
+    copyVerificationFailed: "Copy verification failed for '{path}'",
+    trashItemNotFound: "Trash item not found '{id}'",
+    unknownOsParameter: "Unknown parameter '{parameter}'",
+    cpusCount: 'Total number of CPUs: {count}',
+    cpuInfo: 'CPU {number}: Model: {model}, Clock Rate: {speed} GHz',
+    spaceUsage: 'Total: {total}, used: {used} ({percent}%), free: {free}',
+    loadAverage: '{loads} (1, 5 and 15 minutes)',
+    internalInterface: '(internal)',
+    days: {
+        one: '{count} day',
+        other: '{count} days',
+    },
+    invalidManifestLine: "Invalid manifest line {number}: '{line}'",
+    unknownDigestLength: 'Cannot detect hash algorithm for digest of length {bits} bits',
+    unsupportedEntryType: "Unsupported entry type '{type}'",
+    fileChanged: "File changed while being archived '{path}'",
+    unsafeLink: "Link target is outside of the destination '{target}'",
+    unsafePath: "Entry path is outside of the destination '{path}'",
+    invalidTarChecksum: 'Invalid tar header checksum',
+    unexpectedArchiveEnd: 'Unexpected end of archive',
+    pathTooLong: "Path is too long for a ustar archive '{path}'",
+    valueTooLong: "Value is too long for a ustar header '{value}'",
+    invalidTarNumber: 'Invalid number in tar header',
+    outsideRoot: "Path is outside of the root directory '{path}'",
+    readOnlyMode: 'Not available in read-only mode',
+    optionNotAllowedWithRoot: "Option '{option}' is not available with --root",
+    binaryFile: "'{path}' looks like a binary file, use hexdump to view it",
+    pagerPrompt: '--More-- (Enter for the next page, q to quit) ',
+    missingRedirectionTarget: "Missing file name after '{operator}'",
+    replacePrompt: {
+        one: 'Write the changes to {count} file? [y/n] ',
+        other: 'Write the changes to {count} files? [y/n] ',
+    },
+    replacementsCount: {
+        one: '{count} replacement',
+        other: '{count} replacements',
+    },
+    directoryWithFile: "Cannot compare directory '{directory}' with file '{file}'",
+    binaryFilesDiffer: 'Binary files {first} and {second} differ',
+    filesDiffer: '{first} {second} differ: byte {byte}, line {line}',
+    endOfFile: 'EOF on {path} after byte {byte}',
+    noDifferences: 'No differences',
+    columns: {
+        Name: 'Name',
+        Type: 'Type',
+        Size: 'Size',
+        Modified: 'Modified',
+        Permissions: 'Permissions',
+        Owner: 'Owner',
+        Id: 'Id',
+        Path: 'Path',
+        Deleted: 'Deleted',
+    },
+    sharedOptions: {
+        force: 'overwrite existing targets',
+        'no-clobber': 'keep existing targets and skip the entries',
+        backup: "rename existing targets to 'name~' first",
+        interactive: 'ask before overwriting every target',
+        'dry-run': 'only print the matched entries',
+        yes: "don't ask for confirmation",
+    },
+    commands: {
+        up: {
+            description: 'Go to the parent directory',
+        },
+        cd: {
+            description: 'Change the current directory',
+        },
+        ls: {
+            description: 'List the current or the given directory',
+            options: {
+                all: 'show entries starting with a dot',
+                long: 'add size, modification time, permissions and owner',
+                'human-readable': 'print sizes like 4.0K or 12M',
+                sort: 'sort by the given key',
+                reverse: 'reverse the order',
+            },
+        },
+        cat: {
+            description: 'Print the content of a file, page by page if it is taller than the terminal',
+        },
+        head: {
+            description: 'Print the first lines of a file',
+            options: {
+                lines: 'number of lines, 10 by default',
+            },
+        },
+        tail: {
+            description: 'Print the last lines of a file',
+            options: {
+                lines: 'number of lines, 10 by default',
+                follow: 'keep printing appended data until Ctrl+C',
+            },
+        },
+        hexdump: {
+            description: 'Print the bytes of a file in hex and as text',
+            options: {
+                offset: 'byte to start from, e.g. 512, 4K or 0x200',
+                length: 'number of bytes to dump',
+            },
+        },
+        add: {
+            description: 'Create a file, empty unless content is given',
+            options: {
+                content: 'text to write to the file',
+            },
+        },
+        echo: {
+            description: 'Print the given text, redirect it to a file with > or >>',
+        },
+        mkdir: {
+            description: 'Create a directory',
+        },
+        rn: {
+            description: 'Rename a file or directory',
+        },
+        cp: {
+            description: 'Copy files or directories to a directory',
+            options: {
+                recursive: 'copy directories with their content',
+                dereference: 'copy the files symbolic links point to',
+            },
+        },
+        mv: {
+            description: 'Move files or directories to a directory',
+        },
+        rm: {
+            description: 'Move files or directories to the trash',
+            options: {
+                recursive: 'delete directories with their content',
+                permanent: 'delete right away instead of moving to the trash',
+            },
+        },
+        find: {
+            description: 'Find entries in the current or the given directory tree',
+            options: {
+                name: 'glob pattern for the entry name',
+                type: 'files, directories or symbolic links',
+                'min-size': 'minimal size, e.g. 10K',
+                'max-size': 'maximal size, e.g. 2M',
+                newer: 'modified after a duration ago (7d) or a date',
+                older: 'modified before a duration ago (7d) or a date',
+                'max-depth': 'how deep to descend',
+            },
+        },
+        grep: {
+            description: 'Search file contents in the current or the given directory tree',
+            options: {
+                regex: 'treat the query as a regular expression',
+                'ignore-case': 'ignore case',
+                'max-depth': 'how deep to descend',
+            },
+        },
+        replace: {
+            description: 'Replace text in files, showing the changes as a diff first',
+            options: {
+                regex: 'treat the search string as a regular expression',
+                'ignore-case': 'ignore case',
+                recursive: 'process files in directories',
+                'dry-run': 'only print the diff',
+            },
+        },
+        diff: {
+            description: 'Print the line differences of two files, or the differing entries of two directories',
+            options: {
+                unified: 'number of unchanged lines around changes, 3 by default',
+                recursive: 'compare directories by entry names, sizes and hashes',
+            },
+        },
+        cmp: {
+            description: 'Print the first differing byte of two files',
+        },
+        os: {
+            description: 'Print operating system information',
+            options: {
+                EOL: 'default End-Of-Line',
+                cpus: 'CPUs with their model and clock rate',
+                homedir: 'home directory',
+                username: 'current system user name',
+                architecture: 'CPU architecture of the Node.js binary',
+                hostname: 'host name',
+                platform: 'operating system name, release and platform',
+                memory: 'total, used and free memory',
+                uptime: 'system uptime',
+                loadavg: 'load average for 1, 5 and 15 minutes',
+                network: 'network interfaces and their addresses',
+                disk: 'total, used and free space of the current directory filesystem',
+                all: 'all of the above',
+            },
+        },
+        hash: {
+            description: 'Calculate file hashes, write and verify checksum manifests',
+            options: {
+                algo: 'hash algorithm, sha256 by default',
+                base64: 'print digests in base64 instead of hex',
+                manifest: 'also write the checksums to a manifest',
+                check: 'verify files listed in a manifest',
+            },
+        },
+        compress: {
+            description: 'Compress files to a directory',
+            options: {
+                format: 'compression format, br by default',
+                level: 'quality 0-11 for br, level 0-9 for gzip and deflate',
+            },
+        },
+        decompress: {
+            description: 'Decompress files to a directory',
+        },
+        tar: {
+            description: 'Bundle files and directories into a tar archive',
+            options: {
+                format: 'archive compression, by extension by default',
+            },
+        },
+        untar: {
+            description: 'Extract or list a tar archive',
+            options: {
+                list: 'list the entries instead of extracting them',
+            },
+        },
+        history: {
+            description: 'Print the numbered command history',
+        },
+        alias: {
+            description: 'List or define command aliases',
+        },
+        trash: {
+            description: 'List, restore or permanently delete trash items',
+        },
+        undo: {
+            description: 'Revert the last rn, mv, rm or cp',
+        },
+        help: {
+            description: 'List the commands or describe one of them',
+        },
+    },
+};
@@ -0,0 +1,2 @@
+export { en } from './en.js';
+export { ru } from './ru.js';
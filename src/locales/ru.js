@@ -0,0 +1,369 @@
+/**
+ * Russian messages. Messages with `one`/`few`/`many` forms are chosen by the `count` value.
+ */
+export const ru = {
+    intro: 'Добро пожаловать в File Manager, {username}!',
+    outro: 'Спасибо за использование File Manager, {username}, до свидания!',
+    anonymous: 'Аноним',
+    currentDir: 'Текущая директория: {directory}',
+    unsupportedLanguage: "Неподдерживаемый язык '{language}', доступны: {languages}",
+    tooManyArguments: 'Слишком много аргументов',
+    operationFailed: 'Операция не выполнена - {reason}',
+    missingOperand: 'Не указан операнд',
+    unknownCommand: "Неизвестная команда '{command}'",
+    unknownOption: "Неизвестная опция '{option}'",
+    invalidInput: 'Неверный ввод - {reason}',
+    isDirectory: "'{path}' - директория (используйте -r для рекурсивной обработки)",
+    partiallyFailed: {
+        one: 'Не удалось обработать {count} элемент',
+        few: 'Не удалось обработать {count} элемента',
+        many: 'Не удалось обработать {count} элементов',
+        other: 'Не удалось обработать {count} элемента',
+    },
+    conflictingOptions: 'Опции нельзя использовать вместе: {options}',
+    overwritePrompt: "Перезаписать '{path}'? [y/n/a] ",
+    targetSkipped: "Пропущено '{path}': цель уже существует",
+    matchedEntries: 'Найдено элементов: {count}',
+    noMatches: "Совпадений для '{pattern}' не найдено",
+    unknownSortKey: "Неизвестный ключ сортировки '{key}'",
+    invalidOptionValue: "Неверное значение опции '{option}'",
+    unreadableSkipped: "Пропущено недоступное для чтения '{path}'",
+    unknownHashAlgorithm: "Неизвестный алгоритм хеширования '{algorithm}'",
+    manifestWritten: 'Контрольные суммы записаны в {path}',
+    checkFailed: {
+        one: '{count} файл не совпадает с манифестом',
+        few: '{count} файла не совпадают с манифестом',
+        many: '{count} файлов не совпадают с манифестом',
+        other: '{count} файла не совпадают с манифестом',
+    },
+    ratio: 'степень сжатия {ratio}',
+    archivedEntries: {
+        one: 'Заархивирован {count} элемент',
+        few: 'Заархивировано {count} элемента',
+        many: 'Заархивировано {count} элементов',
+        other: 'Заархивировано {count} элемента',
+    },
+    extractedEntries: {
+        one: 'Извлечён {count} элемент',
+        few: 'Извлечено {count} элемента',
+        many: 'Извлечено {count} элементов',
+        other: 'Извлечено {count} элемента',
+    },
+    historyEntryNotFound: "Запись истории '{reference}' не найдена",
+    unknownAlias: "Неизвестный псевдоним '{name}'",
+    invalidAlias: "Неверный псевдоним '{definition}', ожидается имя=команда",
+    unsupportedConfigLine: "Пропущена неподдерживаемая строка '{line}'",
+    unknownTrashAction: "Неизвестное действие с корзиной '{action}', ожидается list, restore или empty",
+    emptyTrashPrompt: {
+        one: 'Безвозвратно удалить {count} элемент корзины? [y/n] ',
+        few: 'Безвозвратно удалить {count} элемента корзины? [y/n] ',
+        many: 'Безвозвратно удалить {count} элементов корзины? [y/n] ',
+        other: 'Безвозвратно удалить {count} элемента корзины? [y/n] ',
+    },
+    trashEmptied: {
+        one: 'Из корзины удалён {count} элемент',
+        few: 'Из корзины удалено {count} элемента',
+        many: 'Из корзины удалено {count} элементов',
+        other: 'Из корзины удалено {count} элемента',
+    },
+    undoing: "Отмена '{command}'",
+    trashEmpty: 'Корзина пуста',
+    nothingToUndo: 'Нечего отменять',
+    pluginSkipped: "Пропущен плагин '{path}': {reason}",
+    usage: 'Использование: {usage}',
+    aliases: 'Псевдонимы: {aliases}',
+    didYouMean: 'возможно, имелось в виду {names}?',
+    commandsTitle: 'Команды:',
+    optionsTitle: 'Опции:',
+    examplesTitle: 'Примеры:',
+    exitDescription: 'Выйти из файлового менеджера',
+    helpHint: "Введите 'help команда', чтобы увидеть её использование, опции и примеры",
+    proceedPrompt: 'Продолжить? [y/n] ',
+    cancelled: 'Отменено',
+    operationCancelled: 'Операция отменена',
+    promptInBatchMode: 'Подтверждение невозможно в пакетном режиме, используйте -y или опцию разрешения конфликтов',
+    succeededCount: 'Успешно: {count}',
+    skippedCount: 'Пропущено: {count}',
+    failedCount: 'С ошибкой: {count}',
+    entrySucceeded: 'OK',
+    entrySkipped: 'ПРОПУЩЕНО',
+    entryFailed: 'ОШИБКА',
+    eta: 'осталось',
+    causedBy: 'Причина: {error}',
+    systemErrorWithPath: "{description} '{path}'",
+    systemErrors: {
+        ENOENT: 'Нет такого файла или директории',
+        EACCES: 'Доступ запрещён',
+        EPERM: 'Операция не разрешена',
+        EROFS: 'Файловая система доступна только для чтения',
+        EEXIST: 'Файл уже существует',
+        EISDIR: 'Это директория',
+        ENOTDIR: 'Это не директория',
+        ENOTEMPTY: 'Директория не пуста',
+        EBUSY: 'Ресурс занят или заблокирован',
+        EMFILE: 'Слишком много открытых файлов',
+        ENOSPC: 'На устройстве не осталось места',
+        ELOOP: 'Слишком много уровней символических ссылок',
+        ENAMETOOLONG: 'Слишком длинное имя файла',
+        EXDEV: 'Перемещение между устройствами не поддерживается',
+        EINVAL: 'Недопустимый аргумент',
+    },
+    unbalancedQuotes: 'Незакрытые кавычки: не хватает закрывающей {quote}',
+    unfinishedEscape: 'Незавершённая escape-последовательность',
+    invalidCommandName: "Недопустимое имя команды '{name}'",
+    commandNameTaken: "Имя команды уже занято '{name}'",
+    missingCommandHandler: "У команды нет обработчика '{name}'",
+    invalidArgumentLimits: "Неверные ограничения аргументов команды '{name}'",
+    pluginWithoutExport: 'У плагина нет экспорта по умолчанию',
+    directoryAlreadyExists: 'Директория уже существует',
+    notRegularFile: "Не обычный файл '{path}'",
+    copyIntoItself: "Нельзя скопировать директорию в саму себя '{path}'",
+    symlinkLoop: 'Обнаружен цикл символических ссылок',
+    sameFile: "Источник и цель - один и тот же файл '{path}'",
+    directoryWithNonDirectory: "Нельзя заменить директорию не директорией '{path}'",
+    nonDirectoryWithDirectory: "Нельзя заменить не директорию директорией '{path}'",
+    targetAlreadyExists: "Цель уже существует '{path}'",
+    copyVerificationFailed: "Проверка копии не пройдена для '{path}'",
+    trashItemNotFound: "Элемент корзины не найден '{id}'",
+    unknownOsParameter: "Неизвестный параметр '{parameter}'",
+    cpusCount: 'Всего процессоров: {count}',
+    cpuInfo: 'Процессор {number}: модель: {model}, частота: {speed} ГГц',
+    spaceUsage: 'Всего: {total}, занято: {used} ({percent}%), свободно: {free}',
+    loadAverage: '{loads} (1, 5 и 15 минут)',
+    internalInterface: '(внутренний)',
+    days: {
+        one: '{count} день',
+        few: '{count} дня',
+        many: '{count} дней',
+        other: '{count} дня',
+    },
+    invalidManifestLine: "Неверная строка манифеста {number}: '{line}'",
+    unknownDigestLength: 'Невозможно определить алгоритм хеширования для дайджеста длиной {bits} бит',
+    unsupportedEntryType: "Неподдерживаемый тип элемента '{type}'",
+    fileChanged: "Файл изменился во время архивации '{path}'",
+    unsafeLink: "Цель ссылки находится вне директории назначения '{target}'",
+    unsafePath: "Путь элемента находится вне директории назначения '{path}'",
+    invalidTarChecksum: 'Неверная контрольная сумма заголовка tar',
+    unexpectedArchiveEnd: 'Неожиданный конец архива',
+    pathTooLong: "Путь слишком длинный для архива ustar '{path}'",
+    valueTooLong: "Значение слишком длинное для заголовка ustar '{value}'",
+    invalidTarNumber: 'Неверное число в заголовке tar',
+    outsideRoot: "Путь находится вне корневой директории '{path}'",
+    readOnlyMode: 'Недоступно в режиме только для чтения',
+    optionNotAllowedWithRoot: "Опция '{option}' недоступна с --root",
+    binaryFile: "'{path}' похож на двоичный файл, используйте hexdump для просмотра",
+    pagerPrompt: '--Далее-- (Enter - следующая страница, q - выход) ',
+    missingRedirectionTarget: "Не указано имя файла после '{operator}'",
+    replacePrompt: {
+        one: 'Записать изменения в {count} файл? [y/n] ',
+        few: 'Записать изменения в {count} файла? [y/n] ',
+        many: 'Записать изменения в {count} файлов? [y/n] ',
+        other: 'Записать изменения в {count} файла? [y/n] ',
+    },
+    replacementsCount: {
+        one: '{count} замена',
+        few: '{count} замены',
+        many: '{count} замен',
+        other: '{count} замены',
+    },
+    directoryWithFile: "Нельзя сравнить директорию '{directory}' с файлом '{file}'",
+    binaryFilesDiffer: 'Двоичные файлы {first} и {second} различаются',
+    filesDiffer: '{first} {second} различаются: байт {byte}, строка {line}',
+    endOfFile: 'Конец файла {path} после байта {byte}',
+    noDifferences: 'Различий нет',
+    columns: {
+        Name: 'Имя',
+        Type: 'Тип',
+        Size: 'Размер',
+        Modified: 'Изменён',
+        Permissions: 'Права',
+        Owner: 'Владелец',
+        Id: 'Id',
+        Path: 'Путь',
+        Deleted: 'Удалён',
+    },
+    sharedOptions: {
+        force: 'перезаписывать существующие цели',
+        'no-clobber': 'оставлять существующие цели и пропускать элементы',
+        backup: "сначала переименовывать существующие цели в 'имя~'",
+        interactive: 'спрашивать перед перезаписью каждой цели',
+        'dry-run': 'только вывести найденные элементы',
+        yes: 'не запрашивать подтверждение',
+    },
+    commands: {
+        up: {
+            description: 'Перейти в родительскую директорию',
+        },
+        cd: {
+            description: 'Сменить текущую директорию',
+        },
+        ls: {
+            description: 'Показать содержимое текущей или указанной директории',
+            options: {
+                all: 'показывать элементы, начинающиеся с точки',
+                long: 'добавить размер, время изменения, права и владельца',
+                'human-readable': 'выводить размеры в виде 4.0K или 12M',
+                sort: 'сортировать по указанному ключу',
+                reverse: 'обратный порядок',
+            },
+        },
+        cat: {
+            description: 'Вывести содержимое файла, постранично, если он не помещается в терминал',
+        },
+        head: {
+            description: 'Вывести первые строки файла',
+            options: {
+                lines: 'количество строк, по умолчанию 10',
+            },
+        },
+        tail: {
+            description: 'Вывести последние строки файла',
+            options: {
+                lines: 'количество строк, по умолчанию 10',
+                follow: 'выводить дописываемые данные до нажатия Ctrl+C',
+            },
+        },
+        hexdump: {
+            description: 'Вывести байты файла в шестнадцатеричном виде и как текст',
+            options: {
+                offset: 'байт, с которого начать, например 512, 4K или 0x200',
+                length: 'количество выводимых байтов',
+            },
+        },
+        add: {
+            description: 'Создать файл, пустой, если не задано содержимое',
+            options: {
+                content: 'текст, записываемый в файл',
+            },
+        },
+        echo: {
+            description: 'Вывести заданный текст, перенаправить его в файл с помощью > или >>',
+        },
+        mkdir: {
+            description: 'Создать директорию',
+        },
+        rn: {
+            description: 'Переименовать файл или директорию',
+        },
+        cp: {
+            description: 'Скопировать файлы или директории в директорию',
+            options: {
+                recursive: 'копировать директории вместе с содержимым',
+                dereference: 'копировать файлы, на которые указывают символические ссылки',
+            },
+        },
+        mv: {
+            description: 'Переместить файлы или директории в директорию',
+        },
+        rm: {
+            description: 'Переместить файлы или директории в корзину',
+            options: {
+                recursive: 'удалять директории вместе с содержимым',
+                permanent: 'удалять сразу, не перемещая в корзину',
+            },
+        },
+        find: {
+            description: 'Найти элементы в дереве текущей или указанной директории',
+            options: {
+                name: 'glob-шаблон имени элемента',
+                type: 'файлы, директории или символические ссылки',
+                'min-size': 'минимальный размер, например 10K',
+                'max-size': 'максимальный размер, например 2M',
+                newer: 'изменённые позже указанного срока назад (7d) или даты',
+                older: 'изменённые раньше указанного срока назад (7d) или даты',
+                'max-depth': 'глубина поиска',
+            },
+        },
+        grep: {
+            description: 'Искать по содержимому файлов в дереве текущей или указанной директории',
+            options: {
+                regex: 'считать запрос регулярным выражением',
+                'ignore-case': 'не учитывать регистр',
+                'max-depth': 'глубина поиска',
+            },
+        },
+        replace: {
+            description: 'Заменить текст в файлах, сначала показав изменения в виде diff',
+            options: {
+                regex: 'считать строку поиска регулярным выражением',
+                'ignore-case': 'не учитывать регистр',
+                recursive: 'обрабатывать файлы в директориях',
+                'dry-run': 'только вывести diff',
+            },
+        },
+        diff: {
+            description: 'Вывести построчные различия двух файлов или различающиеся элементы двух директорий',
+            options: {
+                unified: 'количество неизменённых строк вокруг изменений, по умолчанию 3',
+                recursive: 'сравнивать директории по именам, размерам и хешам элементов',
+            },
+        },
+        cmp: {
+            description: 'Вывести первый различающийся байт двух файлов',
+        },
+        os: {
+            description: 'Вывести информацию об операционной системе',
+            options: {
+                EOL: 'символ конца строки по умолчанию',
+                cpus: 'процессоры с моделью и частотой',
+                homedir: 'домашняя директория',
+                username: 'имя текущего пользователя системы',
+                architecture: 'архитектура процессора, для которой собран Node.js',
+                hostname: 'имя хоста',
+                platform: 'название, версия и платформа операционной системы',
+                memory: 'всего, занято и свободно памяти',
+                uptime: 'время работы системы',
+                loadavg: 'средняя загрузка за 1, 5 и 15 минут',
+                network: 'сетевые интерфейсы и их адреса',
+                disk: 'всего, занято и свободно места в файловой системе текущей директории',
+                all: 'всё перечисленное',
+            },
+        },
+        hash: {
+            description: 'Вычислить хеши файлов, записать и проверить манифест контрольных сумм',
+            options: {
+                algo: 'алгоритм хеширования, по умолчанию sha256',
+                base64: 'выводить дайджесты в base64 вместо hex',
+                manifest: 'также записать контрольные суммы в манифест',
+                check: 'проверить файлы, перечисленные в манифесте',
+            },
+        },
+        compress: {
+            description: 'Сжать файлы в директорию',
+            options: {
+                format: 'формат сжатия, по умолчанию br',
+                level: 'качество 0-11 для br, уровень 0-9 для gzip и deflate',
+            },
+        },
+        decompress: {
+            description: 'Распаковать файлы в директорию',
+        },
+        tar: {
+            description: 'Упаковать файлы и директории в tar-архив',
+            options: {
+                format: 'сжатие архива, по умолчанию по расширению',
+            },
+        },
+        untar: {
+            description: 'Извлечь или показать содержимое tar-архива',
+            options: {
+                list: 'показать элементы вместо извлечения',
+            },
+        },
+        history: {
+            description: 'Вывести пронумерованную историю команд',
+        },
+        alias: {
+            description: 'Показать или определить псевдонимы команд',
+        },
+        trash: {
+            description: 'Показать, восстановить или безвозвратно удалить элементы корзины',
+        },
+        undo: {
+            description: 'Отменить последнюю команду rn, mv, rm или cp',
+        },
+        help: {
+            description: 'Показать список команд или описание одной из них',
+        },
+    },
+};
@@ -1,16 +1,24 @@
 import fs from 'node:fs/promises';
 import crypto from 'node:crypto';
 
-export const calculateHash = async filePath => {
+import { trackStream } from './trackStream.js';
+
+export const DEFAULT_HASH_ALGORITHM = 'sha256';
+
+export const calculateHash = async (filePath, options = {}) => {
+    const { algorithm = DEFAULT_HASH_ALGORITHM, encoding = 'hex', signal, onProgress } = options;
+    signal?.throwIfAborted();
+
     const calcHashFile = await fs.open(filePath);
-    const readStream = calcHashFile.createReadStream();
-    const hash = crypto.createHash('sha256');
+    const { size: totalBytes } = await calcHashFile.stat();
+    const readStream = trackStream(calcHashFile.createReadStream(), { filePath, totalBytes, signal, onProgress });
+    const hash = crypto.createHash(algorithm);
 
     return new Promise((resolve, reject) => {
         readStream.on('data', chunk => hash.update(chunk));
         readStream.on('end', () => {
             calcHashFile.close();
-            resolve(hash.digest('hex'));
+            resolve(hash.digest(encoding));
         });
         readStream.on('error', error => {
             calcHashFile.close();
@@ -0,0 +1,103 @@
+import { readlink } from 'node:fs/promises';
+import path from 'node:path';
+
+import { calculateHash } from './calculateHash.js';
+import { walkDirectory } from './walkDirectory.js';
+
+export const DIFF_STATUSES = {
+    ADDED: 'ADDED',
+    REMOVED: 'REMOVED',
+    CHANGED: 'CHANGED',
+};
+
+/**
+ * Compares two directory trees by relative entry paths and returns the differing entries, sorted by path.
+ * Files are changed if their sizes or digests differ, links if they point to different targets,
+ * and any entries if their types differ. Contents of added and removed directories aren't listed,
+ * nor contents of a directory that has another type in the other tree.
+ */
+export const compareDirectories = async (firstPath, secondPath, { signal, onProgress, onError }) => {
+    const firstEntries = await getTreeEntries(firstPath, onError);
+    const secondEntries = await getTreeEntries(secondPath, onError);
+    const relativePaths = [...new Set([...firstEntries.keys(), ...secondEntries.keys()])].sort();
+    const differences = [];
+
+    for (const relativePath of relativePaths) {
+        signal?.throwIfAborted();
+
+        const first = firstEntries.get(relativePath);
+        const second = secondEntries.get(relativePath);
+
+        if (!first || !second) {
+            const otherEntries = first ? secondEntries : firstEntries;
+            const parentPath = path.dirname(relativePath);
+
+            if (parentPath === '.' || otherEntries.get(parentPath)?.stats.isDirectory()) {
+                differences.push({ path: relativePath, status: first ? DIFF_STATUSES.REMOVED : DIFF_STATUSES.ADDED });
+            }
+            continue;
+        }
+
+        if (await isEntryChanged(first, second, { signal, onProgress })) {
+            differences.push({ path: relativePath, status: DIFF_STATUSES.CHANGED });
+        }
+    }
+
+    return differences;
+};
+
+async function getTreeEntries(startPath, onError) {
+    const entries = new Map();
+
+    // The operands themselves may be links to the compared directories
+    await walkDirectory(startPath, {
+        dereferenceStart: true,
+        onError,
+        onEntry: (entryPath, stats, depth) => {
+            if (depth) {
+                entries.set(path.relative(startPath, entryPath), { entryPath, stats });
+            }
+        },
+    });
+
+    return entries;
+}
+
+async function isEntryChanged(first, second, { signal, onProgress }) {
+    const [firstType, secondType] = [first, second].map(({ stats }) => getEntryType(stats));
+
+    if (firstType !== secondType) {
+        return true;
+    }
+
+    if (firstType === 'l') {
+        return await readlink(first.entryPath) !== await readlink(second.entryPath);
+    }
+
+    if (firstType !== 'f') {
+        return false;
+    }
+
+    if (first.stats.size !== second.stats.size) {
+        return true;
+    }
+
+    const [firstDigest, secondDigest] = [
+        await calculateHash(first.entryPath, { signal, onProgress }),
+        await calculateHash(second.entryPath, { signal, onProgress }),
+    ];
+
+    return firstDigest !== secondDigest;
+}
+
+function getEntryType(stats) {
+    if (stats.isSymbolicLink()) {
+        return 'l';
+    }
+
+    if (stats.isDirectory()) {
+        return 'd';
+    }
+
+    return stats.isFile() ? 'f' : 'other';
+}
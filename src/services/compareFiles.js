@@ -0,0 +1,73 @@
+import fs from 'node:fs/promises';
+
+/**
+ * Compares two files byte by byte, as `cmp` does. Returns null for equal files, otherwise
+ * the 1-based number of the first differing byte and its line. If one file is the start
+ * of the other, `eofPath` is the shorter one and `byte` is its size.
+ */
+export const compareFiles = async (firstPath, secondPath, { signal, onProgress } = {}) => {
+    const CHUNK_SIZE = 65536;
+    const NEWLINE = 0x0a;
+
+    signal?.throwIfAborted();
+
+    const filesToRead = [];
+
+    try {
+        for (const filePath of [firstPath, secondPath]) {
+            filesToRead.push(await fs.open(filePath));
+        }
+
+        const sizes = await Promise.all(filesToRead.map(async fileToRead => (await fileToRead.stat()).size));
+        const buffers = filesToRead.map(() => Buffer.alloc(CHUNK_SIZE));
+        let position = 0;
+        let line = 1;
+
+        while (true) {
+            signal?.throwIfAborted();
+
+            const [first, second] = await Promise.all(filesToRead.map((fileToRead, index) => readChunk(fileToRead, buffers[index], position)));
+            const comparedLength = Math.min(first.length, second.length);
+
+            for (let index = 0; index < comparedLength; index++) {
+                if (first[index] !== second[index]) {
+                    return { byte: position + index + 1, line, eofPath: null };
+                }
+
+                line += first[index] === NEWLINE ? 1 : 0;
+            }
+
+            position += comparedLength;
+            onProgress?.({ filePath: firstPath, processedBytes: position, totalBytes: Math.max(...sizes) });
+
+            if (first.length !== second.length) {
+                return { byte: position, line, eofPath: first.length < second.length ? firstPath : secondPath };
+            }
+
+            if (!first.length) {
+                return null;
+            }
+        }
+    } finally {
+        await Promise.all(filesToRead.map(fileToRead => fileToRead.close()));
+    }
+};
+
+/**
+ * Reads until the buffer is full or the file ends, a single read may return less.
+ */
+async function readChunk(fileToRead, buffer, position) {
+    let length = 0;
+
+    while (length < buffer.length) {
+        const { bytesRead } = await fileToRead.read(buffer, length, buffer.length - length, position + length);
+
+        if (!bytesRead) {
+            break;
+        }
+
+        length += bytesRead;
+    }
+
+    return buffer.subarray(0, length);
+}
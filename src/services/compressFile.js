@@ -1,18 +1,33 @@
-import { createBrotliCompress } from 'node:zlib';
 import fs from 'node:fs/promises';
 import path from 'node:path';
 
-export const compressFile = async (filePath, targetPath) => {
+import { COMPRESSION_FORMATS, DEFAULT_COMPRESSION_FORMAT } from './compressionFormats.js';
+import { resolveTargetConflict, TARGET_STATUSES } from './resolveTargetConflict.js';
+import { removeOnError } from './removeOnError.js';
+import { trackStream } from './trackStream.js';
+
+export const compressFile = async (filePath, targetPath, options = {}) => {
+    const { format = DEFAULT_COMPRESSION_FORMAT, level, messages, onConflict, signal, onProgress } = options;
+    const { extension, createCompress } = COMPRESSION_FORMATS[format];
+
     const sourceFile = path.basename(filePath);
-    const compressedFilePath = path.join(targetPath, `${sourceFile}.br`);
+    const compressedFilePath = path.join(targetPath, `${sourceFile}${extension}`);
+    const targetStatus = await resolveTargetConflict(filePath, compressedFilePath, { messages, onConflict });
+
+    if (targetStatus === TARGET_STATUSES.SKIP) {
+        return null;
+    }
     
+    signal?.throwIfAborted();
+
     const fileToCompress = await fs.open(filePath);
-    const compressedFile = await fs.open(compressedFilePath, 'w');
+    const { size: totalBytes } = await fileToCompress.stat();
+    const compressedFile = await fs.open(compressedFilePath, 'wx');
 
-    return new Promise((resolve, reject) => {
-        const readable = fileToCompress.createReadStream();
+    return removeOnError(new Promise((resolve, reject) => {
+        const readable = trackStream(fileToCompress.createReadStream(), { filePath, totalBytes, signal, onProgress });
         const writeable = compressedFile.createWriteStream();
-        const brotliCompress = createBrotliCompress();
+        const compress = createCompress(level);
 
         const closeFiles = error => {
             fileToCompress.close();
@@ -21,15 +36,15 @@ export const compressFile = async (filePath, targetPath) => {
             if (error) {
                 reject(error);
             } else {
-                resolve();
+                resolve(compressedFilePath);
             }
         }
     
         readable.on('error', error => closeFiles(error));
         writeable.on('error', error => closeFiles(error));
-        brotliCompress.on('error', error => closeFiles(error));
+        compress.on('error', error => closeFiles(error));
         writeable.on('finish', () => closeFiles());
     
-        readable.pipe(brotliCompress).pipe(writeable);
-    });
+        readable.pipe(compress).pipe(writeable);
+    }), compressedFilePath);
 };
@@ -0,0 +1,69 @@
+import {
+    createBrotliDecompress,
+    createBrotliCompress,
+    createInflate,
+    createDeflate,
+    createGunzip,
+    createGzip,
+    constants,
+} from 'node:zlib';
+import fs from 'node:fs/promises';
+import path from 'node:path';
+
+export const DEFAULT_COMPRESSION_FORMAT = 'br';
+
+export const COMPRESSION_FORMATS = {
+    br: {
+        extension: '.br',
+        maxLevel: 11,
+        createCompress: level => createBrotliCompress(level === undefined
+            ? {}
+            : { params: { [constants.BROTLI_PARAM_QUALITY]: level } }),
+        createDecompress: () => createBrotliDecompress(),
+        isMagicMatch: () => false,
+        isMagicReliable: false,
+    },
+    gzip: {
+        extension: '.gz',
+        maxLevel: 9,
+        createCompress: level => createGzip({ level }),
+        createDecompress: () => createGunzip(),
+        isMagicMatch: ([first, second]) => first === 0x1f && second === 0x8b,
+        isMagicReliable: true,
+    },
+    deflate: {
+        extension: '.zz',
+        maxLevel: 9,
+        createCompress: level => createDeflate({ level }),
+        createDecompress: () => createInflate(),
+        isMagicMatch: ([first, second]) => (first & 0x0f) === 8 && ((first << 8) + second) % 31 === 0,
+        // The zlib header is a weak check, about one in 500 brotli streams passes it too
+        isMagicReliable: false,
+    },
+};
+
+/**
+ * Detects the format by the reliable gzip magic bytes first, by the extension then,
+ * and by the weak zlib header for files without a known extension.
+ * Brotli streams have no magic bytes, so it is the fallback for unrecognized files.
+ */
+export const detectCompressionFormat = async filePath => {
+    const MAGIC_BYTES_LENGTH = 2;
+
+    const fileToCheck = await fs.open(filePath);
+    const { buffer, bytesRead } = await fileToCheck.read(Buffer.alloc(MAGIC_BYTES_LENGTH), 0, MAGIC_BYTES_LENGTH, 0);
+    await fileToCheck.close();
+
+    const formats = Object.entries(COMPRESSION_FORMATS);
+    const extension = path.extname(filePath).toLowerCase();
+    const [formatByMagic, { isMagicReliable = false } = {}] = bytesRead === MAGIC_BYTES_LENGTH
+        ? formats.find(([, format]) => format.isMagicMatch(buffer)) ?? []
+        : [];
+    const [formatByExtension] = formats.find(([, format]) => format.extension === extension) ?? [];
+
+    if (isMagicReliable) {
+        return formatByMagic;
+    }
+
+    return formatByExtension ?? formatByMagic ?? DEFAULT_COMPRESSION_FORMAT;
+};
@@ -0,0 +1,88 @@
+import fs from 'node:fs/promises';
+import path from 'node:path';
+
+import { getMessages } from '../utils/index.js';
+import { resolveTargetConflict, CONFLICT_ACTIONS, TARGET_STATUSES } from './resolveTargetConflict.js';
+import { copyFileToDest } from './copyFileToDest.js';
+
+export const copyDirectoryToDest = async (dirPath, targetDest, options = {}) => {
+    const { dereference = false, messages = getMessages(), onConflict, onReplace, signal, onProgress } = options;
+    const sourcePath = path.resolve(dirPath);
+    const copiedDirPath = path.resolve(targetDest, path.basename(dirPath));
+
+    if (copiedDirPath === sourcePath || copiedDirPath.startsWith(`${sourcePath}${path.sep}`)) {
+        throw new Error(messages.getCopyIntoItself(dirPath));
+    }
+
+    const summary = { succeeded: [], skipped: [], failed: [] };
+    const copyOptions = { dereference, messages, onConflict, onReplace, signal, onProgress, ancestors: new Set() };
+    await copyEntry(dirPath, targetDest, copyOptions, summary);
+
+    return summary;
+};
+
+async function copyEntry(entryPath, targetDest, options, summary) {
+    try {
+        const stats = options.dereference ? await fs.stat(entryPath) : await fs.lstat(entryPath);
+
+        const isCopied = stats.isDirectory()
+            ? await copyDirectoryEntry(entryPath, stats, targetDest, options, summary)
+            : Boolean(await copyFileToDest(entryPath, targetDest, options));
+
+        summary[isCopied ? 'succeeded' : 'skipped'].push(entryPath);
+    } catch (error) {
+        // Cancellation stops the whole copy instead of failing the remaining entries one by one
+        if (options.signal?.aborted) {
+            throw error;
+        }
+
+        summary.failed.push({ path: entryPath, error });
+    }
+}
+
+async function copyDirectoryEntry(dirPath, stats, targetDest, options, summary) {
+    const inode = `${stats.dev}:${stats.ino}`;
+    const copiedDirPath = path.join(targetDest, path.basename(dirPath));
+
+    if (options.ancestors.has(inode)) {
+        throw new Error(options.messages.getSymlinkLoop());
+    }
+
+    const { onConflict } = options;
+    const targetStatus = await resolveTargetConflict(dirPath, copiedDirPath, {
+        isDirectory: true,
+        messages: options.messages,
+        onConflict: onConflict && (async targetPath => {
+            const action = await onConflict(targetPath);
+            const isSkippedDirectory = action === CONFLICT_ACTIONS.SKIP && (await fs.lstat(targetPath)).isDirectory();
+
+            // Skipping keeps existing files, so the content of an existing directory is still merged
+            return isSkippedDirectory ? CONFLICT_ACTIONS.OVERWRITE : action;
+        }),
+    });
+
+    if (targetStatus === TARGET_STATUSES.SKIP) {
+        return false;
+    }
+
+    if (targetStatus === TARGET_STATUSES.FREE) {
+        await fs.mkdir(copiedDirPath);
+    }
+
+    options.ancestors.add(inode);
+
+    try {
+        const entries = await fs.readdir(dirPath);
+
+        for (const entry of entries) {
+            await copyEntry(path.join(dirPath, entry), copiedDirPath, options, summary);
+        }
+    } finally {
+        options.ancestors.delete(inode);
+    }
+
+    await fs.chmod(copiedDirPath, stats.mode);
+    await fs.utimes(copiedDirPath, stats.atime, stats.mtime);
+
+    return true;
+}
@@ -1,13 +1,49 @@
 import fs from 'node:fs/promises';
 import path from 'node:path';
 
-export const copyFileToDest = async (fileName, targetDest) => {
-    const copiedFilePath = path.join(targetDest, fileName);
-    const fileToRead = await fs.open(fileName);
-    const fileToWrite = await fs.open(copiedFilePath, 'w');
+import { getMessages } from '../utils/index.js';
+import { resolveTargetConflict, TARGET_STATUSES } from './resolveTargetConflict.js';
+import { removeOnError } from './removeOnError.js';
+import { trackStream } from './trackStream.js';
 
-    await new Promise((resolve, reject) => {
-        const readable = fileToRead.createReadStream();
+export const copyFileToDest = async (filePath, targetDest, options = {}) => {
+    const { dereference = false, messages = getMessages(), onConflict, onReplace, signal, onProgress } = options;
+    signal?.throwIfAborted();
+
+    const copiedFilePath = path.join(targetDest, path.basename(filePath));
+    const stats = dereference ? await fs.stat(filePath) : await fs.lstat(filePath);
+
+    if (!stats.isFile() && !stats.isSymbolicLink()) {
+        throw new Error(messages.getNotRegularFile(filePath));
+    }
+
+    const targetStatus = await resolveTargetConflict(filePath, copiedFilePath, { messages, onConflict, onReplace });
+
+    if (targetStatus === TARGET_STATUSES.SKIP) {
+        return null;
+    }
+
+    if (stats.isSymbolicLink()) {
+        await fs.symlink(await fs.readlink(filePath), copiedFilePath);
+        await fs.lutimes(copiedFilePath, stats.atime, stats.mtime);
+
+        return copiedFilePath;
+    }
+
+    const fileToRead = await fs.open(filePath);
+    const fileToWrite = await fs.open(copiedFilePath, 'wx').catch(async error => {
+        await fileToRead.close();
+
+        throw error;
+    });
+
+    const copying = new Promise((resolve, reject) => {
+        const readable = trackStream(fileToRead.createReadStream(), {
+            filePath,
+            totalBytes: stats.size,
+            signal,
+            onProgress,
+        });
         const writable = fileToWrite.createWriteStream();
 
         const closeFiles = error => {
@@ -27,4 +63,11 @@ export const copyFileToDest = async (fileName, targetDest) => {
     
         readable.pipe(writable);
     });
+
+    await removeOnError(copying, copiedFilePath);
+
+    await fs.chmod(copiedFilePath, stats.mode);
+    await fs.utimes(copiedFilePath, stats.atime, stats.mtime);
+
+    return copiedFilePath;
 };
@@ -1,16 +1,14 @@
 import fs from 'node:fs/promises';
 
-export const createDirectory = async directoryPath => {
-    const DIRECTORY_ALREADY_EXISTS = 'Directory already exists';
+import { getMessages } from '../utils/index.js';
+import { AlreadyExistsError } from '../errors/index.js';
 
-    try {
-        await fs.access(directoryPath);
-        throw new Error(DIRECTORY_ALREADY_EXISTS);
-    } catch (error) {
-        if (error.message === DIRECTORY_ALREADY_EXISTS) {
-            throw error;
-        }
+export const createDirectory = async (directoryPath, { messages = getMessages() } = {}) => {
+    const isExisting = await fs.access(directoryPath).then(() => true, () => false);
 
-        await fs.mkdir(directoryPath, { recursive: true });
+    if (isExisting) {
+        throw new AlreadyExistsError(messages.getDirectoryAlreadyExists());
     }
+
+    await fs.mkdir(directoryPath, { recursive: true });
 };
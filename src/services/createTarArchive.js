@@ -0,0 +1,135 @@
+import { Readable } from 'node:stream';
+import { pipeline } from 'node:stream/promises';
+import fs from 'node:fs/promises';
+import path from 'node:path';
+
+import { getMessages } from '../utils/index.js';
+import { encodeTarHeader, getTarPadding, TAR_BLOCK_SIZE, TAR_ENTRY_TYPES } from './tarFormat.js';
+import { resolveTargetConflict, TARGET_STATUSES } from './resolveTargetConflict.js';
+import { COMPRESSION_FORMATS } from './compressionFormats.js';
+import { walkDirectory } from './walkDirectory.js';
+
+/**
+ * Creates a ustar archive from files and directories, optionally compressed with one of COMPRESSION_FORMATS.
+ * Entries are named relative to the parent directory of their source, symbolic links are stored as links.
+ * Returns null if the existing archive is skipped.
+ */
+export const createTarArchive = async (sourcePaths, archivePath, { format = null, messages = getMessages(), onConflict } = {}) => {
+    const targetStatus = await resolveTargetConflict(null, archivePath, { messages, onConflict });
+
+    if (targetStatus === TARGET_STATUSES.SKIP) {
+        return null;
+    }
+
+    const summary = { succeeded: [], skipped: [], failed: [] };
+    const archiveFile = await fs.open(archivePath, 'wx');
+    const archiveStats = await archiveFile.stat();
+    const entries = [];
+
+    for (const sourcePath of sourcePaths) {
+        const basePath = path.dirname(path.resolve(sourcePath));
+
+        await walkDirectory(sourcePath, {
+            onEntry: (entryPath, stats) => {
+                if (stats.dev !== archiveStats.dev || stats.ino !== archiveStats.ino) {
+                    entries.push({ entryPath, stats, name: getEntryName(basePath, entryPath, stats) });
+                }
+            },
+            onError: (entryPath, error) => summary.failed.push({ path: entryPath, error }),
+        });
+    }
+
+    const transforms = format ? [COMPRESSION_FORMATS[format].createCompress()] : [];
+
+    try {
+        await pipeline(Readable.from(generateArchive(entries, summary, messages)), ...transforms, archiveFile.createWriteStream());
+    } catch (error) {
+        await fs.rm(archivePath, { force: true });
+
+        throw error;
+    } finally {
+        await archiveFile.close().catch(() => {});
+    }
+
+    return summary;
+};
+
+async function* generateArchive(entries, summary, messages) {
+    for (const { entryPath, stats, name } of entries) {
+        const header = { name, mode: stats.mode, uid: stats.uid, gid: stats.gid, size: 0, mtime: stats.mtime };
+
+        try {
+            if (stats.isDirectory()) {
+                yield encodeTarHeader({ ...header, type: TAR_ENTRY_TYPES.DIRECTORY }, messages);
+            } else if (stats.isSymbolicLink()) {
+                const linkName = await fs.readlink(entryPath);
+                yield encodeTarHeader({ ...header, type: TAR_ENTRY_TYPES.SYMLINK, linkName }, messages);
+            } else if (stats.isFile()) {
+                yield* generateFileEntry(entryPath, { ...header, size: stats.size, type: TAR_ENTRY_TYPES.FILE }, messages);
+            } else {
+                throw new Error(messages.getUnsupportedEntryType(getSpecialFileType(stats)));
+            }
+
+            summary.succeeded.push(entryPath);
+        } catch (error) {
+            // Errors raised after the header is written leave the archive inconsistent, so they abort it
+            if (error.isArchiveBroken) {
+                throw error;
+            }
+
+            summary.failed.push({ path: entryPath, error });
+        }
+    }
+
+    yield Buffer.alloc(TAR_BLOCK_SIZE * 2);
+}
+
+async function* generateFileEntry(filePath, header, messages) {
+    const file = await fs.open(filePath);
+    const encodedHeader = encodeTarHeader(header, messages);
+    let writtenSize = 0;
+
+    try {
+        yield encodedHeader;
+
+        for await (const chunk of file.createReadStream({ autoClose: false })) {
+            writtenSize += chunk.length;
+
+            if (writtenSize > header.size) {
+                break;
+            }
+
+            yield chunk;
+        }
+    } catch (error) {
+        error.isArchiveBroken = true;
+
+        throw error;
+    } finally {
+        await file.close();
+    }
+
+    if (writtenSize !== header.size) {
+        throw Object.assign(new Error(messages.getFileChanged(filePath)), { isArchiveBroken: true });
+    }
+
+    yield Buffer.alloc(getTarPadding(header.size));
+}
+
+function getEntryName(basePath, entryPath, stats) {
+    const name = path.relative(basePath, path.resolve(entryPath)).split(path.sep).join('/');
+
+    return stats.isDirectory() ? `${name}/` : name;
+}
+
+function getSpecialFileType(stats) {
+    const typesMap = [
+        ['fifo', stats.isFIFO()],
+        ['socket', stats.isSocket()],
+        ['block device', stats.isBlockDevice()],
+        ['character device', stats.isCharacterDevice()],
+    ];
+    const [type] = typesMap.find(([, isMatched]) => isMatched) ?? ['unknown'];
+
+    return type;
+}
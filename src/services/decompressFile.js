@@ -1,18 +1,35 @@
-import { createBrotliDecompress } from 'node:zlib';
 import fs from 'node:fs/promises';
 import path from 'node:path';
 
-export const decompressFile = async (filePath, targetPath) => {
-    const sourceFile = path.basename(filePath, '.br');
+import { COMPRESSION_FORMATS, detectCompressionFormat } from './compressionFormats.js';
+import { resolveTargetConflict, TARGET_STATUSES } from './resolveTargetConflict.js';
+import { removeOnError } from './removeOnError.js';
+import { trackStream } from './trackStream.js';
+
+export const decompressFile = async (filePath, targetPath, { messages, onConflict, signal, onProgress } = {}) => {
+    const format = await detectCompressionFormat(filePath);
+    const { extension, createDecompress } = COMPRESSION_FORMATS[format];
+
+    const sourceFile = path.extname(filePath).toLowerCase() === extension
+        ? path.basename(filePath).slice(0, -extension.length)
+        : path.basename(filePath);
     const decompressedFilePath = path.join(targetPath, sourceFile);
+    const targetStatus = await resolveTargetConflict(filePath, decompressedFilePath, { messages, onConflict });
+
+    if (targetStatus === TARGET_STATUSES.SKIP) {
+        return null;
+    }
     
+    signal?.throwIfAborted();
+
     const fileToDecompress = await fs.open(filePath);
-    const decompressedFile = await fs.open(decompressedFilePath, 'w');
+    const { size: totalBytes } = await fileToDecompress.stat();
+    const decompressedFile = await fs.open(decompressedFilePath, 'wx');
 
-    return new Promise((resolve, reject) => {
-        const readable = fileToDecompress.createReadStream();
+    return removeOnError(new Promise((resolve, reject) => {
+        const readable = trackStream(fileToDecompress.createReadStream(), { filePath, totalBytes, signal, onProgress });
         const writeable = decompressedFile.createWriteStream();
-        const brotliDecompress = createBrotliDecompress();
+        const decompress = createDecompress();
 
         const closeFiles = error => {
             fileToDecompress.close();
@@ -21,15 +38,15 @@ export const decompressFile = async (filePath, targetPath) => {
             if (error) {
                 reject(error);
             } else {
-                resolve();
+                resolve(decompressedFilePath);
             }
         }
     
         readable.on('error', error => closeFiles(error));
         writeable.on('error', error => closeFiles(error));
-        brotliDecompress.on('error', error => closeFiles(error));  
+        decompress.on('error', error => closeFiles(error));  
         writeable.on('finish', () => closeFiles());
     
-        readable.pipe(brotliDecompress).pipe(writeable);
-    });
+        readable.pipe(decompress).pipe(writeable);
+    }), decompressedFilePath);
 };
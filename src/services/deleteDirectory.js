@@ -0,0 +1,31 @@
+import fs from 'node:fs/promises';
+import path from 'node:path';
+
+export const deleteDirectory = async dirPath => {
+    const summary = { succeeded: [], skipped: [], failed: [] };
+    await deleteEntry(dirPath, summary);
+
+    return summary;
+};
+
+async function deleteEntry(entryPath, summary) {
+    try {
+        const stats = await fs.lstat(entryPath);
+
+        if (stats.isDirectory()) {
+            const entries = await fs.readdir(entryPath);
+
+            for (const entry of entries) {
+                await deleteEntry(path.join(entryPath, entry), summary);
+            }
+
+            await fs.rmdir(entryPath);
+        } else {
+            await fs.unlink(entryPath);
+        }
+
+        summary.succeeded.push(entryPath);
+    } catch (error) {
+        summary.failed.push({ path: entryPath, error });
+    }
+}
@@ -0,0 +1,59 @@
+import fs from 'node:fs/promises';
+
+import { trackStream } from './trackStream.js';
+
+/**
+ * Dumps a part of a file in the canonical format of `hexdump -C`: the offset, 16 bytes in hex and as text.
+ * Every line is passed to `onLine`, the number of dumped bytes is returned.
+ */
+export const dumpFileHex = async (filePath, { offset = 0, length = Infinity, signal, onProgress, onLine }) => {
+    const BYTES_PER_LINE = 16;
+
+    signal?.throwIfAborted();
+
+    const fileToRead = await fs.open(filePath);
+
+    try {
+        const { size } = await fileToRead.stat();
+        const end = Math.min(size, offset + length);
+
+        if (offset >= end) {
+            return 0;
+        }
+
+        const readStream = trackStream(
+            fileToRead.createReadStream({ start: offset, end: end - 1, autoClose: false }),
+            { filePath, totalBytes: end - offset, signal, onProgress },
+        );
+        let lineOffset = offset;
+        let pendingBytes = Buffer.alloc(0);
+
+        for await (const chunk of readStream) {
+            pendingBytes = Buffer.concat([pendingBytes, chunk]);
+
+            while (pendingBytes.length >= BYTES_PER_LINE) {
+                await onLine(formatHexLine(lineOffset, pendingBytes.subarray(0, BYTES_PER_LINE), BYTES_PER_LINE));
+                lineOffset += BYTES_PER_LINE;
+                pendingBytes = pendingBytes.subarray(BYTES_PER_LINE);
+            }
+        }
+
+        if (pendingBytes.length) {
+            await onLine(formatHexLine(lineOffset, pendingBytes, BYTES_PER_LINE));
+        }
+
+        return end - offset;
+    } finally {
+        await fileToRead.close();
+    }
+};
+
+function formatHexLine(offset, bytes, bytesPerLine) {
+    const hexBytes = Array.from({ length: bytesPerLine }, (_, index) => {
+        return index < bytes.length ? bytes[index].toString(16).padStart(2, '0') : '  ';
+    });
+    const halfIdx = bytesPerLine / 2;
+    const text = [...bytes].map(byte => byte >= 0x20 && byte < 0x7f ? String.fromCharCode(byte) : '.').join('');
+
+    return `${offset.toString(16).padStart(8, '0')}  ${hexBytes.slice(0, halfIdx).join(' ')}  ${hexBytes.slice(halfIdx).join(' ')}  |${text}|`;
+}
@@ -0,0 +1,19 @@
+import fs from 'node:fs/promises';
+
+import { getTrashItemPaths, readTrashItems } from './trashStorage.js';
+
+/**
+ * Permanently deletes all trash items and returns the number of deleted ones.
+ */
+export const emptyTrash = async trashDir => {
+    const items = await readTrashItems(trashDir);
+
+    for (const { id } of items) {
+        const { itemDir, infoPath } = getTrashItemPaths(trashDir, id);
+
+        await fs.rm(itemDir, { recursive: true, force: true });
+        await fs.rm(infoPath, { force: true });
+    }
+
+    return items.length;
+};
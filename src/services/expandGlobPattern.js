@@ -0,0 +1,207 @@
+import { readdir, lstat } from 'node:fs/promises';
+import path from 'node:path';
+
+const GLOBSTAR = '**';
+const ESCAPE_CHAR = '\\';
+
+export const isGlobPattern = pattern => {
+    const normalizedPattern = normalizePattern(pattern);
+
+    return expandBraces(normalizedPattern).length > 1 || hasWildcards(normalizedPattern);
+};
+
+export const getLiteralPath = pattern => {
+    return process.platform === 'win32' ? pattern : pattern.replace(/\\([*?{},\\])/g, '$1');
+};
+
+/**
+ * Finds the existing paths matching a pattern. Every directory goes through `resolvePath` before it is read,
+ * and every match before it is returned: the ones it rejects are skipped.
+ */
+export const expandGlobPattern = async (pattern, currentDirectory, { resolvePath = entryPath => entryPath } = {}) => {
+    const matches = new Set();
+    const context = { currentDirectory, resolvePath, matches };
+
+    for (const expandedPattern of expandBraces(normalizePattern(pattern))) {
+        const { root } = path.parse(expandedPattern);
+        const segments = expandedPattern.slice(root.length).split('/').filter(Boolean);
+
+        await matchSegments(root, segments, context);
+    }
+
+    return [...matches].sort((previous, next) => previous.localeCompare(next));
+};
+
+export const getNameMatcher = pattern => {
+    const regExps = expandBraces(normalizePattern(pattern)).map(segmentToRegExp);
+
+    return name => regExps.some(regExp => regExp.test(name));
+};
+
+/**
+ * Windows paths use backslashes as separators, so they can't serve as escape characters there.
+ */
+function normalizePattern(pattern) {
+    return process.platform === 'win32' ? pattern.replaceAll('\\', '/') : pattern;
+}
+
+function expandBraces(pattern) {
+    let depth = 0;
+    let openIdx = -1;
+
+    for (let index = 0; index < pattern.length; index++) {
+        const char = pattern[index];
+
+        if (char === ESCAPE_CHAR) {
+            index++;
+        } else if (char === '{') {
+            openIdx = depth === 0 ? index : openIdx;
+            depth++;
+        } else if (char === '}' && depth > 0) {
+            depth--;
+
+            const alternatives = depth === 0 ? splitAlternatives(pattern.slice(openIdx + 1, index)) : [];
+
+            if (alternatives.length > 1) {
+                const prefix = pattern.slice(0, openIdx);
+                const suffix = pattern.slice(index + 1);
+
+                return alternatives.flatMap(alternative => expandBraces(`${prefix}${alternative}${suffix}`));
+            }
+        }
+    }
+
+    return [pattern];
+}
+
+function splitAlternatives(braceBody) {
+    const alternatives = [];
+    let depth = 0;
+    let startIdx = 0;
+
+    for (let index = 0; index < braceBody.length; index++) {
+        const char = braceBody[index];
+
+        if (char === ESCAPE_CHAR) {
+            index++;
+        } else if (char === '{') {
+            depth++;
+        } else if (char === '}') {
+            depth--;
+        } else if (char === ',' && depth === 0) {
+            alternatives.push(braceBody.slice(startIdx, index));
+            startIdx = index + 1;
+        }
+    }
+
+    alternatives.push(braceBody.slice(startIdx));
+
+    return alternatives;
+}
+
+function hasWildcards(segment) {
+    for (let index = 0; index < segment.length; index++) {
+        if (segment[index] === ESCAPE_CHAR) {
+            index++;
+        } else if (segment[index] === '*' || segment[index] === '?') {
+            return true;
+        }
+    }
+
+    return false;
+}
+
+function unescapeSegment(segment) {
+    return segment.replace(/\\(.)/g, '$1');
+}
+
+function segmentToRegExp(segment) {
+    let source = '';
+
+    for (let index = 0; index < segment.length; index++) {
+        const char = segment[index];
+
+        if (char === ESCAPE_CHAR && index + 1 < segment.length) {
+            source += escapeRegExp(segment[++index]);
+        } else if (char === '*') {
+            source += '[^/]*';
+        } else if (char === '?') {
+            source += '[^/]';
+        } else {
+            source += escapeRegExp(char);
+        }
+    }
+
+    return new RegExp(`^${source}$`);
+}
+
+function escapeRegExp(text) {
+    return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Wildcards don't match names starting with a dot unless the pattern segment starts with one too.
+ */
+function isNameMatch(name, segment, regExp) {
+    return regExp.test(name) && (!name.startsWith('.') || segment.startsWith('.'));
+}
+
+async function matchSegments(basePath, segments, context) {
+    if (!segments.length) {
+        if (await isExisting(path.resolve(context.currentDirectory, basePath), context.resolvePath)) {
+            context.matches.add(basePath);
+        }
+
+        return;
+    }
+
+    const [segment, ...restSegments] = segments;
+
+    if (segment === GLOBSTAR) {
+        const nextSegments = restSegments.length ? restSegments : ['*'];
+        await matchSegments(basePath, nextSegments, context);
+
+        for (const entry of await getEntries(basePath, context)) {
+            if (entry.isDirectory() && !entry.name.startsWith('.')) {
+                await matchSegments(path.join(basePath, entry.name), segments, context);
+            }
+        }
+
+        return;
+    }
+
+    if (!hasWildcards(segment)) {
+        await matchSegments(path.join(basePath, unescapeSegment(segment)), restSegments, context);
+
+        return;
+    }
+
+    const regExp = segmentToRegExp(segment);
+
+    for (const entry of await getEntries(basePath, context)) {
+        const canContainMatches = entry.isDirectory() || entry.isSymbolicLink();
+
+        if (isNameMatch(entry.name, segment, regExp) && (!restSegments.length || canContainMatches)) {
+            await matchSegments(path.join(basePath, entry.name), restSegments, context);
+        }
+    }
+}
+
+async function getEntries(basePath, { currentDirectory, resolvePath }) {
+    try {
+        return await readdir(await resolvePath(path.resolve(currentDirectory, basePath)), { withFileTypes: true });
+    } catch {
+        return [];
+    }
+}
+
+async function isExisting(entryPath, resolvePath) {
+    try {
+        await lstat(entryPath);
+        await resolvePath(entryPath);
+
+        return true;
+    } catch {
+        return false;
+    }
+}
@@ -0,0 +1,163 @@
+import fs from 'node:fs/promises';
+import path from 'node:path';
+
+import { getMessages } from '../utils/index.js';
+import { createArchiveReadable, readTarEntries, TAR_ENTRY_TYPES } from './tarFormat.js';
+import { resolveTargetConflict, TARGET_STATUSES } from './resolveTargetConflict.js';
+
+/**
+ * Extracts a plain or compressed ustar archive into a directory.
+ * Entries with absolute paths, `..` segments or symbolic links leading outside the directory are rejected.
+ */
+export const extractTarArchive = async (archivePath, targetDir, { messages = getMessages(), onConflict } = {}) => {
+    const rootPath = path.resolve(targetDir);
+    const summary = { succeeded: [], skipped: [], failed: [] };
+    const directories = [];
+
+    for await (const { header, content } of readTarEntries(await createArchiveReadable(archivePath), messages)) {
+        try {
+            const entryPath = await getSafeEntryPath(rootPath, header.name, messages);
+            const isExtracted = await extractEntry(entryPath, header, content, { rootPath, messages, onConflict });
+
+            if (header.type === TAR_ENTRY_TYPES.DIRECTORY && isExtracted) {
+                directories.push({ entryPath, header });
+            }
+
+            summary[isExtracted ? 'succeeded' : 'skipped'].push(header.name);
+        } catch (error) {
+            summary.failed.push({ path: header.name, error });
+        }
+    }
+
+    // Directory modes and times are restored last, since extracting their content changes them
+    for (const { entryPath, header } of directories.reverse()) {
+        await fs.chmod(entryPath, header.mode);
+        await fs.utimes(entryPath, header.mtime, header.mtime);
+    }
+
+    return summary;
+};
+
+async function extractEntry(entryPath, header, content, { rootPath, messages, onConflict }) {
+    const isDirectory = header.type === TAR_ENTRY_TYPES.DIRECTORY;
+
+    if (!Object.values(TAR_ENTRY_TYPES).includes(header.type)) {
+        throw new Error(messages.getUnsupportedEntryType(header.type));
+    }
+
+    if (header.type === TAR_ENTRY_TYPES.SYMLINK && !await isLinkInside(rootPath, entryPath, header.linkName)) {
+        throw new Error(messages.getUnsafeLink(header.linkName));
+    }
+
+    await fs.mkdir(path.dirname(entryPath), { recursive: true });
+
+    // Directories already present are merged like the ones created by earlier entries
+    if (isDirectory && (await fs.lstat(entryPath).catch(() => null))?.isDirectory()) {
+        return true;
+    }
+
+    const targetStatus = await resolveTargetConflict(null, entryPath, { isDirectory, messages, onConflict });
+
+    if (targetStatus === TARGET_STATUSES.SKIP) {
+        return false;
+    }
+
+    if (isDirectory) {
+        await fs.mkdir(entryPath, { recursive: true });
+    } else if (header.type === TAR_ENTRY_TYPES.SYMLINK) {
+        await fs.symlink(header.linkName, entryPath);
+    } else {
+        await writeFileEntry(entryPath, header, content);
+    }
+
+    return true;
+}
+
+async function writeFileEntry(filePath, header, content) {
+    const file = await fs.open(filePath, 'wx');
+
+    try {
+        for await (const chunk of content()) {
+            await file.write(chunk);
+        }
+    } catch (error) {
+        await file.close();
+        await fs.rm(filePath, { force: true });
+
+        throw error;
+    }
+
+    await file.close();
+    await fs.chmod(filePath, header.mode);
+    await fs.utimes(filePath, header.mtime, header.mtime);
+}
+
+/**
+ * Resolves an entry name inside the destination. Parent components must be real directories,
+ * otherwise an earlier symbolic link entry could redirect the extraction elsewhere.
+ */
+async function getSafeEntryPath(rootPath, name, messages) {
+    const segments = name.split('/').filter(segment => segment && segment !== '.');
+    const entryPath = path.resolve(rootPath, ...segments);
+
+    if (path.posix.isAbsolute(name) || path.win32.isAbsolute(name) || segments.includes('..')
+        || !segments.length || !isInside(rootPath, entryPath)) {
+        throw new Error(messages.getUnsafePath(name));
+    }
+
+    let parentPath = rootPath;
+
+    for (const segment of segments.slice(0, -1)) {
+        parentPath = path.join(parentPath, segment);
+
+        const stats = await fs.lstat(parentPath).catch(() => null);
+
+        if (stats?.isSymbolicLink()) {
+            throw new Error(messages.getUnsafePath(name));
+        }
+    }
+
+    return entryPath;
+}
+
+/**
+ * Checks where a link target leads, following the links extracted so far. `..` is only allowed at the start
+ * of the target: after a name it could go up from a link that an earlier or a later entry creates.
+ */
+async function isLinkInside(rootPath, entryPath, linkName) {
+    const segments = linkName.split('/').filter(segment => segment && segment !== '.');
+    const firstNameIdx = segments.findIndex(segment => segment !== '..');
+
+    if (firstNameIdx !== -1 && segments.includes('..', firstNameIdx)) {
+        return false;
+    }
+
+    const targetPath = path.resolve(path.dirname(entryPath), linkName);
+
+    return isInside(await getRealPath(rootPath), await getRealPath(targetPath));
+}
+
+/**
+ * Resolves the links of the longest existing part of a path, the rest of it is appended as is.
+ */
+async function getRealPath(targetPath) {
+    const missingSegments = [];
+    let existingPath = targetPath;
+
+    while (true) {
+        try {
+            return path.join(await fs.realpath(existingPath), ...missingSegments);
+        } catch (error) {
+            if (error.code !== 'ENOENT' || existingPath === path.dirname(existingPath)) {
+                throw error;
+            }
+
+            missingSegments.unshift(path.basename(existingPath));
+            existingPath = path.dirname(existingPath);
+        }
+    }
+}
+
+function isInside(rootPath, entryPath) {
+    return entryPath === rootPath || entryPath.startsWith(`${rootPath}${path.sep}`);
+}
@@ -0,0 +1,46 @@
+import path from 'node:path';
+
+import { getNameMatcher } from './expandGlobPattern.js';
+import { walkDirectory } from './walkDirectory.js';
+
+export const ENTRY_TYPES = ['f', 'd', 'l'];
+
+export const findEntries = async (startPath, criteria, { onMatch, onError }) => {
+    const {
+        namePattern = null,
+        type = null,
+        minSize = null,
+        maxSize = null,
+        newerThan = null,
+        olderThan = null,
+        maxDepth = Infinity,
+    } = criteria;
+
+    const isNameMatch = namePattern ? getNameMatcher(namePattern) : () => true;
+    const typeCheckers = {
+        f: stats => stats.isFile(),
+        d: stats => stats.isDirectory(),
+        l: stats => stats.isSymbolicLink(),
+    };
+    let matchesCount = 0;
+
+    await walkDirectory(startPath, {
+        maxDepth,
+        onError,
+        onEntry: async (entryPath, stats) => {
+            const isMatch = isNameMatch(path.basename(entryPath))
+                && (!type || typeCheckers[type](stats))
+                && (minSize === null || stats.size >= minSize)
+                && (maxSize === null || stats.size <= maxSize)
+                && (!newerThan || stats.mtime >= newerThan)
+                && (!olderThan || stats.mtime <= olderThan);
+
+            if (isMatch) {
+                matchesCount++;
+                await onMatch(entryPath, stats);
+            }
+        },
+    });
+
+    return matchesCount;
+};
@@ -0,0 +1,49 @@
+import fs from 'node:fs/promises';
+
+/**
+ * Passes data appended to a file to `onData` until the signal is aborted, which ends following without an error.
+ * A file that gets truncated, e.g. a rotated log, is followed from its start again.
+ */
+export const followFile = async (filePath, { position = 0, signal, onData }) => {
+    const CHUNK_SIZE = 64 * 1024;
+
+    let offset = position;
+
+    const readAppendedData = async () => {
+        const fileToRead = await fs.open(filePath);
+
+        try {
+            const { size } = await fileToRead.stat();
+
+            if (size < offset) {
+                offset = 0;
+            }
+
+            while (offset < size) {
+                const chunk = Buffer.alloc(Math.min(CHUNK_SIZE, size - offset));
+                const { bytesRead } = await fileToRead.read(chunk, 0, chunk.length, offset);
+
+                if (!bytesRead) {
+                    break;
+                }
+
+                offset += bytesRead;
+                await onData(chunk.subarray(0, bytesRead));
+            }
+        } finally {
+            await fileToRead.close();
+        }
+    };
+
+    try {
+        await readAppendedData();
+
+        for await (const event of fs.watch(filePath, { signal })) {
+            await readAppendedData();
+        }
+    } catch (error) {
+        if (error.name !== 'AbortError') {
+            throw error;
+        }
+    }
+};
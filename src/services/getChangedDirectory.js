@@ -1,15 +1,17 @@
-import { access } from 'node:fs/promises';
+import { opendir } from 'node:fs/promises';
 import path from 'node:path';
 
-export const getChangedDirectory = async targetDirectory => {
-    const resolvedPath = path.resolve(process.cwd(), targetDirectory);
+import { getSandboxedPath } from './getSandboxedPath.js';
 
-    try {
-        await access(resolvedPath);
-        process.chdir(targetDirectory);
+/**
+ * Resolves the target directory against the current one. Opening it fails for missing entries
+ * and for files, so the process working directory is never changed.
+ * With a root directory the target can't be outside of it.
+ */
+export const getChangedDirectory = async (targetDirectory, currentDirectory, rootDirectory = null) => {
+    const resolvedPath = await getSandboxedPath(path.resolve(currentDirectory, targetDirectory), rootDirectory);
+    const directory = await opendir(resolvedPath);
+    await directory.close();
 
-        return process.cwd();
-    } catch (error) {
-        throw new Error(error.message);
-    }
+    return resolvedPath;
 };
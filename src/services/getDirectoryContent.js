@@ -1,37 +1,144 @@
-import { readdir, lstat } from 'node:fs/promises';
+import { readdir, readlink, lstat } from 'node:fs/promises';
 import path from 'node:path';
+import os from 'node:os';
 
-export const getDirectoryContent = async currentDirectory => {
-    try {
-        const files = await readdir(currentDirectory);
-        const items = await Promise.all(files.map(async entry => {
-            const fullPath = path.join(currentDirectory, entry);
-            const stat = await lstat(fullPath);
-
-            if (stat.isDirectory()) {
-                return { Name: entry, Type: 'directory' };
-            }
-
-            if (stat.isFile()) {
-                return { Name: entry, Type: 'file' };
-            }
-
-            return null;
-        }));
-        
-        const filteredItems = items.filter(Boolean);
-        filteredItems.sort((previous, next) => sortByTypeAndName(previous, next));
-
-        return filteredItems;
-    } catch (error) {
-        throw new Error(error.message);
+import { getHumanReadableSize, getFormattedDate } from '../utils/index.js';
+
+export const SORT_KEYS = ['name', 'size', 'time', 'extension'];
+
+export const getDirectoryContent = async (targetPath, options = {}) => {
+    const {
+        showHidden = false,
+        isLongFormat = false,
+        isHumanReadable = false,
+        sortBy = null,
+        isReversed = false,
+        isRaw = false,
+    } = options;
+
+    const targetStat = await lstat(targetPath);
+    const entries = targetStat.isDirectory()
+        ? await readdir(targetPath)
+        : [path.basename(targetPath)];
+    const directory = targetStat.isDirectory() ? targetPath : path.dirname(targetPath);
+    const visibleEntries = entries.filter(entry => showHidden || !entry.startsWith('.'));
+
+    const results = await Promise.allSettled(visibleEntries.map(async entry => {
+        const fullPath = path.join(directory, entry);
+        const stat = await lstat(fullPath);
+        const target = stat.isSymbolicLink() ? await readlink(fullPath) : null;
+
+        return { entry, stat, target };
+    }));
+    // Entries deleted while the directory is listed are left out
+    const failedResult = results.find(({ status, reason }) => status === 'rejected' && reason.code !== 'ENOENT');
+
+    if (failedResult) {
+        throw failedResult.reason;
     }
+
+    const items = results.filter(({ status }) => status === 'fulfilled').map(({ value }) => value);
+
+    items.sort((previous, next) => compareItems(previous, next, sortBy));
+
+    if (isReversed) {
+        items.reverse();
+    }
+
+    return items.map(item => isRaw ? getRawItem(item) : formatItem(item, isLongFormat, isHumanReadable));
 }
 
-function sortByTypeAndName(previous, next) {
-    if (previous.Type === next.Type) {
-        return previous.Name.localeCompare(next.Name);
+function getEntryType(stat) {
+    const typesMap = [
+        ['directory', stat.isDirectory()],
+        ['file', stat.isFile()],
+        ['symlink', stat.isSymbolicLink()],
+        ['fifo', stat.isFIFO()],
+        ['socket', stat.isSocket()],
+        ['block device', stat.isBlockDevice()],
+        ['character device', stat.isCharacterDevice()],
+    ];
+    const [type] = typesMap.find(([, isMatched]) => isMatched) ?? ['unknown'];
+
+    return type;
+}
+
+/**
+ * Describes an entry with unformatted values, for output that is processed by other programs.
+ */
+function getRawItem({ entry, stat, target }) {
+    return {
+        name: entry,
+        type: getEntryType(stat),
+        target,
+        size: stat.size,
+        modified: stat.mtime.toISOString(),
+        permissions: formatPermissions(stat),
+        owner: getOwnerName(stat.uid),
+    };
+}
+
+function formatItem({ entry, stat, target }, isLongFormat, isHumanReadable) {
+    const item = {
+        Name: target === null ? entry : `${entry} -> ${target}`,
+        Type: getEntryType(stat),
+    };
+
+    if (!isLongFormat) {
+        return item;
+    }
+
+    return {
+        ...item,
+        Size: isHumanReadable ? getHumanReadableSize(stat.size) : stat.size,
+        Modified: getFormattedDate(stat.mtime),
+        Permissions: formatPermissions(stat),
+        Owner: getOwnerName(stat.uid),
+    };
+}
+
+function formatPermissions(stat) {
+    const PERMISSION_CHARS = 'rwxrwxrwx';
+    const TYPE_CHARS = {
+        directory: 'd',
+        symlink: 'l',
+        fifo: 'p',
+        socket: 's',
+        'block device': 'b',
+        'character device': 'c',
+    };
+    const typeChar = TYPE_CHARS[getEntryType(stat)] ?? '-';
+    const permissions = [...PERMISSION_CHARS]
+        .map((char, index) => stat.mode & (1 << (8 - index)) ? char : '-')
+        .join('');
+
+    return `${typeChar}${permissions}`;
+}
+
+/**
+ * Node.js can't resolve arbitrary uids to user names, so only the current user is shown by name.
+ */
+function getOwnerName(uid) {
+    const currentUser = os.userInfo();
+
+    return uid === currentUser.uid ? currentUser.username : String(uid);
+}
+
+/**
+ * Directories go first only when sorting by name, other keys order all entries together.
+ */
+function compareItems(previous, next, sortBy) {
+    const previousIsDirectory = previous.stat.isDirectory();
+
+    if ((sortBy ?? 'name') === 'name' && previousIsDirectory !== next.stat.isDirectory()) {
+        return previousIsDirectory ? -1 : 1;
     }
 
-    return previous.Type === 'directory' ? -1 : 1;
+    const comparatorsMap = {
+        size: () => next.stat.size - previous.stat.size,
+        time: () => next.stat.mtimeMs - previous.stat.mtimeMs,
+        extension: () => path.extname(previous.entry).localeCompare(path.extname(next.entry)),
+    };
+
+    return comparatorsMap[sortBy]?.() || previous.entry.localeCompare(next.entry);
 }
@@ -0,0 +1,197 @@
+export const DIFF_OPERATIONS = {
+    EQUAL: ' ',
+    DELETE: '-',
+    INSERT: '+',
+};
+
+/**
+ * Splits a text into lines keeping their line breaks, so a missing break at the end counts as a change.
+ */
+export const getTextLines = text => text.match(/[^\n]*\n|[^\n]+$/g) ?? [];
+
+/**
+ * Finds the shortest list of line deletions and insertions turning `oldLines` into `newLines`
+ * with the linear space variant of the Myers algorithm. Returns operations `{type, text}` covering both lists in order.
+ */
+export const getLineDiff = (oldLines, newLines) => {
+    const operations = [];
+
+    addEditScript(oldLines, 0, oldLines.length, newLines, 0, newLines.length, operations);
+
+    return operations;
+};
+
+/**
+ * Groups changed lines with `contextSize` unchanged lines around them into hunks of a unified diff.
+ * Line numbers start from 1, a hunk without lines on one side starts at the line before it, as in `diff -u`.
+ */
+export const getDiffHunks = (operations, contextSize = 3) => {
+    const hunks = [];
+    let oldLine = 1;
+    let newLine = 1;
+    let hunk = null;
+    let unchangedCount = 0;
+
+    operations.forEach((operation, index) => {
+        if (operation.type !== DIFF_OPERATIONS.EQUAL) {
+            if (!hunk) {
+                const leading = operations.slice(Math.max(0, index - contextSize), index);
+
+                hunk = {
+                    oldStart: oldLine - leading.length,
+                    newStart: newLine - leading.length,
+                    operations: leading,
+                };
+                hunks.push(hunk);
+            }
+
+            unchangedCount = 0;
+        } else if (hunk && ++unchangedCount > contextSize * 2) {
+            // Context lines after the change go to the hunk, the rest may lead the next one
+            hunk.operations.splice(hunk.operations.length - contextSize);
+            hunk = null;
+        }
+
+        hunk?.operations.push(operation);
+        oldLine += operation.type === DIFF_OPERATIONS.INSERT ? 0 : 1;
+        newLine += operation.type === DIFF_OPERATIONS.DELETE ? 0 : 1;
+    });
+
+    if (hunk && unchangedCount > contextSize) {
+        hunk.operations.splice(hunk.operations.length - (unchangedCount - contextSize));
+    }
+
+    return hunks.map(({ oldStart, newStart, operations: hunkOperations }) => {
+        const oldCount = hunkOperations.filter(({ type }) => type !== DIFF_OPERATIONS.INSERT).length;
+        const newCount = hunkOperations.filter(({ type }) => type !== DIFF_OPERATIONS.DELETE).length;
+
+        return {
+            oldStart: oldCount ? oldStart : oldStart - 1,
+            oldCount,
+            newStart: newCount ? newStart : newStart - 1,
+            newCount,
+            operations: hunkOperations,
+        };
+    });
+};
+
+/**
+ * Formats hunks as the lines of a unified diff between the files named `oldName` and `newName`.
+ * Lines are expected with their line breaks, the last line without one is marked as in `diff -u`.
+ */
+export const formatUnifiedDiff = (oldName, newName, hunks) => {
+    const NO_NEWLINE_MARK = '\\ No newline at end of file';
+
+    const formatRange = (start, count) => count === 1 ? String(start) : `${start},${count}`;
+    const formatLine = (type, text) => text.endsWith('\n') ? [`${type}${text.slice(0, -1)}`] : [`${type}${text}`, NO_NEWLINE_MARK];
+
+    return [
+        `--- ${oldName}`,
+        `+++ ${newName}`,
+        ...hunks.flatMap(({ oldStart, oldCount, newStart, newCount, operations }) => [
+            `@@ -${formatRange(oldStart, oldCount)} +${formatRange(newStart, newCount)} @@`,
+            ...operations.flatMap(({ type, text }) => formatLine(type, text)),
+        ]),
+    ];
+};
+
+/**
+ * Adds the operations for the given ranges of the lists. Common ends are cut off first, edits are usually
+ * small compared to the files, then the middle snake of an optimal path splits the rest in two.
+ */
+function addEditScript(oldLines, oldStart, oldEnd, newLines, newStart, newEnd, operations) {
+    const equalTail = [];
+
+    while (oldStart < oldEnd && newStart < newEnd && oldLines[oldStart] === newLines[newStart]) {
+        operations.push({ type: DIFF_OPERATIONS.EQUAL, text: oldLines[oldStart++] });
+        newStart++;
+    }
+
+    while (oldEnd > oldStart && newEnd > newStart && oldLines[oldEnd - 1] === newLines[newEnd - 1]) {
+        equalTail.push({ type: DIFF_OPERATIONS.EQUAL, text: oldLines[--oldEnd] });
+        newEnd--;
+    }
+
+    if (oldStart === oldEnd || newStart === newEnd) {
+        oldLines.slice(oldStart, oldEnd).forEach(text => operations.push({ type: DIFF_OPERATIONS.DELETE, text }));
+        newLines.slice(newStart, newEnd).forEach(text => operations.push({ type: DIFF_OPERATIONS.INSERT, text }));
+    } else {
+        const [oldMiddle, newMiddle] = findMiddleSnake(oldLines, oldStart, oldEnd, newLines, newStart, newEnd);
+
+        addEditScript(oldLines, oldStart, oldMiddle, newLines, newStart, newMiddle, operations);
+        addEditScript(oldLines, oldMiddle, oldEnd, newLines, newMiddle, newEnd, operations);
+    }
+
+    equalTail.reverse().forEach(operation => operations.push(operation));
+}
+
+/**
+ * Searches optimal paths from both corners at once until they overlap. Returns the point where
+ * the overlapping path makes its middle edit, both halves of the lists around it need fewer edits.
+ */
+function findMiddleSnake(oldLines, oldStart, oldEnd, newLines, newStart, newEnd) {
+    const oldLength = oldEnd - oldStart;
+    const newLength = newEnd - newStart;
+    const delta = oldLength - newLength;
+    const isDeltaOdd = Math.abs(delta) % 2 === 1;
+    const maxEdits = Math.ceil((oldLength + newLength) / 2);
+    const offset = maxEdits + 1;
+    // Furthest reached positions in the old list by diagonal, counted from the start and from the end
+    const forward = new Int32Array(2 * offset + 1);
+    const backward = new Int32Array(2 * offset + 1);
+
+    const isEqual = (x, y) => oldLines[oldStart + x] === newLines[newStart + y];
+    const isEqualFromEnd = (x, y) => oldLines[oldEnd - 1 - x] === newLines[newEnd - 1 - y];
+
+    for (let edits = 0; edits <= maxEdits; edits++) {
+        for (let diagonal = -edits; diagonal <= edits; diagonal += 2) {
+            const [x, y] = getSnakeStart(forward, offset, diagonal, edits);
+            const snakeEnd = followSnake(x, y, oldLength, newLength, isEqual);
+            const reverseDiagonal = delta - diagonal;
+
+            forward[offset + diagonal] = snakeEnd;
+
+            if (isDeltaOdd && Math.abs(reverseDiagonal) < edits
+                && snakeEnd + backward[offset + reverseDiagonal] >= oldLength) {
+                return [oldStart + x, newStart + y];
+            }
+        }
+
+        for (let diagonal = -edits; diagonal <= edits; diagonal += 2) {
+            const [x, y] = getSnakeStart(backward, offset, diagonal, edits);
+            const snakeEnd = followSnake(x, y, oldLength, newLength, isEqualFromEnd);
+            const forwardDiagonal = delta - diagonal;
+
+            backward[offset + diagonal] = snakeEnd;
+
+            if (!isDeltaOdd && Math.abs(forwardDiagonal) <= edits
+                && snakeEnd + forward[offset + forwardDiagonal] >= oldLength) {
+                return [oldEnd - x, newEnd - y];
+            }
+        }
+    }
+
+    return [oldEnd, newEnd];
+}
+
+/**
+ * Takes the furthest path of a neighbouring diagonal one edit further: an insertion from the diagonal above,
+ * or a deletion from the one below.
+ */
+function getSnakeStart(furthest, offset, diagonal, edits) {
+    const isInsertion = diagonal === -edits
+        || (diagonal !== edits && furthest[offset + diagonal - 1] < furthest[offset + diagonal + 1]);
+    const x = isInsertion ? furthest[offset + diagonal + 1] : furthest[offset + diagonal - 1] + 1;
+
+    return [x, x - diagonal];
+}
+
+function followSnake(x, y, oldLength, newLength, isEqual) {
+    let snakeX = x;
+
+    while (snakeX < oldLength && snakeX - x + y < newLength && isEqual(snakeX, snakeX - x + y)) {
+        snakeX++;
+    }
+
+    return snakeX;
+}
@@ -1,31 +1,127 @@
+import { statfs } from 'node:fs/promises';
 import util from 'node:util';
 import os from 'node:os';
 
-export const getOsInfo = parameter => {
-    const UNKNOWN_PARAMETER = 'Unknown parameter';
+import { getMessages, getHumanReadableSize } from '../utils/index.js';
 
+export const OS_PARAMETERS = [
+    'EOL',
+    'cpus',
+    'homedir',
+    'username',
+    'architecture',
+    'hostname',
+    'platform',
+    'memory',
+    'uptime',
+    'loadavg',
+    'network',
+    'disk',
+];
+
+/**
+ * Reads one piece of the host information. `disk` describes the filesystem holding `currentDir`.
+ * Raw values are plain data for JSON output, formatted ones are localized text.
+ */
+export const getOsInfo = async (parameter, { isRaw = false, currentDir = process.cwd(), messages = getMessages() } = {}) => {
     const paramsMap = {
-        EOL: () => util.inspect(os.EOL),
-        cpus: () => {
-            const cpus = os.cpus();
-            const cpusInfo = cpus
-                .map((cpu, index) => `CPU ${index + 1}: Model: ${cpu.model}, Clock Rate: ${convertMHzToGHz(cpu.speed)} GHz`)
-                .join('\n');
-
-            return `Total number of CPUs: ${cpus.length}\n${cpusInfo}\n`;
-        },
-        homedir: () => os.homedir(),
-        username: () => os.userInfo().username,
-        architecture: () => os.arch(),
+        EOL: {
+            getValue: () => os.EOL,
+            format: eol => util.inspect(eol),
+        },
+        cpus: {
+            getValue: () => os.cpus().map(({ model, speed }) => ({ model, speed })),
+            format: cpus => {
+                const cpusInfo = cpus
+                    .map((cpu, index) => messages.getCpuInfo(index + 1, cpu.model, convertMHzToGHz(cpu.speed)))
+                    .join('\n');
+
+                return `${messages.getCpusCount(cpus.length)}\n${cpusInfo}\n`;
+            },
+        },
+        homedir: {
+            getValue: () => os.homedir(),
+        },
+        username: {
+            getValue: () => os.userInfo().username,
+        },
+        architecture: {
+            getValue: () => os.arch(),
+        },
+        hostname: {
+            getValue: () => os.hostname(),
+        },
+        platform: {
+            getValue: () => ({ platform: os.platform(), type: os.type(), release: os.release() }),
+            format: ({ platform, type, release }) => `${type} ${release} (${platform})`,
+        },
+        memory: {
+            getValue: () => {
+                const total = os.totalmem();
+                const free = os.freemem();
+
+                return { total, free, used: total - free };
+            },
+            format: space => formatSpaceUsage(space, messages),
+        },
+        uptime: {
+            getValue: () => Math.floor(os.uptime()),
+            format: seconds => formatUptime(seconds, messages),
+        },
+        loadavg: {
+            getValue: () => os.loadavg(),
+            format: loads => messages.getLoadAverage(loads.map(load => load.toFixed(2)).join(' ')),
+        },
+        network: {
+            getValue: () => Object.entries(os.networkInterfaces()).flatMap(([name, addresses]) => addresses
+                .map(({ family, address, cidr, mac, internal }) => ({ name, family, address, cidr, mac, internal }))),
+            format: addresses => addresses
+                .map(({ name, family, cidr, mac, internal }) => {
+                    const address = `${name} ${family} ${cidr} ${mac}`;
+
+                    return internal ? `${address} ${messages.getInternalInterface()}` : address;
+                })
+                .join('\n'),
+        },
+        disk: {
+            getValue: async () => {
+                const { bsize, blocks, bfree, bavail } = await statfs(currentDir);
+
+                return { path: currentDir, total: blocks * bsize, free: bavail * bsize, used: (blocks - bfree) * bsize };
+            },
+            format: space => `${space.path}: ${formatSpaceUsage(space, messages)}`,
+        },
     };
 
     if (!paramsMap.hasOwnProperty(parameter)) {
-        throw new Error(`${UNKNOWN_PARAMETER} ${parameter}`);
+        throw new Error(messages.getUnknownOsParameter(parameter));
     };
 
-    return paramsMap[parameter]();
+    const { getValue, format = value => value } = paramsMap[parameter];
+    const value = await getValue();
+
+    return isRaw ? value : format(value);
 };
 
 function convertMHzToGHz(speed) {
     return (speed / 1000).toFixed(2);
 }
+
+function formatSpaceUsage({ total, free, used }, messages) {
+    const percent = total ? Math.round(used / total * 100) : 0;
+
+    return messages.getSpaceUsage(getHumanReadableSize(total), getHumanReadableSize(used), percent, getHumanReadableSize(free));
+}
+
+function formatUptime(seconds, messages) {
+    const SECONDS_PER_DAY = 86400;
+    const SECONDS_PER_HOUR = 3600;
+
+    const pad = number => String(number).padStart(2, '0');
+    const days = Math.floor(seconds / SECONDS_PER_DAY);
+    const hours = Math.floor(seconds % SECONDS_PER_DAY / SECONDS_PER_HOUR);
+    const minutes = Math.floor(seconds % SECONDS_PER_HOUR / 60);
+    const time = `${pad(hours)}:${pad(minutes)}:${pad(seconds % 60)}`;
+
+    return days ? `${messages.getDays(days)}, ${time}` : time;
+}
@@ -0,0 +1,33 @@
+import { readdir } from 'node:fs/promises';
+import path from 'node:path';
+import os from 'node:os';
+
+import { getSandboxedPath } from './getSandboxedPath.js';
+
+/**
+ * Lists paths starting with a partially typed path. Directories get a trailing slash,
+ * hidden entries are suggested only when the typed name starts with a dot.
+ * With a root directory nothing outside of it is suggested.
+ */
+export const getPathCompletions = async (partialPath, currentDirectory, rootDirectory = null) => {
+    const HOME_PREFIX = '~/';
+
+    const separatorIdx = Math.max(partialPath.lastIndexOf('/'), partialPath.lastIndexOf(path.sep));
+    const dirPart = partialPath.slice(0, separatorIdx + 1);
+    const namePrefix = partialPath.slice(separatorIdx + 1);
+    const dirPath = dirPart.startsWith(HOME_PREFIX)
+        ? path.join(os.homedir(), dirPart.slice(HOME_PREFIX.length))
+        : path.resolve(currentDirectory, dirPart);
+    let entries;
+
+    try {
+        entries = await readdir(await getSandboxedPath(dirPath, rootDirectory), { withFileTypes: true });
+    } catch {
+        return [];
+    }
+
+    return entries
+        .filter(({ name }) => name.startsWith(namePrefix) && (!name.startsWith('.') || namePrefix.startsWith('.')))
+        .map(entry => `${dirPart}${entry.name}${entry.isDirectory() ? '/' : ''}`)
+        .sort((previous, next) => previous.localeCompare(next));
+};
@@ -0,0 +1,47 @@
+import { lstat, readlink, realpath } from 'node:fs/promises';
+import path from 'node:path';
+
+import { getMessages } from '../utils/index.js';
+import { PermissionDeniedError } from '../errors/index.js';
+
+/**
+ * Checks that a path stays inside the root directory once `..` and symbolic links are resolved.
+ * Paths that don't exist yet are checked through their closest existing parent, so targets of writes are confined too.
+ * Without a root directory any path is allowed.
+ */
+export const getSandboxedPath = async (targetPath, rootDirectory = null, { messages = getMessages() } = {}) => {
+    const resolvedPath = path.resolve(targetPath);
+
+    if (rootDirectory && !isInside(rootDirectory, await getRealPath(resolvedPath))) {
+        throw new PermissionDeniedError(messages.getOutsideRoot(resolvedPath));
+    }
+
+    return resolvedPath;
+};
+
+async function getRealPath(entryPath) {
+    try {
+        return await realpath(entryPath);
+    } catch (error) {
+        if (error.code !== 'ENOENT') {
+            throw error;
+        }
+    }
+
+    const stats = await lstat(entryPath).catch(() => null);
+
+    // A dangling link is followed to its target, which is where a write would end up
+    if (stats?.isSymbolicLink()) {
+        return getRealPath(path.resolve(path.dirname(entryPath), await readlink(entryPath)));
+    }
+
+    const parentPath = path.dirname(entryPath);
+
+    return parentPath === entryPath ? entryPath : path.join(await getRealPath(parentPath), path.basename(entryPath));
+}
+
+function isInside(rootPath, entryPath) {
+    const relativePath = path.relative(rootPath, entryPath);
+
+    return !path.isAbsolute(relativePath) && relativePath.split(path.sep)[0] !== '..';
+}
@@ -1,17 +1,14 @@
 import path from 'node:path';
 
-export const getUpperDirectory = currentDirectory => {
+/**
+ * Returns the parent directory, or an empty string at the filesystem root and at the root directory of a sandbox.
+ */
+export const getUpperDirectory = (currentDirectory, rootDirectory = null) => {
     const newDirectory = path.dirname(currentDirectory);
 
-    if (newDirectory === currentDirectory) {
+    if (newDirectory === currentDirectory || currentDirectory === rootDirectory) {
         return '';
     }
 
-    try {
-        process.chdir(newDirectory);
-
-        return newDirectory;
-    } catch (error) {
-        throw new Error(error.message);
-    }
+    return newDirectory;
 };
@@ -0,0 +1,58 @@
+import { createInterface } from 'node:readline';
+import fs from 'node:fs/promises';
+
+import { walkDirectory } from './walkDirectory.js';
+
+export const grepFiles = async (startPath, matcher, { maxDepth = Infinity, onMatch, onError }) => {
+    let matchesCount = 0;
+
+    await walkDirectory(startPath, {
+        maxDepth,
+        onError,
+        onEntry: async (entryPath, stats) => {
+            if (!stats.isFile()) {
+                return;
+            }
+
+            try {
+                matchesCount += await grepFile(entryPath, matcher, onMatch);
+            } catch (error) {
+                await onError(entryPath, error);
+            }
+        },
+    });
+
+    return matchesCount;
+};
+
+/**
+ * Reads a file line by line and stops at the first NUL character, so binary files are skipped.
+ */
+async function grepFile(filePath, matcher, onMatch) {
+    const BINARY_MARKER = '\u0000';
+
+    const fileToRead = await fs.open(filePath);
+    const lines = createInterface({ input: fileToRead.createReadStream(), crlfDelay: Infinity });
+    let lineNumber = 0;
+    let matchesCount = 0;
+
+    try {
+        for await (const line of lines) {
+            lineNumber++;
+
+            if (line.includes(BINARY_MARKER)) {
+                break;
+            }
+
+            if (matcher.test(line)) {
+                matchesCount++;
+                await onMatch(filePath, lineNumber, line);
+            }
+        }
+    } finally {
+        lines.close();
+        await fileToRead.close();
+    }
+
+    return matchesCount;
+}
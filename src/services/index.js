@@ -1,13 +1,45 @@
+export { expandGlobPattern, isGlobPattern, getLiteralPath, getNameMatcher } from './expandGlobPattern.js';
+export { resolveTargetConflict, CONFLICT_ACTIONS } from './resolveTargetConflict.js';
+export { calculateHash, DEFAULT_HASH_ALGORITHM } from './calculateHash.js';
+export { writeChecksumManifest } from './writeChecksumManifest.js';
+export { verifyChecksums, CHECK_STATUSES } from './verifyChecksums.js';
+export { COMPRESSION_FORMATS, DEFAULT_COMPRESSION_FORMAT } from './compressionFormats.js';
+export { copyDirectoryToDest } from './copyDirectoryToDest.js';
 export { getChangedDirectory } from './getChangedDirectory.js';
-export { getDirectoryContent } from './getDirectoryContent.js';
+export { getSandboxedPath } from './getSandboxedPath.js';
+export { getDirectoryContent, SORT_KEYS } from './getDirectoryContent.js';
+export { getArchiveCompressionByName } from './tarFormat.js';
+export { loadCommandHistory } from './loadCommandHistory.js';
+export { getPathCompletions } from './getPathCompletions.js';
+export { findEntries, ENTRY_TYPES } from './findEntries.js';
 export { getUpperDirectory } from './getUpperDirectory.js';
+export { extractTarArchive } from './extractTarArchive.js';
+export { createTarArchive } from './createTarArchive.js';
+export { saveHistoryEntry } from './saveHistoryEntry.js';
+export { restoreFromTrash } from './restoreFromTrash.js';
+export { moveEntryToDest } from './moveEntryToDest.js';
 export { readFileContent } from './readFileContent.js';
+export { readTailLines } from './readTailLines.js';
+export { readFileLines } from './readFileLines.js';
+export { isBinaryFile } from './isBinaryFile.js';
+export { dumpFileHex } from './dumpFileHex.js';
+export { followFile } from './followFile.js';
 export { createDirectory } from './createDirectory.js';
+export { deleteDirectory } from './deleteDirectory.js';
 export { copyFileToDest } from './copyFileToDest.js';
 export { decompressFile } from './decompressFile.js';
-export { calculateHash } from './calculateHash.js';
+export { listTarArchive } from './listTarArchive.js';
+export { readTrashItems } from './trashStorage.js';
 export { compressFile } from './compressFile.js';
+export { moveToTrash } from './moveToTrash.js';
 export { createFile } from './createFile.js';
 export { renameFile } from './renameFile.js';
 export { deleteFile } from './deleteFile.js';
-export { getOsInfo } from './getOsInfo.js';
+export { emptyTrash } from './emptyTrash.js';
+export { grepFiles } from './grepFiles.js';
+export { getOsInfo, OS_PARAMETERS } from './getOsInfo.js';
+export { getLineDiff, getDiffHunks, getTextLines, formatUnifiedDiff, DIFF_OPERATIONS } from './getLineDiff.js';
+export { getReplacedContent, writeReplacedContent } from './replaceFileContent.js';
+export { openOutputFile } from './openOutputFile.js';
+export { compareDirectories, DIFF_STATUSES } from './compareDirectories.js';
+export { compareFiles } from './compareFiles.js';
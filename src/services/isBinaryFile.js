@@ -0,0 +1,18 @@
+import fs from 'node:fs/promises';
+
+/**
+ * Treats a file as binary if a NUL byte appears at its start, text files don't contain them.
+ */
+export const isBinaryFile = async filePath => {
+    const SAMPLE_SIZE = 8000;
+
+    const fileToRead = await fs.open(filePath);
+
+    try {
+        const { buffer, bytesRead } = await fileToRead.read(Buffer.alloc(SAMPLE_SIZE), 0, SAMPLE_SIZE, 0);
+
+        return buffer.subarray(0, bytesRead).includes(0);
+    } finally {
+        await fileToRead.close();
+    }
+};
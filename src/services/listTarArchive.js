@@ -0,0 +1,27 @@
+import { getHumanReadableSize, getFormattedDate } from '../utils/index.js';
+import { createArchiveReadable, readTarEntries, TAR_ENTRY_TYPES } from './tarFormat.js';
+
+const TYPE_NAMES = {
+    [TAR_ENTRY_TYPES.FILE]: 'file',
+    [TAR_ENTRY_TYPES.SYMLINK]: 'symlink',
+    [TAR_ENTRY_TYPES.DIRECTORY]: 'directory',
+};
+
+export const listTarArchive = async (archivePath, { messages } = {}) => {
+    const UNKNOWN_TYPE = 'unknown';
+
+    const rows = [];
+
+    for await (const { header } of readTarEntries(await createArchiveReadable(archivePath), messages)) {
+        const isSymlink = header.type === TAR_ENTRY_TYPES.SYMLINK;
+
+        rows.push({
+            Name: isSymlink ? `${header.name} -> ${header.linkName}` : header.name,
+            Type: TYPE_NAMES[header.type] ?? UNKNOWN_TYPE,
+            Size: getHumanReadableSize(header.size),
+            Modified: getFormattedDate(header.mtime),
+        });
+    }
+
+    return rows;
+};
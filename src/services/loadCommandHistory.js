@@ -0,0 +1,28 @@
+import fs from 'node:fs/promises';
+
+/**
+ * Reads the most recent history entries, oldest first. A missing history file means an empty history.
+ * Files grown beyond the limit are trimmed, so they don't grow endlessly between sessions.
+ */
+export const loadCommandHistory = async (historyPath, historySize) => {
+    let content;
+
+    try {
+        content = await fs.readFile(historyPath, 'utf8');
+    } catch (error) {
+        if (error.code === 'ENOENT') {
+            return [];
+        }
+
+        throw error;
+    }
+
+    const entries = content.split(/\r?\n/).filter(Boolean);
+    const recentEntries = entries.slice(-historySize);
+
+    if (recentEntries.length < entries.length) {
+        await fs.writeFile(historyPath, `${recentEntries.join('\n')}\n`);
+    }
+
+    return recentEntries;
+};
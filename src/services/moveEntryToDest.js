@@ -0,0 +1,164 @@
+import fs from 'node:fs/promises';
+import path from 'node:path';
+
+import { getMessages } from '../utils/index.js';
+import { resolveTargetConflict, TARGET_STATUSES } from './resolveTargetConflict.js';
+import { copyDirectoryToDest } from './copyDirectoryToDest.js';
+import { deleteDirectory } from './deleteDirectory.js';
+import { copyFileToDest } from './copyFileToDest.js';
+import { calculateHash } from './calculateHash.js';
+
+const TEMP_DIR_PREFIX = '.fm-move-';
+
+/**
+ * Moves an entry into a directory, copying it when the directory is on another device.
+ * A target replaced with `-f` is given up only after the entry is placed next to it,
+ * so a failed move leaves the target as it was.
+ */
+export const moveEntryToDest = async (entryPath, targetDest, options = {}) => {
+    const CROSS_DEVICE_LINK = 'EXDEV';
+
+    const {
+        messages = getMessages(),
+        onConflict,
+        onReplace = targetPath => fs.rm(targetPath, { recursive: true }),
+        signal,
+        onProgress,
+    } = options;
+    const movedPath = path.join(targetDest, path.basename(entryPath));
+    const isDirectory = (await fs.lstat(entryPath)).isDirectory();
+    let isReplacing = false;
+    // A rename can't merge directories, so an overwritten directory is replaced
+    const targetStatus = await resolveTargetConflict(entryPath, movedPath, {
+        isDirectory,
+        isMergeable: false,
+        messages,
+        onConflict,
+        onReplace: () => {
+            isReplacing = true;
+        },
+    });
+
+    if (targetStatus === TARGET_STATUSES.SKIP) {
+        return { succeeded: [], skipped: [entryPath], failed: [] };
+    }
+
+    const placeEntry = async stagedPath => {
+        if (isReplacing) {
+            await onReplace(movedPath);
+        }
+
+        await fs.rename(stagedPath, movedPath);
+    };
+
+    try {
+        await (isReplacing ? moveReplacing(entryPath, targetDest, placeEntry) : fs.rename(entryPath, movedPath));
+
+        return { succeeded: [entryPath], skipped: [], failed: [] };
+    } catch (error) {
+        if (error.code !== CROSS_DEVICE_LINK) {
+            throw error;
+        }
+    }
+
+    return moveAcrossDevices(entryPath, isDirectory, targetDest, placeEntry, { messages, signal, onProgress });
+};
+
+/**
+ * Renames an entry into a temporary directory next to the target it replaces and puts it in place from there.
+ * If the target can't be replaced, the entry is renamed back.
+ */
+async function moveReplacing(entryPath, targetDest, placeEntry) {
+    const tempDir = await fs.mkdtemp(path.join(targetDest, TEMP_DIR_PREFIX));
+    const tempPath = path.join(tempDir, path.basename(entryPath));
+
+    try {
+        await fs.rename(entryPath, tempPath);
+
+        try {
+            await placeEntry(tempPath);
+        } catch (error) {
+            await fs.rename(tempPath, entryPath);
+
+            throw error;
+        }
+    } finally {
+        // Not recursive, so an entry that couldn't be renamed back is kept
+        await fs.rmdir(tempDir).catch(() => {});
+    }
+}
+
+/**
+ * Copies an entry into a temporary directory next to the destination, verifies the copy,
+ * puts it in place and only then deletes the source.
+ * The temporary directory is always removed, so a failed copy leaves no partial output.
+ */
+async function moveAcrossDevices(entryPath, isDirectory, targetDest, placeEntry, copyOptions) {
+    const tempDir = await fs.mkdtemp(path.join(targetDest, TEMP_DIR_PREFIX));
+    const tempPath = path.join(tempDir, path.basename(entryPath));
+    let copySummary;
+
+    try {
+        if (isDirectory) {
+            copySummary = await copyDirectoryToDest(entryPath, tempDir, copyOptions);
+        } else {
+            await copyFileToDest(entryPath, tempDir, copyOptions);
+            copySummary = { succeeded: [entryPath], skipped: [], failed: [] };
+        }
+
+        if (copySummary.failed.length) {
+            return copySummary;
+        }
+
+        await verifyCopy(entryPath, tempPath, copyOptions);
+        await placeEntry(tempPath);
+    } finally {
+        await fs.rm(tempDir, { recursive: true, force: true });
+    }
+
+    if (!isDirectory) {
+        await fs.unlink(entryPath);
+
+        return copySummary;
+    }
+
+    const deleteSummary = await deleteDirectory(entryPath);
+
+    return { succeeded: copySummary.succeeded, skipped: [], failed: deleteSummary.failed };
+}
+
+async function verifyCopy(sourcePath, copiedPath, { messages, signal }) {
+    const sourceStats = await fs.lstat(sourcePath);
+    const copiedStats = await fs.lstat(copiedPath);
+    const throwMismatch = () => {
+        throw new Error(messages.getCopyVerificationFailed(sourcePath));
+    };
+
+    if (sourceStats.isDirectory()) {
+        const sourceEntries = (await fs.readdir(sourcePath)).sort();
+        const copiedEntries = (await fs.readdir(copiedPath)).sort();
+
+        if (sourceEntries.join('/') !== copiedEntries.join('/')) {
+            throwMismatch();
+        }
+
+        for (const entry of sourceEntries) {
+            await verifyCopy(path.join(sourcePath, entry), path.join(copiedPath, entry), { messages, signal });
+        }
+
+        return;
+    }
+
+    if (sourceStats.isSymbolicLink()) {
+        if (await fs.readlink(sourcePath) !== await fs.readlink(copiedPath)) {
+            throwMismatch();
+        }
+
+        return;
+    }
+
+    if (sourceStats.size !== copiedStats.size
+        || await calculateHash(sourcePath, { signal }) !== await calculateHash(copiedPath, { signal })) {
+        throwMismatch();
+    }
+}
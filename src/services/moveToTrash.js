@@ -0,0 +1,54 @@
+import { randomBytes } from 'node:crypto';
+import fs from 'node:fs/promises';
+import path from 'node:path';
+
+import { getTrashItemPaths } from './trashStorage.js';
+import { moveEntryToDest } from './moveEntryToDest.js';
+
+/**
+ * Moves a file or directory into the trash and records where it came from.
+ * Returns the trash item `{ id, name, originalPath, type, deletedAt }`.
+ */
+export const moveToTrash = async (entryPath, trashDir, { messages, signal, onProgress } = {}) => {
+    const ID_BYTES = 4;
+
+    const originalPath = path.resolve(entryPath);
+    const stats = await fs.lstat(originalPath);
+    const id = randomBytes(ID_BYTES).toString('hex');
+    const { itemDir, infoPath } = getTrashItemPaths(trashDir, id);
+    const item = {
+        id,
+        name: path.basename(originalPath),
+        originalPath,
+        type: stats.isDirectory() ? 'directory' : stats.isSymbolicLink() ? 'symlink' : 'file',
+        deletedAt: new Date().toISOString(),
+    };
+
+    await fs.mkdir(itemDir, { recursive: true });
+    await fs.mkdir(path.dirname(infoPath), { recursive: true });
+
+    let summary;
+
+    try {
+        summary = await moveEntryToDest(originalPath, itemDir, { messages, signal, onProgress });
+    } catch (error) {
+        await fs.rm(itemDir, { recursive: true, force: true });
+
+        throw error;
+    }
+
+    // A move across devices that failed to delete part of the source still leaves a complete copy in the trash
+    const isMoved = await fs.lstat(path.join(itemDir, item.name)).then(() => true, () => false);
+
+    if (isMoved) {
+        await fs.writeFile(infoPath, JSON.stringify(item, null, 4));
+    } else {
+        await fs.rm(itemDir, { recursive: true, force: true });
+    }
+
+    if (summary.failed.length) {
+        throw summary.failed[0].error;
+    }
+
+    return item;
+};
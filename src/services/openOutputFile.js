@@ -0,0 +1,13 @@
+import { createWriteStream } from 'node:fs';
+import { once } from 'node:events';
+
+/**
+ * Opens a file for redirected output, truncating it, or appending to it with `isAppend`.
+ * Resolves once the file is open, so a missing directory fails before the command runs.
+ */
+export const openOutputFile = async (filePath, { isAppend = false } = {}) => {
+    const outputFile = createWriteStream(filePath, { flags: isAppend ? 'a' : 'w' });
+    await once(outputFile, 'ready');
+
+    return outputFile;
+};
@@ -1,16 +1,25 @@
 import fs from 'node:fs/promises';
 
-export const readFileContent = async filePath => {
+import { trackStream } from './trackStream.js';
+
+/**
+ * Writes the content of a file to `output`. The stream is required, so the content
+ * always goes where the caller's output goes and never to the process stdout by accident.
+ */
+export const readFileContent = async (filePath, { output, signal, onProgress }) => {
+    signal?.throwIfAborted();
+
     const fileToRead = await fs.open(filePath);
-    const readStream = fileToRead.createReadStream();
+    const { size: totalBytes } = await fileToRead.stat();
+    const readStream = trackStream(fileToRead.createReadStream(), { filePath, totalBytes, signal, onProgress });
 
     await new Promise((resolve, reject) => {
         readStream.on('data', chunk => {
-            process.stdout.write(chunk);
+            output.write(chunk);
         });
         
         readStream.on('end', () => {
-            console.log('\n');
+            output.write('\n\n');
             fileToRead.close();
             resolve();
         });
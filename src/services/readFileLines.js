@@ -0,0 +1,23 @@
+import { createInterface } from 'node:readline';
+import fs from 'node:fs/promises';
+
+import { trackStream } from './trackStream.js';
+
+/**
+ * Yields the lines of a text file one by one, so a file is read only as far as its lines are used.
+ */
+export async function* readFileLines(filePath, { signal } = {}) {
+    signal?.throwIfAborted();
+
+    const fileToRead = await fs.open(filePath);
+    const readStream = trackStream(fileToRead.createReadStream({ autoClose: false }), { filePath, signal });
+    const lines = createInterface({ input: readStream, crlfDelay: Infinity });
+
+    try {
+        yield* lines;
+    } finally {
+        lines.close();
+        readStream.destroy();
+        await fileToRead.close();
+    }
+}
@@ -0,0 +1,45 @@
+import fs from 'node:fs/promises';
+
+/**
+ * Reads the last lines of a file in chunks from its end, so large files aren't read as a whole.
+ * Returns the file size as well, which is where following the file starts.
+ */
+export const readTailLines = async (filePath, count, { signal } = {}) => {
+    const CHUNK_SIZE = 64 * 1024;
+    const LINE_FEED = 0x0a;
+
+    signal?.throwIfAborted();
+
+    const fileToRead = await fs.open(filePath);
+
+    try {
+        const { size } = await fileToRead.stat();
+        const chunks = [];
+        let position = size;
+        let lineFeedsCount = 0;
+
+        // The line feed before the first of the lines is needed too, the one ending the file doesn't count
+        while (position > 0 && lineFeedsCount <= count) {
+            signal?.throwIfAborted();
+
+            const length = Math.min(CHUNK_SIZE, position);
+            const chunk = Buffer.alloc(length);
+            position -= length;
+
+            await fileToRead.read(chunk, 0, length, position);
+            chunks.unshift(chunk);
+            lineFeedsCount += chunk.reduce((lineFeeds, byte) => byte === LINE_FEED ? lineFeeds + 1 : lineFeeds, 0);
+        }
+
+        // Chunks are decoded together, so characters split between them stay intact
+        const lines = Buffer.concat(chunks).toString('utf8').split(/\r?\n/);
+
+        if (lines.at(-1) === '') {
+            lines.pop();
+        }
+
+        return { lines: count ? lines.slice(-count) : [], size };
+    } finally {
+        await fileToRead.close();
+    }
+};
@@ -0,0 +1,15 @@
+import fs from 'node:fs/promises';
+
+/**
+ * Waits for an operation writing to `targetPath` and removes the partially written target
+ * if the operation fails or is cancelled.
+ */
+export const removeOnError = async (operation, targetPath) => {
+    try {
+        return await operation;
+    } catch (error) {
+        await fs.rm(targetPath, { force: true });
+
+        throw error;
+    }
+};
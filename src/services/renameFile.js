@@ -1,9 +1,16 @@
-import { rename } from 'node:fs/promises';
+import { lstat, rename } from 'node:fs/promises';
 
-export const renameFile = async (prevName, newName) => {
-    try {
-        await rename(prevName, newName);
-    } catch (error) {
-        throw new Error(error);
+import { resolveTargetConflict, TARGET_STATUSES } from './resolveTargetConflict.js';
+
+export const renameFile = async (prevName, newName, { messages, onConflict, onReplace } = {}) => {
+    const isDirectory = (await lstat(prevName)).isDirectory();
+    const targetStatus = await resolveTargetConflict(prevName, newName, { isDirectory, isMergeable: false, messages, onConflict, onReplace });
+
+    if (targetStatus === TARGET_STATUSES.SKIP) {
+        return null;
     }
+
+    await rename(prevName, newName);
+
+    return newName;
 };
@@ -0,0 +1,57 @@
+import { randomBytes } from 'node:crypto';
+import fs from 'node:fs/promises';
+import path from 'node:path';
+
+import { removeOnError } from './removeOnError.js';
+
+/**
+ * Replaces every match of a global regular expression in a file, without writing anything.
+ * The replacement is inserted as is with `isLiteral`, otherwise `$1` and `$&` refer to the match.
+ */
+export const getReplacedContent = async (filePath, matcher, replacement, { isLiteral = false, signal } = {}) => {
+    const content = await fs.readFile(filePath, { encoding: 'utf8', signal });
+    const count = content.match(matcher)?.length ?? 0;
+    const replacedContent = count ? content.replace(matcher, isLiteral ? () => replacement : replacement) : content;
+
+    return { content, replacedContent, count };
+};
+
+/**
+ * Writes the new content next to the file and renames it over the original,
+ * so the file is never left half written. A symbolic link is followed to the file it points to,
+ * whose permissions and owner are kept. A file with several hard links is written in place to keep them linked.
+ */
+export const writeReplacedContent = async (filePath, content) => {
+    const targetPath = await fs.realpath(filePath);
+    const { mode, uid, gid, nlink } = await fs.stat(targetPath);
+
+    if (nlink > 1) {
+        await fs.writeFile(targetPath, content);
+
+        return;
+    }
+
+    const tempName = `.${path.basename(targetPath)}.${randomBytes(4).toString('hex')}.tmp`;
+    const tempPath = path.join(path.dirname(targetPath), tempName);
+
+    await removeOnError((async () => {
+        await fs.writeFile(tempPath, content, { flag: 'wx', mode });
+        await fs.chmod(tempPath, mode);
+        await keepOwner(tempPath, uid, gid);
+        await fs.rename(tempPath, targetPath);
+    })(), tempPath);
+};
+
+/**
+ * Gives the new file the owner of the original. Only a privileged user can give files away,
+ * for others the file stays theirs.
+ */
+async function keepOwner(filePath, uid, gid) {
+    try {
+        await fs.chown(filePath, uid, gid);
+    } catch (error) {
+        if (error.code !== 'EPERM') {
+            throw error;
+        }
+    }
+}
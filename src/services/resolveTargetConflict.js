@@ -0,0 +1,99 @@
+import fs from 'node:fs/promises';
+
+import { getMessages } from '../utils/index.js';
+import { AlreadyExistsError } from '../errors/index.js';
+
+export const CONFLICT_ACTIONS = {
+    OVERWRITE: 'overwrite',
+    BACKUP: 'backup',
+    SKIP: 'skip',
+};
+
+export const TARGET_STATUSES = {
+    FREE: 'free',
+    MERGE: 'merge',
+    SKIP: 'skip',
+};
+
+/**
+ * Makes way for an entry at `targetPath` according to the action chosen by `onConflict`.
+ * An overwritten directory is merged into, or replaced as a whole when `isMergeable` is false.
+ * Replaced targets are deleted, or handed to `onReplace` to be kept elsewhere.
+ */
+export const resolveTargetConflict = async (sourcePath, targetPath, options = {}) => {
+    const BACKUP_SUFFIX = '~';
+
+    const {
+        isDirectory = false,
+        isMergeable = isDirectory,
+        messages = getMessages(),
+        onConflict = conflictPath => rejectConflict(conflictPath, messages),
+        onReplace = removeTarget,
+    } = options;
+    const targetStats = await getStatsIfExists(targetPath, fs.lstat);
+
+    if (!targetStats) {
+        return TARGET_STATUSES.FREE;
+    }
+
+    if (sourcePath && await isSameFile(sourcePath, targetPath)) {
+        throw new Error(messages.getSameFile(targetPath));
+    }
+
+    const action = await onConflict(targetPath);
+
+    if (action === CONFLICT_ACTIONS.SKIP) {
+        return TARGET_STATUSES.SKIP;
+    }
+
+    if (action === CONFLICT_ACTIONS.BACKUP) {
+        const backupPath = `${targetPath}${BACKUP_SUFFIX}`;
+        await fs.rm(backupPath, { recursive: true, force: true });
+        await fs.rename(targetPath, backupPath);
+
+        return TARGET_STATUSES.FREE;
+    }
+
+    if (targetStats.isDirectory() !== isDirectory) {
+        throw new Error(isDirectory
+            ? messages.getNonDirectoryWithDirectory(targetPath)
+            : messages.getDirectoryWithNonDirectory(targetPath));
+    }
+
+    if (isMergeable) {
+        return TARGET_STATUSES.MERGE;
+    }
+
+    await onReplace(targetPath);
+
+    return TARGET_STATUSES.FREE;
+};
+
+function removeTarget(targetPath) {
+    return fs.rm(targetPath, { recursive: true });
+}
+
+function rejectConflict(targetPath, messages) {
+    throw new AlreadyExistsError(messages.getTargetAlreadyExists(targetPath));
+}
+
+async function isSameFile(sourcePath, targetPath) {
+    const sourceStats = await getStatsIfExists(sourcePath, fs.stat);
+    const targetStats = await getStatsIfExists(targetPath, fs.stat);
+
+    return Boolean(sourceStats && targetStats)
+        && sourceStats.dev === targetStats.dev
+        && sourceStats.ino === targetStats.ino;
+}
+
+async function getStatsIfExists(entryPath, getStats) {
+    try {
+        return await getStats(entryPath);
+    } catch (error) {
+        if (error.code === 'ENOENT') {
+            return null;
+        }
+
+        throw error;
+    }
+}
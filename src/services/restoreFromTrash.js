@@ -0,0 +1,38 @@
+import fs from 'node:fs/promises';
+import path from 'node:path';
+
+import { getTrashItem, getTrashItemPaths } from './trashStorage.js';
+import { moveEntryToDest } from './moveEntryToDest.js';
+
+/**
+ * Moves a trash item back to its original path, recreating missing parent directories.
+ * Returns the restored path, or null if the existing entry at that path is skipped.
+ */
+export const restoreFromTrash = async (id, trashDir, { messages, onConflict, onReplace, signal, onProgress } = {}) => {
+    const { name, originalPath } = await getTrashItem(trashDir, id, messages);
+    const { itemDir, infoPath } = getTrashItemPaths(trashDir, id);
+    const targetDir = path.dirname(originalPath);
+
+    await fs.mkdir(targetDir, { recursive: true });
+
+    const { skipped, failed } = await moveEntryToDest(path.join(itemDir, name), targetDir, {
+        messages,
+        onConflict,
+        onReplace,
+        signal,
+        onProgress,
+    });
+
+    if (failed.length) {
+        throw failed[0].error;
+    }
+
+    if (skipped.length) {
+        return null;
+    }
+
+    await fs.rm(itemDir, { recursive: true, force: true });
+    await fs.rm(infoPath, { force: true });
+
+    return originalPath;
+};
@@ -0,0 +1,5 @@
+import fs from 'node:fs/promises';
+
+export const saveHistoryEntry = async (historyPath, entry) => {
+    await fs.appendFile(historyPath, `${entry}\n`);
+};
@@ -0,0 +1,268 @@
+import { createReadStream } from 'node:fs';
+import { pipeline } from 'node:stream';
+import fs from 'node:fs/promises';
+
+import { getMessages } from '../utils/index.js';
+import { COMPRESSION_FORMATS, detectCompressionFormat } from './compressionFormats.js';
+
+export const TAR_BLOCK_SIZE = 512;
+
+export const TAR_ENTRY_TYPES = {
+    FILE: '0',
+    SYMLINK: '2',
+    DIRECTORY: '5',
+};
+
+const USTAR_MAGIC = 'ustar';
+const ARCHIVE_EXTENSIONS = {
+    '.tar.gz': 'gzip',
+    '.tgz': 'gzip',
+    '.tar.br': 'br',
+    '.tbr': 'br',
+    '.tar.zz': 'deflate',
+};
+
+/**
+ * Field offsets and lengths of a ustar header block.
+ */
+const FIELDS = {
+    name: [0, 100],
+    mode: [100, 8],
+    uid: [108, 8],
+    gid: [116, 8],
+    size: [124, 12],
+    mtime: [136, 12],
+    checksum: [148, 8],
+    type: [156, 1],
+    linkName: [157, 100],
+    magic: [257, 6],
+    version: [263, 2],
+    prefix: [345, 155],
+};
+
+export const getArchiveCompressionByName = archivePath => {
+    const fileName = archivePath.toLowerCase();
+    const [, format = null] = Object.entries(ARCHIVE_EXTENSIONS)
+        .find(([extension]) => fileName.endsWith(extension)) ?? [];
+
+    return format;
+};
+
+/**
+ * Plain archives are recognized by the ustar magic, compressed ones by the compression format detection.
+ * GNU tar writes the magic as `ustar ` followed by a space instead of a NUL, so only the prefix is compared.
+ */
+export const detectArchiveCompression = async archivePath => {
+    const archive = await fs.open(archivePath);
+    const { buffer, bytesRead } = await archive.read(Buffer.alloc(TAR_BLOCK_SIZE), 0, TAR_BLOCK_SIZE, 0);
+    await archive.close();
+
+    if (bytesRead === TAR_BLOCK_SIZE && readString(buffer, ...FIELDS.magic).startsWith(USTAR_MAGIC)) {
+        return null;
+    }
+
+    return getArchiveCompressionByName(archivePath) ?? detectCompressionFormat(archivePath);
+};
+
+export const createArchiveReadable = async archivePath => {
+    const compression = await detectArchiveCompression(archivePath);
+    const readable = createReadStream(archivePath);
+
+    if (!compression) {
+        return readable;
+    }
+
+    return pipeline(readable, COMPRESSION_FORMATS[compression].createDecompress(), () => {});
+};
+
+export const encodeTarHeader = ({ name, mode, uid, gid, size, mtime, type, linkName = '' }, messages = getMessages()) => {
+    const block = Buffer.alloc(TAR_BLOCK_SIZE);
+    const [prefix, shortName] = splitName(name, messages);
+
+    writeString(block, shortName, ...FIELDS.name, messages);
+    writeOctal(block, mode & 0o7777, ...FIELDS.mode, messages);
+    writeOctal(block, Math.max(uid, 0), ...FIELDS.uid, messages);
+    writeOctal(block, Math.max(gid, 0), ...FIELDS.gid, messages);
+    writeOctal(block, size, ...FIELDS.size, messages);
+    writeOctal(block, Math.floor(mtime.getTime() / 1000), ...FIELDS.mtime, messages);
+    writeString(block, type, ...FIELDS.type, messages);
+    writeString(block, linkName, ...FIELDS.linkName, messages);
+    writeString(block, `${USTAR_MAGIC}\0`, ...FIELDS.magic, messages);
+    writeString(block, '00', ...FIELDS.version, messages);
+    writeString(block, prefix, ...FIELDS.prefix, messages);
+    writeString(block, `${getChecksum(block).toString(8).padStart(6, '0')}\0 `, ...FIELDS.checksum, messages);
+
+    return block;
+};
+
+export const decodeTarHeader = (block, messages = getMessages()) => {
+    if (readOctal(block, ...FIELDS.checksum, messages) !== getChecksum(block)) {
+        throw new Error(messages.getInvalidTarChecksum());
+    }
+
+    const name = readString(block, ...FIELDS.name);
+    const prefix = readString(block, ...FIELDS.prefix);
+
+    return {
+        name: prefix ? `${prefix}/${name}` : name,
+        mode: readOctal(block, ...FIELDS.mode, messages),
+        size: readOctal(block, ...FIELDS.size, messages),
+        mtime: new Date(readOctal(block, ...FIELDS.mtime, messages) * 1000),
+        type: readString(block, ...FIELDS.type) || TAR_ENTRY_TYPES.FILE,
+        linkName: readString(block, ...FIELDS.linkName),
+    };
+};
+
+export const getTarPadding = size => (TAR_BLOCK_SIZE - size % TAR_BLOCK_SIZE) % TAR_BLOCK_SIZE;
+
+/**
+ * Yields `{ header, content }` for every archive entry, where `content()` streams the entry data.
+ * Data that isn't consumed is skipped before the next header is read.
+ */
+export async function* readTarEntries(readable, messages = getMessages()) {
+    const reader = createChunkReader(readable);
+
+    while (true) {
+        const block = await reader.read(TAR_BLOCK_SIZE);
+
+        if (block.length < TAR_BLOCK_SIZE) {
+            throw new Error(messages.getUnexpectedArchiveEnd());
+        }
+
+        if (block.every(byte => byte === 0)) {
+            return;
+        }
+
+        const header = decodeTarHeader(block, messages);
+        let remainingSize = header.size;
+
+        const readContentChunk = async () => {
+            const chunk = await reader.readChunk(remainingSize);
+
+            if (!chunk) {
+                throw new Error(messages.getUnexpectedArchiveEnd());
+            }
+
+            remainingSize -= chunk.length;
+
+            return chunk;
+        };
+
+        yield {
+            header,
+            content: async function* () {
+                while (remainingSize > 0) {
+                    yield await readContentChunk();
+                }
+            },
+        };
+
+        while (remainingSize > 0) {
+            await readContentChunk();
+        }
+
+        await reader.read(getTarPadding(header.size));
+    }
+}
+
+function createChunkReader(readable) {
+    const iterator = readable[Symbol.asyncIterator]();
+    let buffered = Buffer.alloc(0);
+
+    const fill = async () => {
+        const { value, done } = await iterator.next();
+
+        if (!done) {
+            buffered = Buffer.concat([buffered, value]);
+        }
+
+        return !done;
+    };
+
+    return {
+        async read(length) {
+            while (buffered.length < length && await fill());
+
+            const result = buffered.subarray(0, length);
+            buffered = buffered.subarray(result.length);
+
+            return result;
+        },
+        async readChunk(maxLength) {
+            if (!buffered.length && !await fill()) {
+                return null;
+            }
+
+            const result = buffered.subarray(0, maxLength);
+            buffered = buffered.subarray(result.length);
+
+            return result;
+        },
+    };
+}
+
+/**
+ * Names longer than 100 bytes are split at a slash into the prefix and name fields.
+ */
+function splitName(name, messages) {
+    const [, nameLength] = FIELDS.name;
+    const [, prefixLength] = FIELDS.prefix;
+
+    if (Buffer.byteLength(name) <= nameLength) {
+        return ['', name];
+    }
+
+    for (let index = name.indexOf('/'); index !== -1; index = name.indexOf('/', index + 1)) {
+        const prefix = name.slice(0, index);
+        const shortName = name.slice(index + 1);
+
+        if (Buffer.byteLength(prefix) <= prefixLength && shortName && Buffer.byteLength(shortName) <= nameLength) {
+            return [prefix, shortName];
+        }
+    }
+
+    throw new Error(messages.getPathTooLong(name));
+}
+
+function getChecksum(block) {
+    const [checksumOffset, checksumLength] = FIELDS.checksum;
+    let checksum = 0;
+
+    for (let index = 0; index < TAR_BLOCK_SIZE; index++) {
+        const isChecksumField = index >= checksumOffset && index < checksumOffset + checksumLength;
+        checksum += isChecksumField ? 0x20 : block[index];
+    }
+
+    return checksum;
+}
+
+function writeString(block, value, offset, length, messages) {
+    if (Buffer.byteLength(value) > length) {
+        throw new Error(messages.getValueTooLong(value));
+    }
+
+    block.write(value, offset, length);
+}
+
+function writeOctal(block, value, offset, length, messages) {
+    const digits = value.toString(8).padStart(length - 1, '0');
+    writeString(block, `${digits}\0`, offset, length, messages);
+}
+
+function readString(block, offset, length) {
+    const field = block.subarray(offset, offset + length);
+    const endIdx = field.indexOf(0);
+
+    return field.subarray(0, endIdx === -1 ? length : endIdx).toString();
+}
+
+function readOctal(block, offset, length, messages) {
+    const value = readString(block, offset, length).trim();
+    const number = value ? parseInt(value, 8) : 0;
+
+    if (Number.isNaN(number)) {
+        throw new Error(messages.getInvalidTarNumber());
+    }
+
+    return number;
+}
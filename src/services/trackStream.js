@@ -0,0 +1,22 @@
+import { addAbortSignal } from 'node:stream';
+
+/**
+ * Binds an abort signal to a source stream and reports the number of bytes read from it.
+ * Aborting destroys the stream, so its consumers fail with an `AbortError`.
+ */
+export const trackStream = (readable, { filePath, totalBytes, signal, onProgress }) => {
+    let processedBytes = 0;
+
+    if (signal) {
+        addAbortSignal(signal, readable);
+    }
+
+    if (onProgress) {
+        readable.on('data', chunk => {
+            processedBytes += chunk.length;
+            onProgress({ filePath, processedBytes, totalBytes });
+        });
+    }
+
+    return readable;
+};
@@ -0,0 +1,58 @@
+import fs from 'node:fs/promises';
+import path from 'node:path';
+
+import { getMessages } from '../utils/index.js';
+import { NotFoundError } from '../errors/index.js';
+
+const FILES_DIR_NAME = 'files';
+const INFO_DIR_NAME = 'info';
+const INFO_EXTENSION = '.json';
+
+/**
+ * Trash items follow the freedesktop.org layout: the deleted entry keeps its name inside `files/<id>`,
+ * its original path and deletion time are stored in `info/<id>.json`.
+ */
+export const getTrashItemPaths = (trashDir, id) => ({
+    itemDir: path.join(trashDir, FILES_DIR_NAME, id),
+    infoPath: path.join(trashDir, INFO_DIR_NAME, `${id}${INFO_EXTENSION}`),
+});
+
+/**
+ * Reads the metadata of all trash items, oldest first. Items with unreadable metadata are left out.
+ */
+export const readTrashItems = async trashDir => {
+    const infoDir = path.join(trashDir, INFO_DIR_NAME);
+    let infoFiles;
+
+    try {
+        infoFiles = await fs.readdir(infoDir);
+    } catch (error) {
+        if (error.code === 'ENOENT') {
+            return [];
+        }
+
+        throw error;
+    }
+
+    const items = [];
+
+    for (const infoFile of infoFiles.filter(fileName => fileName.endsWith(INFO_EXTENSION))) {
+        try {
+            items.push(JSON.parse(await fs.readFile(path.join(infoDir, infoFile), 'utf8')));
+        } catch {
+            continue;
+        }
+    }
+
+    return items.sort((previous, next) => previous.deletedAt.localeCompare(next.deletedAt));
+};
+
+export const getTrashItem = async (trashDir, id, messages = getMessages()) => {
+    const item = (await readTrashItems(trashDir)).find(trashItem => trashItem.id === id);
+
+    if (!item) {
+        throw new NotFoundError(messages.getTrashItemNotFound(id));
+    }
+
+    return item;
+};
@@ -0,0 +1,84 @@
+import fs from 'node:fs/promises';
+import path from 'node:path';
+
+import { getMessages } from '../utils/index.js';
+import { calculateHash } from './calculateHash.js';
+
+export const CHECK_STATUSES = {
+    OK: 'OK',
+    FAILED: 'FAILED',
+    MISSING: 'MISSING',
+};
+
+/**
+ * Verifies the files listed in a manifest, paths are relative to the manifest.
+ * Every listed path goes through `resolvePath` first, files it rejects are reported as failed.
+ */
+export const verifyChecksums = async (manifestPath, options) => {
+    const { algorithm = null, messages = getMessages(), resolvePath = filePath => filePath, onResult, signal, onProgress } = options;
+    const ALGORITHMS_BY_SIZE = {
+        16: 'md5',
+        20: 'sha1',
+        28: 'sha224',
+        32: 'sha256',
+        48: 'sha384',
+        64: 'sha512',
+    };
+
+    const manifestDir = path.dirname(path.resolve(manifestPath));
+    const content = await fs.readFile(manifestPath, 'utf8');
+    const lines = content.split(/\r?\n/).filter(line => line.trim());
+    const counts = { [CHECK_STATUSES.OK]: 0, [CHECK_STATUSES.FAILED]: 0, [CHECK_STATUSES.MISSING]: 0 };
+
+    for (const [index, line] of lines.entries()) {
+        const match = /^([0-9A-Za-z+/=]+) [ *](.+)$/.exec(line);
+
+        if (!match) {
+            throw new Error(messages.getInvalidManifestLine(index + 1, line));
+        }
+
+        const [, expectedDigest, listedPath] = match;
+        const expectedBytes = decodeDigest(expectedDigest);
+        const lineAlgorithm = algorithm ?? ALGORITHMS_BY_SIZE[expectedBytes.length];
+
+        if (!lineAlgorithm) {
+            throw new Error(messages.getUnknownDigestLength(expectedBytes.length * 8));
+        }
+
+        const filePath = path.resolve(manifestDir, listedPath);
+        const status = await getCheckStatus(filePath, expectedBytes, {
+            resolvePath,
+            hashOptions: { algorithm: lineAlgorithm, signal, onProgress },
+        });
+        counts[status]++;
+        await onResult(listedPath, status);
+    }
+
+    return counts;
+};
+
+function decodeDigest(digest) {
+    return /^([0-9a-fA-F]{2})+$/.test(digest)
+        ? Buffer.from(digest, 'hex')
+        : Buffer.from(digest, 'base64');
+}
+
+async function getCheckStatus(filePath, expectedBytes, { resolvePath, hashOptions }) {
+    try {
+        const actualDigest = await calculateHash(await resolvePath(filePath), hashOptions);
+
+        return Buffer.from(actualDigest, 'hex').equals(expectedBytes)
+            ? CHECK_STATUSES.OK
+            : CHECK_STATUSES.FAILED;
+    } catch (error) {
+        if (hashOptions.signal?.aborted) {
+            throw error;
+        }
+
+        if (error.code === 'ENOENT') {
+            return CHECK_STATUSES.MISSING;
+        }
+
+        return CHECK_STATUSES.FAILED;
+    }
+}
@@ -0,0 +1,41 @@
+import { readdir, lstat, stat } from 'node:fs/promises';
+import path from 'node:path';
+
+/**
+ * Walks a directory tree depth-first without following symbolic links, except the start path with `dereferenceStart`.
+ * Entries that can't be read are passed to `onError` and the walk goes on.
+ */
+export const walkDirectory = async (startPath, { maxDepth = Infinity, dereferenceStart = false, onEntry, onError }) => {
+    await walkEntry(startPath, 0, { maxDepth, dereferenceStart, onEntry, onError });
+};
+
+async function walkEntry(entryPath, depth, options) {
+    let stats;
+    let entries;
+
+    try {
+        stats = depth || !options.dereferenceStart ? await lstat(entryPath) : await stat(entryPath);
+    } catch (error) {
+        await options.onError(entryPath, error);
+
+        return;
+    }
+
+    await options.onEntry(entryPath, stats, depth);
+
+    if (!stats.isDirectory() || depth >= options.maxDepth) {
+        return;
+    }
+
+    try {
+        entries = await readdir(entryPath);
+    } catch (error) {
+        await options.onError(entryPath, error);
+
+        return;
+    }
+
+    for (const entry of entries.sort()) {
+        await walkEntry(path.join(entryPath, entry), depth + 1, options);
+    }
+}
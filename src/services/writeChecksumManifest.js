@@ -0,0 +1,27 @@
+import fs from 'node:fs/promises';
+import path from 'node:path';
+
+import { resolveTargetConflict, TARGET_STATUSES } from './resolveTargetConflict.js';
+
+/**
+ * Writes `digest  path` lines in the format of `sha256sum`.
+ * Paths are stored relative to the manifest, so it stays valid when the whole tree is moved.
+ */
+export const writeChecksumManifest = async (manifestPath, checksums, { messages, onConflict } = {}) => {
+    const manifestDir = path.dirname(path.resolve(manifestPath));
+    const lines = checksums.map(({ filePath, digest }) => {
+        const relativePath = path.relative(manifestDir, path.resolve(filePath)).split(path.sep).join('/');
+
+        return `${digest}  ${relativePath}\n`;
+    });
+
+    const targetStatus = await resolveTargetConflict(null, manifestPath, { messages, onConflict });
+
+    if (targetStatus === TARGET_STATUSES.SKIP) {
+        return null;
+    }
+
+    await fs.writeFile(manifestPath, lines.join(''), { flag: 'wx' });
+
+    return manifestPath;
+};
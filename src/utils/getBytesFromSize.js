@@ -0,0 +1,14 @@
+export const getBytesFromSize = size => {
+    const UNITS = { B: 0, K: 1, M: 2, G: 3, T: 4 };
+    const STEP = 1024;
+
+    const match = /^(\d+(?:\.\d+)?)([BKMGT])?$/i.exec(String(size).trim());
+
+    if (!match) {
+        return null;
+    }
+
+    const [, value, unit = 'B'] = match;
+
+    return Math.round(Number(value) * STEP ** UNITS[unit.toUpperCase()]);
+};
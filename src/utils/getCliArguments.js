@@ -7,8 +7,9 @@ export const getCliArguments = cliArguments => {
             return;
         }
 
-        const argEntries = argument.split('=');
-        parsedArguments[argEntries[0].replace(PREFIX, '')] = argEntries[1];
+        // Values may contain '=' themselves, arguments without a value are flags
+        const [name, ...valueParts] = argument.slice(PREFIX.length).split('=');
+        parsedArguments[name] = valueParts.length ? valueParts.join('=') : true;
     });
 
     return parsedArguments;
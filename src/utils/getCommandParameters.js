@@ -0,0 +1,62 @@
+import { getMessages } from './getMessages.js';
+
+/**
+ * Splits command parameters into options and operands. Short options listed in `valueOptions`
+ * take a value, either the rest of the flag group or the next parameter, as in `-n5` and `-n 5`.
+ */
+export const getCommandParameters = (params, optionAliases = {}, valueOptions = [], messages = getMessages()) => {
+    const END_OF_OPTIONS = '--';
+    const LONG_PREFIX = '--';
+    const SHORT_PREFIX = '-';
+
+    const knownOptions = Object.values(optionAliases);
+    const options = {};
+    const operands = [];
+    let isOptionsEnded = false;
+
+    const addOption = (name, value, rawOption) => {
+        if (!knownOptions.includes(name)) {
+            throw new Error(messages.getUnknownOption(rawOption));
+        }
+
+        options[name] = value;
+    };
+
+    for (let index = 0; index < params.length; index++) {
+        const param = params[index];
+
+        if (isOptionsEnded || param === SHORT_PREFIX || !param.startsWith(SHORT_PREFIX)) {
+            operands.push(param);
+            continue;
+        }
+
+        if (param === END_OF_OPTIONS) {
+            isOptionsEnded = true;
+            continue;
+        }
+
+        if (param.startsWith(LONG_PREFIX)) {
+            const [name, ...valueParts] = param.slice(LONG_PREFIX.length).split('=');
+            addOption(name, valueParts.length ? valueParts.join('=') : true, param);
+            continue;
+        }
+
+        const flags = param.slice(SHORT_PREFIX.length);
+
+        for (const [flagIdx, flag] of [...flags].entries()) {
+            const name = optionAliases[flag];
+
+            if (!valueOptions.includes(name)) {
+                addOption(name, true, `${SHORT_PREFIX}${flag}`);
+                continue;
+            }
+
+            // A missing value is left as a flag, so the command reports it as an invalid value
+            const value = flags.slice(flagIdx + 1) || params[++index];
+            addOption(name, value ?? true, `${SHORT_PREFIX}${flag}`);
+            break;
+        }
+    }
+
+    return { options, operands };
+};
@@ -0,0 +1,21 @@
+export const getDateFromTimeSpec = (timeSpec, now = Date.now()) => {
+    const UNITS_MS = {
+        s: 1000,
+        m: 60 * 1000,
+        h: 60 * 60 * 1000,
+        d: 24 * 60 * 60 * 1000,
+        w: 7 * 24 * 60 * 60 * 1000,
+    };
+
+    const durationMatch = /^(\d+)([smhdw])$/.exec(String(timeSpec).trim());
+
+    if (durationMatch) {
+        const [, amount, unit] = durationMatch;
+
+        return new Date(now - Number(amount) * UNITS_MS[unit]);
+    }
+
+    const date = new Date(timeSpec);
+
+    return Number.isNaN(date.getTime()) ? null : date;
+};
@@ -0,0 +1,28 @@
+/**
+ * Counts the insertions, deletions, substitutions and transpositions of adjacent characters
+ * needed to turn one string into another (optimal string alignment distance).
+ */
+export const getEditDistance = (source, target) => {
+    const distances = Array.from({ length: source.length + 1 }, (row, rowIdx) => {
+        return Array.from({ length: target.length + 1 }, (cell, columnIdx) => rowIdx || columnIdx);
+    });
+
+    for (let rowIdx = 1; rowIdx <= source.length; rowIdx++) {
+        for (let columnIdx = 1; columnIdx <= target.length; columnIdx++) {
+            const cost = source[rowIdx - 1] === target[columnIdx - 1] ? 0 : 1;
+
+            distances[rowIdx][columnIdx] = Math.min(
+                distances[rowIdx - 1][columnIdx] + 1,
+                distances[rowIdx][columnIdx - 1] + 1,
+                distances[rowIdx - 1][columnIdx - 1] + cost,
+            );
+
+            if (rowIdx > 1 && columnIdx > 1 && source[rowIdx - 1] === target[columnIdx - 2]
+                && source[rowIdx - 2] === target[columnIdx - 1]) {
+                distances[rowIdx][columnIdx] = Math.min(distances[rowIdx][columnIdx], distances[rowIdx - 2][columnIdx - 2] + 1);
+            }
+        }
+    }
+
+    return distances[source.length][target.length];
+};
@@ -0,0 +1,6 @@
+export const getFormattedDate = date => {
+    const pad = number => String(number).padStart(2, '0');
+    const day = `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+
+    return `${day} ${pad(date.getHours())}:${pad(date.getMinutes())}`;
+};
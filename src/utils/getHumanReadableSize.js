@@ -0,0 +1,16 @@
+export const getHumanReadableSize = bytes => {
+    const UNITS = ['B', 'K', 'M', 'G', 'T', 'P'];
+    const STEP = 1024;
+
+    let size = bytes;
+    let unitIdx = 0;
+
+    while (size >= STEP && unitIdx < UNITS.length - 1) {
+        size /= STEP;
+        unitIdx++;
+    }
+
+    const formattedSize = unitIdx && size < 10 ? size.toFixed(1) : Math.round(size);
+
+    return `${formattedSize}${UNITS[unitIdx]}`;
+};
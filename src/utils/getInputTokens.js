@@ -0,0 +1,102 @@
+import os from 'node:os';
+
+import { getMessages } from './getMessages.js';
+
+export const getInputTokens = (input, messages) => getQuotedInputTokens(input, messages).map(({ token }) => token);
+
+/**
+ * Splits input into tokens like `getInputTokens` and marks the tokens that were fully or partly quoted,
+ * so their glob characters can be taken literally.
+ */
+export const getQuotedInputTokens = (input, messages = getMessages()) => {
+    const ESCAPABLE_CHARS = [' ', '\t', '"', '\'', '\\', '~'];
+    const HOME_PREFIX = '~';
+
+    const tokens = [];
+    let token = '';
+    let isTokenStarted = false;
+    let isTokenQuoted = false;
+    let quote = null;
+
+    for (let index = 0; index < input.length; index++) {
+        const char = input[index];
+        const nextChar = input[index + 1];
+
+        if (quote === '\'') {
+            char === quote ? quote = null : token += char;
+            continue;
+        }
+
+        if (quote === '"') {
+            if (char === '\\' && ['"', '\\'].includes(nextChar)) {
+                token += nextChar;
+                index++;
+            } else {
+                char === quote ? quote = null : token += char;
+            }
+            continue;
+        }
+
+        if (/\s/.test(char)) {
+            if (isTokenStarted) {
+                tokens.push({ token, isQuoted: isTokenQuoted });
+                token = '';
+                isTokenStarted = false;
+                isTokenQuoted = false;
+            }
+            continue;
+        }
+
+        isTokenStarted = true;
+
+        if (char === '"' || char === '\'') {
+            quote = char;
+            isTokenQuoted = true;
+            continue;
+        }
+
+        if (char === '\\') {
+            if (nextChar === undefined) {
+                throw new Error(messages.getUnfinishedEscape());
+            }
+
+            // Backslashes before ordinary characters are kept as is, so Windows paths stay intact
+            token += ESCAPABLE_CHARS.includes(nextChar) ? nextChar : char + nextChar;
+            index++;
+            continue;
+        }
+
+        if (char === HOME_PREFIX && token === '' && isHomePrefixEnd(nextChar)) {
+            token += os.homedir();
+            continue;
+        }
+
+        token += char;
+    }
+
+    if (quote) {
+        throw new Error(messages.getUnbalancedQuotes(quote));
+    }
+
+    if (isTokenStarted) {
+        tokens.push({ token, isQuoted: isTokenQuoted });
+    }
+
+    return tokens;
+};
+
+/**
+ * Quotes a token when needed, so `getInputTokens` reads it back unchanged. Tokens that were quoted
+ * in the input are always quoted again, so their glob characters stay literal.
+ */
+export const quoteInputToken = (token, isQuoted = false) => {
+    if (!isQuoted && token && !/[\s"'\\>]|^~/.test(token)) {
+        return token;
+    }
+
+    return `"${token.replace(/["\\]/g, '\\$&')}"`;
+};
+
+function isHomePrefixEnd(char) {
+    return char === undefined || /\s/.test(char) || char === '/' || char === '\\';
+}
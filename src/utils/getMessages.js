@@ -1,29 +1,321 @@
-export const getMessages = () => {
-    const INTRO = 'Welcome to the File Manager, {username}!';
-    const OUTRO = 'Thank you for using File Manager, {username}, goodbye!';
-    const CURRENT_DIR_MESSAGE = 'You are currently in {directory}';
-    const TOO_MANY_ARGUMENTS = 'Too many arguments';
-    const OPERATION_FAILED = 'Operation failed';
-    const MISSING_OPERAND = 'Missing operand';
-    const UNKNOWN_COMMAND = 'Unknown command';
-    const INVALID_INPUT = 'Invalid input';
-
-    const formMessage = (message, textToReplace) => message.replace(/\{[^}]*\}/g, textToReplace);
+import * as locales from '../locales/index.js';
+
+export const LOCALES = Object.keys(locales);
+export const DEFAULT_LOCALE = 'en';
+
+/**
+ * Picks the supported locale of a language tag like `ru`, `ru-RU` or `ru_RU.UTF-8`, null if there is none.
+ */
+export const resolveLocale = language => {
+    const [code] = String(language ?? '').toLowerCase().split(/[-_.@]/);
+
+    return LOCALES.includes(code) ? code : null;
+};
+
+/**
+ * Returns the messages of a language tag, unsupported languages fall back to English.
+ * Every file manager keeps its own messages and passes them to the services it calls.
+ */
+export const getMessages = (language = DEFAULT_LOCALE) => {
+    const locale = resolveLocale(language) ?? DEFAULT_LOCALE;
+    const messages = locales[locale];
+    const defaultMessages = locales[DEFAULT_LOCALE];
+    const pluralRules = new Intl.PluralRules(locale);
+
+    const getPluralForm = (forms, count) => forms[pluralRules.select(Number(count))] ?? forms.other;
+    const formMessage = (key, values = {}) => {
+        const template = messages[key] ?? defaultMessages[key];
+        const message = typeof template === 'string' ? template : getPluralForm(template, values.count);
+
+        return message.replace(/\{(\w+)\}/g, (placeholder, name) => name in values ? String(values[name]) : placeholder);
+    };
+    const getCommandText = (commandName, getText) => {
+        const [command, defaultCommand] = [messages, defaultMessages].map(bundle => bundle.commands[commandName] ?? {});
+
+        return getText(command) ?? getText(defaultCommand) ?? '';
+    };
 
     return {
         getIntro(username) {
-            return formMessage(INTRO, username);
+            return formMessage('intro', { username });
         },
         getOutro(username) {
-            return formMessage(OUTRO, username);
+            return formMessage('outro', { username });
+        },
+        getCurrentDir(directory) {
+            return formMessage('currentDir', { directory });
+        },
+        getUnsupportedLanguage(language) {
+            return formMessage('unsupportedLanguage', { language, languages: LOCALES.join(', ') });
+        },
+        getOperationFailed(reason) {
+            return formMessage('operationFailed', { reason });
+        },
+        getUnknownCommand(command) {
+            return formMessage('unknownCommand', { command });
+        },
+        getUnknownOption(option) {
+            return formMessage('unknownOption', { option });
+        },
+        getInvalidInput(reason) {
+            return formMessage('invalidInput', { reason });
+        },
+        getIsDirectory(path) {
+            return formMessage('isDirectory', { path });
+        },
+        getPartiallyFailed(count) {
+            return formMessage('partiallyFailed', { count });
+        },
+        getConflictingOptions(options) {
+            return formMessage('conflictingOptions', { options });
+        },
+        getOverwritePrompt(path) {
+            return formMessage('overwritePrompt', { path });
+        },
+        getTargetSkipped(path) {
+            return formMessage('targetSkipped', { path });
+        },
+        getMatchedEntries(count) {
+            return formMessage('matchedEntries', { count });
+        },
+        getNoMatches(pattern) {
+            return formMessage('noMatches', { pattern });
+        },
+        getUnknownSortKey(key) {
+            return formMessage('unknownSortKey', { key });
+        },
+        getInvalidOptionValue(option) {
+            return formMessage('invalidOptionValue', { option });
+        },
+        getUnreadableSkipped(path) {
+            return formMessage('unreadableSkipped', { path });
+        },
+        getUnknownHashAlgorithm(algorithm) {
+            return formMessage('unknownHashAlgorithm', { algorithm });
+        },
+        getManifestWritten(path) {
+            return formMessage('manifestWritten', { path });
+        },
+        getCheckFailed(count) {
+            return formMessage('checkFailed', { count });
+        },
+        getRatio(ratio) {
+            return formMessage('ratio', { ratio });
+        },
+        getArchivedEntries(count) {
+            return formMessage('archivedEntries', { count });
+        },
+        getExtractedEntries(count) {
+            return formMessage('extractedEntries', { count });
+        },
+        getHistoryEntryNotFound(reference) {
+            return formMessage('historyEntryNotFound', { reference });
+        },
+        getUnknownAlias(name) {
+            return formMessage('unknownAlias', { name });
+        },
+        getInvalidAlias(definition) {
+            return formMessage('invalidAlias', { definition });
+        },
+        getUnsupportedConfigLine(line) {
+            return formMessage('unsupportedConfigLine', { line });
+        },
+        getUnknownTrashAction(action) {
+            return formMessage('unknownTrashAction', { action });
+        },
+        getEmptyTrashPrompt(count) {
+            return formMessage('emptyTrashPrompt', { count });
+        },
+        getTrashEmptied(count) {
+            return formMessage('trashEmptied', { count });
+        },
+        getUndoing(command) {
+            return formMessage('undoing', { command });
+        },
+        getPluginSkipped(path, reason) {
+            return formMessage('pluginSkipped', { path, reason });
+        },
+        getUsage(usage) {
+            return formMessage('usage', { usage });
+        },
+        getAliases(aliases) {
+            return formMessage('aliases', { aliases });
+        },
+        getDidYouMean(names) {
+            return formMessage('didYouMean', { names });
+        },
+        getSucceededCount(count) {
+            return formMessage('succeededCount', { count });
+        },
+        getSkippedCount(count) {
+            return formMessage('skippedCount', { count });
+        },
+        getFailedCount(count) {
+            return formMessage('failedCount', { count });
+        },
+        getUnbalancedQuotes(quote) {
+            return formMessage('unbalancedQuotes', { quote });
+        },
+        getInvalidCommandName(name) {
+            return formMessage('invalidCommandName', { name });
+        },
+        getCommandNameTaken(name) {
+            return formMessage('commandNameTaken', { name });
+        },
+        getMissingCommandHandler(name) {
+            return formMessage('missingCommandHandler', { name });
+        },
+        getInvalidArgumentLimits(name) {
+            return formMessage('invalidArgumentLimits', { name });
+        },
+        getNotRegularFile(path) {
+            return formMessage('notRegularFile', { path });
+        },
+        getCopyIntoItself(path) {
+            return formMessage('copyIntoItself', { path });
+        },
+        getSameFile(path) {
+            return formMessage('sameFile', { path });
+        },
+        getDirectoryWithNonDirectory(path) {
+            return formMessage('directoryWithNonDirectory', { path });
+        },
+        getNonDirectoryWithDirectory(path) {
+            return formMessage('nonDirectoryWithDirectory', { path });
+        },
+        getTargetAlreadyExists(path) {
+            return formMessage('targetAlreadyExists', { path });
+        },
+        getCopyVerificationFailed(path) {
+            return formMessage('copyVerificationFailed', { path });
+        },
+        getTrashItemNotFound(id) {
+            return formMessage('trashItemNotFound', { id });
+        },
+        getUnknownOsParameter(parameter) {
+            return formMessage('unknownOsParameter', { parameter });
+        },
+        getCpusCount(count) {
+            return formMessage('cpusCount', { count });
+        },
+        getCpuInfo(number, model, speed) {
+            return formMessage('cpuInfo', { number, model, speed });
+        },
+        getSpaceUsage(total, used, percent, free) {
+            return formMessage('spaceUsage', { total, used, percent, free });
+        },
+        getLoadAverage(loads) {
+            return formMessage('loadAverage', { loads });
+        },
+        getDays(count) {
+            return formMessage('days', { count });
+        },
+        getInvalidManifestLine(number, line) {
+            return formMessage('invalidManifestLine', { number, line });
+        },
+        getUnknownDigestLength(bits) {
+            return formMessage('unknownDigestLength', { bits });
+        },
+        getUnsupportedEntryType(type) {
+            return formMessage('unsupportedEntryType', { type });
+        },
+        getFileChanged(path) {
+            return formMessage('fileChanged', { path });
+        },
+        getUnsafeLink(target) {
+            return formMessage('unsafeLink', { target });
+        },
+        getUnsafePath(path) {
+            return formMessage('unsafePath', { path });
+        },
+        getPathTooLong(path) {
+            return formMessage('pathTooLong', { path });
+        },
+        getValueTooLong(value) {
+            return formMessage('valueTooLong', { value });
+        },
+        getOutsideRoot(path) {
+            return formMessage('outsideRoot', { path });
+        },
+        getOptionNotAllowedWithRoot(option) {
+            return formMessage('optionNotAllowedWithRoot', { option });
+        },
+        getBinaryFile(path) {
+            return formMessage('binaryFile', { path });
+        },
+        getMissingRedirectionTarget(operator) {
+            return formMessage('missingRedirectionTarget', { operator });
+        },
+        getReplacePrompt(count) {
+            return formMessage('replacePrompt', { count });
+        },
+        getReplacementsCount(count) {
+            return formMessage('replacementsCount', { count });
+        },
+        getDirectoryWithFile(directory, file) {
+            return formMessage('directoryWithFile', { directory, file });
+        },
+        getBinaryFilesDiffer(first, second) {
+            return formMessage('binaryFilesDiffer', { first, second });
+        },
+        getFilesDiffer(first, second, byte, line) {
+            return formMessage('filesDiffer', { first, second, byte, line });
+        },
+        getEndOfFile(path, byte) {
+            return formMessage('endOfFile', { path, byte });
+        },
+        getCausedBy(error) {
+            return formMessage('causedBy', { error });
+        },
+        getSystemError(code, path) {
+            const description = messages.systemErrors[code] ?? defaultMessages.systemErrors[code];
+
+            if (!description || path === undefined) {
+                return description ?? null;
+            }
+
+            return formMessage('systemErrorWithPath', { description, path });
+        },
+        getColumnTitle(column) {
+            return messages.columns[column] ?? defaultMessages.columns[column] ?? column;
+        },
+        getCommandDescription(commandName) {
+            return getCommandText(commandName, ({ description }) => description);
         },
-        getCurrentDir(currentDir) {
-            return formMessage(CURRENT_DIR_MESSAGE, currentDir);
+        getOptionDescription(commandName, optionName) {
+            return getCommandText(commandName, ({ options }) => options?.[optionName])
+                || messages.sharedOptions[optionName]
+                || defaultMessages.sharedOptions[optionName]
+                || '';
         },
-        getTooManyArguments: () => TOO_MANY_ARGUMENTS,
-        getOperationFailed: () => OPERATION_FAILED,
-        getMissingOperand: () => MISSING_OPERAND,
-        getUnknownCommand: () => UNKNOWN_COMMAND,
-        getInvalidInput: () => INVALID_INPUT,
+        getAnonymous: () => formMessage('anonymous'),
+        getTooManyArguments: () => formMessage('tooManyArguments'),
+        getMissingOperand: () => formMessage('missingOperand'),
+        getEntrySucceeded: () => formMessage('entrySucceeded'),
+        getProceedPrompt: () => formMessage('proceedPrompt'),
+        getCancelled: () => formMessage('cancelled'),
+        getOperationCancelled: () => formMessage('operationCancelled'),
+        getPromptInBatchMode: () => formMessage('promptInBatchMode'),
+        getTrashEmpty: () => formMessage('trashEmpty'),
+        getNothingToUndo: () => formMessage('nothingToUndo'),
+        getCommandsTitle: () => formMessage('commandsTitle'),
+        getOptionsTitle: () => formMessage('optionsTitle'),
+        getExamplesTitle: () => formMessage('examplesTitle'),
+        getExitDescription: () => formMessage('exitDescription'),
+        getHelpHint: () => formMessage('helpHint'),
+        getEntrySkipped: () => formMessage('entrySkipped'),
+        getEntryFailed: () => formMessage('entryFailed'),
+        getEta: () => formMessage('eta'),
+        getInternalInterface: () => formMessage('internalInterface'),
+        getUnfinishedEscape: () => formMessage('unfinishedEscape'),
+        getPluginWithoutExport: () => formMessage('pluginWithoutExport'),
+        getDirectoryAlreadyExists: () => formMessage('directoryAlreadyExists'),
+        getSymlinkLoop: () => formMessage('symlinkLoop'),
+        getInvalidTarChecksum: () => formMessage('invalidTarChecksum'),
+        getUnexpectedArchiveEnd: () => formMessage('unexpectedArchiveEnd'),
+        getInvalidTarNumber: () => formMessage('invalidTarNumber'),
+        getReadOnlyMode: () => formMessage('readOnlyMode'),
+        getPagerPrompt: () => formMessage('pagerPrompt'),
+        getNoDifferences: () => formMessage('noDifferences'),
     };
 };
@@ -0,0 +1,23 @@
+import { getHumanReadableSize } from './getHumanReadableSize.js';
+import { getMessages } from './getMessages.js';
+
+export const getProgressLine = ({ label, processedBytes, totalBytes, elapsedMs }, messages = getMessages()) => {
+    const percent = totalBytes ? Math.min(processedBytes / totalBytes * 100, 100) : 100;
+    const bytesPerSecond = elapsedMs > 0 ? processedBytes / elapsedMs * 1000 : 0;
+    const remainingSeconds = bytesPerSecond ? Math.max(totalBytes - processedBytes, 0) / bytesPerSecond : null;
+    const progress = `${getHumanReadableSize(processedBytes)}/${getHumanReadableSize(totalBytes)}`;
+    const throughput = `${getHumanReadableSize(Math.round(bytesPerSecond))}/s`;
+    const eta = remainingSeconds === null ? '--:--' : formatDuration(remainingSeconds);
+
+    return `${label} ${percent.toFixed(0).padStart(3)}% ${progress} ${throughput} ${messages.getEta()} ${eta}`;
+};
+
+function formatDuration(seconds) {
+    const pad = number => String(number).padStart(2, '0');
+    const totalSeconds = Math.ceil(seconds);
+    const hours = Math.floor(totalSeconds / 3600);
+    const minutes = Math.floor(totalSeconds % 3600 / 60);
+    const time = `${pad(minutes)}:${pad(totalSeconds % 60)}`;
+
+    return hours ? `${hours}:${time}` : time;
+}
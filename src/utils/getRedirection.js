@@ -0,0 +1,41 @@
+/**
+ * Splits off an output redirection: `command > file` or `command >> file`.
+ * Quoted and escaped `>` characters belong to the command, as in the tokenizer.
+ * The target is returned unparsed, null if the command isn't redirected.
+ */
+export const getRedirection = input => {
+    const REDIRECT_CHAR = '>';
+
+    let quote = null;
+
+    for (let index = 0; index < input.length; index++) {
+        const char = input[index];
+
+        if (char === '\\' && quote !== '\'') {
+            index++;
+            continue;
+        }
+
+        if (quote) {
+            quote = char === quote ? null : quote;
+            continue;
+        }
+
+        if (char === '"' || char === '\'') {
+            quote = char;
+            continue;
+        }
+
+        if (char === REDIRECT_CHAR) {
+            const isAppend = input[index + 1] === REDIRECT_CHAR;
+
+            return {
+                commandLine: input.slice(0, index),
+                target: input.slice(index + (isAppend ? 2 : 1)),
+                isAppend,
+            };
+        }
+    }
+
+    return { commandLine: input, target: null, isAppend: false };
+};
@@ -0,0 +1,43 @@
+export const getScriptCommands = script => {
+    const COMMAND_SEPARATORS = [';', '\n'];
+    const COMMENT_PREFIX = '#';
+
+    const commands = [];
+    let command = '';
+    let quote = null;
+
+    for (let index = 0; index < script.length; index++) {
+        const char = script[index];
+
+        // Escaped characters are passed on to the tokenizer as is, they never end a quote or a command
+        if (char === '\\' && quote !== '\'') {
+            command += script.slice(index, index + 2);
+            index++;
+            continue;
+        }
+
+        if (quote) {
+            quote = char === quote ? null : quote;
+            command += char;
+            continue;
+        }
+
+        if (COMMAND_SEPARATORS.includes(char)) {
+            commands.push(command);
+            command = '';
+            continue;
+        }
+
+        if (char === '"' || char === '\'') {
+            quote = char;
+        }
+
+        command += char;
+    }
+
+    commands.push(command);
+
+    return commands
+        .map(scriptCommand => scriptCommand.trim())
+        .filter(scriptCommand => scriptCommand && !scriptCommand.startsWith(COMMENT_PREFIX));
+};
@@ -1,2 +1,12 @@
+export { getMessages, resolveLocale, LOCALES } from "./getMessages.js";
+export { getHumanReadableSize } from "./getHumanReadableSize.js";
+export { getCommandParameters } from "./getCommandParameters.js";
+export { getDateFromTimeSpec } from "./getDateFromTimeSpec.js";
+export { getScriptCommands } from "./getScriptCommands.js";
+export { getBytesFromSize } from "./getBytesFromSize.js";
+export { getFormattedDate } from "./getFormattedDate.js";
 export { getCliArguments } from "./getCliArguments.js";
-export { getMessages } from "./getMessages.js";
+export { getProgressLine } from "./getProgressLine.js";
+export { getEditDistance } from "./getEditDistance.js";
+export { getInputTokens, getQuotedInputTokens, quoteInputToken } from "./getInputTokens.js";
+export { getRedirection } from "./getRedirection.js";
@@ -0,0 +1,96 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import path from 'node:path';
+
+import { CommandRegistry, getBuiltinCommands, loadPlugins } from '../../src/commands/index.js';
+import { createTempDir, writeFiles } from '../helpers.js';
+
+const handler = () => 'done';
+
+describe('CommandRegistry', () => {
+    it('registers commands with defaults and finds them by aliases', () => {
+        const registry = new CommandRegistry();
+
+        const command = registry.register({ name: 'note', aliases: ['n'], handler });
+
+        assert.equal(command.isMutating, true);
+        assert.deepEqual(command.args, { min: 0, max: Infinity });
+        assert.equal(registry.get('n'), command);
+        assert.deepEqual(registry.getNames(), ['note', 'n']);
+        assert.equal(registry.has('other'), false);
+    });
+
+    it('rejects invalid descriptions and taken names', () => {
+        const registry = new CommandRegistry();
+        registry.register({ name: 'note', aliases: ['n'], handler });
+
+        assert.throws(() => registry.register({ name: 'bad name', handler }));
+        assert.throws(() => registry.register({ name: 'other' }));
+        assert.throws(() => registry.register({ name: 'other', args: { min: 2, max: 1 }, handler }));
+        assert.throws(() => registry.register({ name: 'n', handler }));
+        assert.throws(() => registry.register({ name: 'other', aliases: ['note'], handler }));
+        assert.deepEqual(registry.getNames(), ['note', 'n']);
+    });
+
+    it('parses options and checks the number of operands', () => {
+        const registry = new CommandRegistry();
+        const command = registry.register({
+            name: 'note',
+            args: { min: 1, max: 1 },
+            options: [{ name: 'tag', short: 't', value: 'name' }, { name: 'pin' }],
+            handler,
+        });
+
+        assert.deepEqual(registry.parseArguments(command, ['-t', 'work', '--pin', 'a.txt']), {
+            params: ['-t', 'work', '--pin', 'a.txt'],
+            options: { tag: 'work', pin: true },
+            operands: ['a.txt'],
+        });
+        assert.throws(() => registry.parseArguments(command, []));
+        assert.throws(() => registry.parseArguments(command, ['a.txt', 'b.txt']));
+    });
+
+    it('passes all parameters as operands of commands without options', () => {
+        const registry = new CommandRegistry();
+        const command = registry.register({ name: 'say', options: null, handler });
+
+        assert.deepEqual(registry.parseArguments(command, ['-n', 'hi']).operands, ['-n', 'hi']);
+    });
+});
+
+describe('getBuiltinCommands', () => {
+    it('treats built-in commands as not changing files unless they declare it', () => {
+        const commands = new Map(getBuiltinCommands({}).map(command => [command.name, command]));
+
+        assert.equal(commands.get('ls').isMutating, false);
+        assert.equal(commands.get('rm').isMutating, true);
+        assert.ok(commands.get('ls').description);
+    });
+});
+
+describe('loadPlugins', () => {
+    it('loads the plugin modules in name order and reports broken ones', async t => {
+        const dirPath = await createTempDir(t);
+        await writeFiles(dirPath, {
+            'b.mjs': 'export default [{ name: \'b1\' }, { name: \'b2\' }];',
+            'a.js': 'export default { name: \'a\' };',
+            'empty.js': 'export const name = \'empty\';',
+            'broken.js': 'export default {',
+            'notes.txt': 'not a plugin',
+        });
+
+        const { plugins, failed } = await loadPlugins(dirPath);
+
+        assert.deepEqual(plugins.map(({ path: pluginPath, commands }) => [path.basename(pluginPath), commands.map(({ name }) => name)]), [
+            ['a.js', ['a']],
+            ['b.mjs', ['b1', 'b2']],
+        ]);
+        assert.deepEqual(failed.map(({ path: pluginPath }) => path.basename(pluginPath)), ['broken.js', 'empty.js']);
+    });
+
+    it('loads nothing from a missing directory', async t => {
+        const dirPath = await createTempDir(t);
+
+        assert.deepEqual(await loadPlugins(path.join(dirPath, 'plugins')), { plugins: [], failed: [] });
+    });
+});
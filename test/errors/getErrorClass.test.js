@@ -0,0 +1,59 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+
+import {
+    AlreadyExistsError,
+    CancelledError,
+    ERROR_CODES,
+    FileManagerError,
+    InputError,
+    NotFoundError,
+    PermissionDeniedError,
+    getErrorClass,
+} from '../../src/errors/index.js';
+import { createFileManager, createTempDir, writeFiles } from '../helpers.js';
+
+const createSystemError = code => Object.assign(new Error(code), { code });
+
+describe('FileManagerError', () => {
+    it('carries the code of its class and the cause', () => {
+        const cause = createSystemError('ENOENT');
+        const error = new NotFoundError('missing', { cause });
+
+        assert.ok(error instanceof FileManagerError);
+        assert.equal(error.name, 'NotFoundError');
+        assert.equal(error.code, ERROR_CODES.NOT_FOUND);
+        assert.equal(error.cause, cause);
+        assert.equal(new CancelledError('stopped').code, ERROR_CODES.CANCELLED);
+        assert.equal(new FileManagerError('failed').code, ERROR_CODES.UNKNOWN);
+        assert.equal('cause' in new InputError('invalid'), false);
+    });
+});
+
+describe('getErrorClass', () => {
+    it('picks the class by errno code of system errors', () => {
+        assert.equal(getErrorClass(createSystemError('ENOENT')), NotFoundError);
+        assert.equal(getErrorClass(createSystemError('EACCES')), PermissionDeniedError);
+        assert.equal(getErrorClass(createSystemError('EPERM')), PermissionDeniedError);
+        assert.equal(getErrorClass(createSystemError('EEXIST')), AlreadyExistsError);
+        assert.equal(getErrorClass(createSystemError('EIO')), null);
+        assert.equal(getErrorClass(new Error('plain')), null);
+        assert.equal(getErrorClass(undefined), null);
+    });
+
+    it('keeps the class of file manager errors', () => {
+        assert.equal(getErrorClass(new InputError('invalid')), InputError);
+    });
+});
+
+describe('command errors', () => {
+    it('are typed by the system error that caused them', async t => {
+        const dirPath = await createTempDir(t);
+        await writeFiles(dirPath, { 'dir/a.txt': 'a' });
+        const fileManager = createFileManager({ cwd: dirPath });
+
+        await assert.rejects(fileManager.execute('cat missing.txt'), { name: 'NotFoundError', code: ERROR_CODES.NOT_FOUND });
+        await assert.rejects(fileManager.execute('mkdir dir'), AlreadyExistsError);
+        await assert.rejects(fileManager.execute('cd missing'), FileManagerError);
+    });
+});
@@ -0,0 +1,39 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import path from 'node:path';
+
+import { createFileManager, createTempDir, writeFiles } from '../helpers.js';
+
+describe('alias', () => {
+    it('appends the rest of the input to the aliased command', async t => {
+        const dirPath = await createTempDir(t);
+        const fileManager = createFileManager({ cwd: dirPath, args: ['--output=json'] });
+        await writeFiles(dirPath, { 'a.txt': '', '.hidden': '' });
+
+        await fileManager.execute('alias ll=ls -a');
+        const entries = await fileManager.execute('ll');
+
+        assert.deepEqual(entries.map(({ name }) => name), ['.hidden', 'a.txt']);
+    });
+
+    it('keeps the quoting of its parameters', async t => {
+        const dirPath = await createTempDir(t);
+        const fileManager = createFileManager({ cwd: dirPath });
+        await writeFiles(dirPath, { 'My Docs/a.txt': '' });
+
+        const [{ command }] = await fileManager.execute('alias docs=cd "My Docs"');
+        await fileManager.execute('docs');
+
+        assert.equal(command, 'cd "My Docs"');
+        assert.equal(fileManager.currentDir, path.join(dirPath, 'My Docs'));
+    });
+
+    it('takes the quoted text after = as the command', async t => {
+        const dirPath = await createTempDir(t);
+        const fileManager = createFileManager({ cwd: dirPath });
+
+        const [{ command }] = await fileManager.execute('alias ll="ls -l"');
+
+        assert.equal(command, 'ls -l');
+    });
+});
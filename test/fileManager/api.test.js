@@ -0,0 +1,84 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { once } from 'node:events';
+import { PassThrough } from 'node:stream';
+import { readdir } from 'node:fs/promises';
+import path from 'node:path';
+
+import { NotFoundError } from '../../src/errors/index.js';
+import { createFileManager, createTempDir, writeFiles } from '../helpers.js';
+
+describe('execute', () => {
+    it('returns the results of commands', async t => {
+        const dirPath = await createTempDir(t);
+        await writeFiles(dirPath, { 'a.txt': 'a', 'dir/.keep': '' });
+        const fileManager = createFileManager({ cwd: dirPath, args: ['--output=json'] });
+
+        const { succeeded } = await fileManager.execute('cp a.txt dir');
+
+        assert.deepEqual(succeeded, [path.join(dirPath, 'a.txt')]);
+        assert.deepEqual((await readdir(path.join(dirPath, 'dir'))).sort(), ['.keep', 'a.txt']);
+        assert.deepEqual((await fileManager.execute('ls dir')).map(({ name }) => name), ['a.txt']);
+    });
+
+    it('keeps the current directory of every instance apart from the process one', async t => {
+        const dirPath = await createTempDir(t);
+        await writeFiles(dirPath, { 'first/a.txt': 'a', 'second/b.txt': 'b' });
+        const processDir = process.cwd();
+        const first = createFileManager({ cwd: path.join(dirPath, 'first'), args: ['--output=json'] });
+        const second = createFileManager({ cwd: dirPath, args: ['--output=json'] });
+
+        await second.execute('cd second');
+
+        assert.equal(first.currentDir, path.join(dirPath, 'first'));
+        assert.equal(second.currentDir, path.join(dirPath, 'second'));
+        assert.equal(process.cwd(), processDir);
+        assert.equal((await first.execute('cat a.txt')).content, 'a');
+        assert.equal((await second.execute('cat b.txt')).content, 'b');
+    });
+
+    it('reports every command with the command event', async t => {
+        const fileManager = createFileManager({ cwd: await createTempDir(t) });
+        const reports = [];
+        fileManager.on('command', report => reports.push(report));
+
+        await fileManager.execute('mkdir dir');
+        await assert.rejects(fileManager.execute('cat missing.txt'), NotFoundError);
+
+        assert.deepEqual(reports.map(({ command, input, status }) => ({ command, input, status })), [
+            { command: 'mkdir', input: 'mkdir dir', status: 'ok' },
+            { command: 'cat', input: 'cat missing.txt', status: 'error' },
+        ]);
+        assert.equal(reports[0].error, null);
+        assert.ok(reports[1].error instanceof NotFoundError);
+    });
+});
+
+describe('initialize', () => {
+    it('stops listening to SIGINT when the session ends', async t => {
+        const dirPath = await createTempDir(t);
+        const listenerCount = process.listenerCount('SIGINT');
+        const fileManager = createFileManager({ cwd: dirPath, input: process.stdin, args: ['--exec=ls'] });
+
+        const exit = once(fileManager, 'exit');
+        await fileManager.initialize();
+
+        assert.deepEqual(await exit, [0]);
+        assert.equal(process.listenerCount('SIGINT'), listenerCount);
+    });
+
+    it('doesn\'t listen to SIGINT when reading another stream', async t => {
+        const dirPath = await createTempDir(t);
+        const listenerCount = process.listenerCount('SIGINT');
+        const input = new PassThrough();
+        const fileManager = createFileManager({ cwd: dirPath, input });
+
+        const exit = once(fileManager, 'exit');
+        const initialization = fileManager.initialize();
+
+        assert.equal(process.listenerCount('SIGINT'), listenerCount);
+        input.end('ls\n');
+        await initialization;
+        await exit;
+    });
+});
@@ -0,0 +1,73 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { readdir } from 'node:fs/promises';
+import path from 'node:path';
+
+import { createTempDir, runBatchSession, writeFiles } from '../helpers.js';
+
+describe('batch mode', () => {
+    it('runs the commands of --exec in order', async t => {
+        const dirPath = await createTempDir(t);
+
+        const { exitCode, lines } = await runBatchSession({ cwd: dirPath, args: ['--exec=mkdir src; cd src; add a.txt; echo done'] });
+
+        assert.equal(exitCode, 0);
+        assert.deepEqual(lines, ['done']);
+        assert.deepEqual(await readdir(path.join(dirPath, 'src')), ['a.txt']);
+    });
+
+    it('runs the commands of a script file', async t => {
+        const dirPath = await createTempDir(t);
+        await writeFiles(dirPath, { 'setup.fm': '# create the tree\nmkdir docs\nadd docs/readme.md; echo created\n' });
+
+        const { exitCode, lines } = await runBatchSession({ cwd: dirPath, args: [`--script=${path.join(dirPath, 'setup.fm')}`] });
+
+        assert.equal(exitCode, 0);
+        assert.deepEqual(lines, ['created']);
+        assert.deepEqual(await readdir(path.join(dirPath, 'docs')), ['readme.md']);
+    });
+
+    it('stops at the first failed command of piped input', async t => {
+        const dirPath = await createTempDir(t);
+
+        const { exitCode, lines, errorLines } = await runBatchSession({
+            cwd: dirPath,
+            inputLines: ['echo first', 'cat missing.txt', 'echo never'],
+        });
+
+        assert.equal(exitCode, 1);
+        assert.deepEqual(lines, ['first']);
+        assert.match(errorLines[0], /^cat: /);
+    });
+
+    it('goes on after failures with --continue-on-error and still exits with 1', async t => {
+        const dirPath = await createTempDir(t);
+
+        const { exitCode, lines, errorLines } = await runBatchSession({
+            cwd: dirPath,
+            args: ['--exec=cat missing.txt; echo after', '--continue-on-error'],
+        });
+
+        assert.equal(exitCode, 1);
+        assert.equal(errorLines.length, 1);
+        assert.deepEqual(lines, ['after']);
+    });
+
+    it('fails commands that would ask for a confirmation', async t => {
+        const dirPath = await createTempDir(t);
+        await writeFiles(dirPath, { 'a.txt': 'new', 'dest/a.txt': 'old' });
+
+        const { exitCode } = await runBatchSession({ cwd: dirPath, args: ['--exec=cp -i a.txt dest'] });
+
+        assert.equal(exitCode, 1);
+    });
+
+    it('ends the run at .exit', async t => {
+        const dirPath = await createTempDir(t);
+
+        const { exitCode, lines } = await runBatchSession({ cwd: dirPath, inputLines: ['echo first', '.exit', 'echo never'] });
+
+        assert.equal(exitCode, 0);
+        assert.deepEqual(lines, ['first']);
+    });
+});
@@ -0,0 +1,80 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import path from 'node:path';
+
+import { InputError } from '../../src/errors/index.js';
+import { createFileManager, createTempDir, writeFiles } from '../helpers.js';
+
+async function createComparison(testContext) {
+    const dirPath = await createTempDir(testContext);
+    await writeFiles(dirPath, {
+        'a.txt': 'one\ntwo\nthree\n',
+        'b.txt': 'one\n2\nthree\n',
+        'copy.txt': 'one\ntwo\nthree\n',
+        'a.bin': Buffer.from([0x00, 0x01]),
+        'b.bin': Buffer.from([0x00, 0x02]),
+        'old/a.txt': 'a',
+        'old/removed.txt': 'r',
+        'new/a.txt': 'A',
+        'new/added.txt': 'n',
+    });
+
+    return { dirPath, fileManager: createFileManager({ cwd: dirPath }) };
+}
+
+describe('diff', () => {
+    it('prints the differences of text files as a unified diff', async t => {
+        const { fileManager } = await createComparison(t);
+
+        const { isDifferent, lines } = await fileManager.execute('diff -U 0 a.txt b.txt');
+
+        assert.equal(isDifferent, true);
+        assert.deepEqual(lines, ['--- a.txt', '+++ b.txt', '@@ -2 +2 @@', '-two', '+2']);
+        assert.equal((await fileManager.execute('diff a.txt copy.txt')).isDifferent, false);
+    });
+
+    it('only reports whether binary files differ', async t => {
+        const { dirPath, fileManager } = await createComparison(t);
+
+        assert.deepEqual(await fileManager.execute('diff a.bin b.bin'), {
+            paths: [path.join(dirPath, 'a.bin'), path.join(dirPath, 'b.bin')],
+            isDifferent: true,
+            isBinary: true,
+            lines: [],
+        });
+    });
+
+    it('compares directories with -r', async t => {
+        const { fileManager } = await createComparison(t);
+
+        const { entries } = await fileManager.execute('diff -r old new');
+
+        assert.deepEqual(entries, [
+            { path: 'a.txt', status: 'CHANGED' },
+            { path: 'added.txt', status: 'ADDED' },
+            { path: 'removed.txt', status: 'REMOVED' },
+        ]);
+        await assert.rejects(fileManager.execute('diff old new'), InputError);
+        await assert.rejects(fileManager.execute('diff -r old a.txt'), InputError);
+    });
+});
+
+describe('cmp', () => {
+    it('prints the first differing byte and its line', async t => {
+        const { fileManager } = await createComparison(t);
+
+        const { isDifferent, byte, line } = await fileManager.execute('cmp a.txt b.txt');
+
+        assert.deepEqual({ isDifferent, byte, line }, { isDifferent: true, byte: 5, line: 2 });
+        assert.equal((await fileManager.execute('cmp a.txt copy.txt')).isDifferent, false);
+    });
+
+    it('reports the file that ends first', async t => {
+        const { dirPath, fileManager } = await createComparison(t);
+        await writeFiles(dirPath, { 'start.txt': 'one\ntw' });
+
+        const { byte, eofPath } = await fileManager.execute('cmp a.txt start.txt');
+
+        assert.deepEqual({ byte, eofPath }, { byte: 6, eofPath: path.join(dirPath, 'start.txt') });
+    });
+});
@@ -0,0 +1,82 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { readdir, readFile } from 'node:fs/promises';
+import path from 'node:path';
+
+import { NotFoundError } from '../../src/errors/index.js';
+import { createFileManager, createTempDir, writeFiles } from '../helpers.js';
+
+const readText = filePath => readFile(filePath, 'utf8');
+
+describe('add', () => {
+    it('creates a file with the given content', async t => {
+        const dirPath = await createTempDir(t);
+        const fileManager = createFileManager({ cwd: dirPath });
+
+        await fileManager.execute('add todo.txt --content="buy milk"');
+        await fileManager.execute('add empty.txt');
+
+        assert.equal(await readText(path.join(dirPath, 'todo.txt')), 'buy milk');
+        assert.equal(await readText(path.join(dirPath, 'empty.txt')), '');
+    });
+});
+
+describe('output redirection', () => {
+    it('writes or appends the output of a command to a file', async t => {
+        const dirPath = await createTempDir(t);
+        await writeFiles(dirPath, { 'a.txt': 'a' });
+        const fileManager = createFileManager({ cwd: dirPath });
+
+        await fileManager.execute('echo "first line" > "my notes.txt"');
+        await fileManager.execute('echo second line >> "my notes.txt"');
+        await fileManager.execute('head a.txt >> "my notes.txt"');
+
+        assert.equal(await readText(path.join(dirPath, 'my notes.txt')), 'first line\nsecond line\na\n');
+
+        await fileManager.execute('echo replaced > "my notes.txt"');
+        assert.equal(await readText(path.join(dirPath, 'my notes.txt')), 'replaced\n');
+    });
+
+    it('fails before the command runs if the file can\'t be opened', async t => {
+        const dirPath = await createTempDir(t);
+        const fileManager = createFileManager({ cwd: dirPath });
+
+        await assert.rejects(fileManager.execute('mkdir dir > missing/out.txt'), NotFoundError);
+        assert.deepEqual(await readdir(dirPath), []);
+    });
+});
+
+describe('replace', () => {
+    it('replaces text in files, recursively with -r', async t => {
+        const dirPath = await createTempDir(t);
+        await writeFiles(dirPath, { 'a.md': 'TODO: a, todo', 'docs/b.md': 'TODO b', 'docs/c.bin': Buffer.from('TODO\0') });
+        const fileManager = createFileManager({ cwd: dirPath });
+
+        const changes = await fileManager.execute('replace -y -r TODO DONE a.md docs');
+
+        assert.deepEqual(changes, [{ path: path.join(dirPath, 'a.md'), count: 1 }, { path: path.join(dirPath, 'docs/b.md'), count: 1 }]);
+        assert.equal(await readText(path.join(dirPath, 'a.md')), 'DONE: a, todo');
+        assert.equal(await readText(path.join(dirPath, 'docs/b.md')), 'DONE b');
+        assert.equal(await readText(path.join(dirPath, 'docs/c.bin')), 'TODO\0');
+    });
+
+    it('supports regular expressions and case-insensitive search', async t => {
+        const dirPath = await createTempDir(t);
+        await writeFiles(dirPath, { 'a.txt': 'v1.0\nV2.0' });
+        const fileManager = createFileManager({ cwd: dirPath });
+
+        await fileManager.execute('replace -y -Ei "v(\\d+)\\.0" "v$1.1" a.txt');
+
+        assert.equal(await readText(path.join(dirPath, 'a.txt')), 'v1.1\nv2.1');
+    });
+
+    it('only previews the changes with --dry-run', async t => {
+        const dirPath = await createTempDir(t);
+        await writeFiles(dirPath, { 'a.txt': 'colour' });
+        const fileManager = createFileManager({ cwd: dirPath });
+
+        await fileManager.execute('replace --dry-run colour color a.txt');
+
+        assert.equal(await readText(path.join(dirPath, 'a.txt')), 'colour');
+    });
+});
@@ -0,0 +1,59 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import path from 'node:path';
+
+import { InputError } from '../../src/errors/index.js';
+import { createFileManager, createTempDir, writeFiles } from '../helpers.js';
+
+async function createViewer(testContext) {
+    const dirPath = await createTempDir(testContext);
+    const lines = Array.from({ length: 15 }, (_, index) => `line ${index + 1}`);
+    await writeFiles(dirPath, { 'a.txt': `${lines.join('\n')}\n`, 'a.bin': Buffer.from([0x00, 0x41, 0x0a]) });
+
+    return { dirPath, lines, fileManager: createFileManager({ cwd: dirPath }) };
+}
+
+describe('head and tail', () => {
+    it('print the first and the last lines of a file', async t => {
+        const { dirPath, lines, fileManager } = await createViewer(t);
+
+        assert.deepEqual(await fileManager.execute('head a.txt'), { path: path.join(dirPath, 'a.txt'), lines: lines.slice(0, 10) });
+        assert.deepEqual((await fileManager.execute('head -n 2 a.txt')).lines, ['line 1', 'line 2']);
+        assert.deepEqual((await fileManager.execute('tail a.txt')).lines, lines.slice(-10));
+        assert.deepEqual((await fileManager.execute('tail --lines=1 a.txt')).lines, ['line 15']);
+    });
+
+    it('skip binary files', async t => {
+        const { fileManager } = await createViewer(t);
+
+        assert.deepEqual((await fileManager.execute('head a.bin')).lines, []);
+        assert.deepEqual((await fileManager.execute('tail a.bin')).lines, []);
+    });
+
+    it('reject an invalid number of lines with the command usage', async t => {
+        const { fileManager } = await createViewer(t);
+
+        for (const [commandLine, usage] of [['head -n many a.txt', 'head '], ['tail -n -1 a.txt', 'tail ']]) {
+            await assert.rejects(fileManager.execute(commandLine), error => {
+                assert.ok(error instanceof InputError);
+                assert.ok(error.message.includes(`Usage: ${usage}`), error.message);
+
+                return true;
+            });
+        }
+    });
+});
+
+describe('hexdump', () => {
+    it('dumps the bytes from an offset in hex, decimal or size units', async t => {
+        const { fileManager } = await createViewer(t);
+
+        const { offset, length, lines } = await fileManager.execute('hexdump -s 0x10 -n 4 a.txt');
+
+        assert.deepEqual({ offset, length }, { offset: 16, length: 4 });
+        assert.deepEqual(lines, ['00000010  6e 65 20 33                                       |ne 3|']);
+        assert.equal((await fileManager.execute('hexdump a.bin')).length, 3);
+        assert.equal((await fileManager.execute('hexdump --offset=1K a.txt')).length, 0);
+        await assert.rejects(fileManager.execute('hexdump -s 0xZZ a.txt'), InputError);
+    });
+});
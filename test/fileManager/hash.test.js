@@ -0,0 +1,64 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { createHash } from 'node:crypto';
+import { readFile, writeFile } from 'node:fs/promises';
+import path from 'node:path';
+
+import { createFileManager, createTempDir, writeFiles } from '../helpers.js';
+
+const getDigest = (algorithm, content, encoding = 'hex') => createHash(algorithm).update(content).digest(encoding);
+
+async function createFiles(testContext) {
+    const dirPath = await createTempDir(testContext);
+    await writeFiles(dirPath, { 'a.iso': 'first image', 'b.iso': 'second image' });
+
+    return { dirPath, fileManager: createFileManager({ cwd: dirPath }) };
+}
+
+describe('hash', () => {
+    it('calculates digests with the chosen algorithm and encoding', async t => {
+        const { dirPath, fileManager } = await createFiles(t);
+
+        assert.deepEqual(await fileManager.execute('hash a.iso'), [
+            { path: path.join(dirPath, 'a.iso'), algorithm: 'sha256', digest: getDigest('sha256', 'first image') },
+        ]);
+        assert.deepEqual((await fileManager.execute('hash --algo=md5 --base64 a.iso b.iso')).map(({ digest }) => digest), [
+            getDigest('md5', 'first image', 'base64'),
+            getDigest('md5', 'second image', 'base64'),
+        ]);
+    });
+
+    it('rejects unknown algorithms', async t => {
+        const { fileManager } = await createFiles(t);
+
+        await assert.rejects(fileManager.execute('hash --algo=crc0 a.iso'));
+    });
+
+    it('writes a manifest that --check verifies', async t => {
+        const { dirPath, fileManager } = await createFiles(t);
+
+        await fileManager.execute('hash --algo=sha1 --manifest *.iso');
+        const manifest = await readFile(path.join(dirPath, 'SHA1SUMS'), 'utf8');
+
+        assert.equal(manifest, `${getDigest('sha1', 'first image')}  a.iso\n${getDigest('sha1', 'second image')}  b.iso\n`);
+        assert.deepEqual(await fileManager.execute('hash --check SHA1SUMS'), [
+            { path: 'a.iso', status: 'OK' },
+            { path: 'b.iso', status: 'OK' },
+        ]);
+    });
+
+    it('reports changed and missing files of a manifest', async t => {
+        const { dirPath, fileManager } = await createFiles(t);
+        await writeFile(path.join(dirPath, 'SHA256SUMS'), [
+            `${getDigest('sha256', 'first image')} *a.iso`,
+            `${getDigest('sha256', 'old image')}  b.iso`,
+            `${getDigest('sha256', 'gone')}  c.iso`,
+        ].join('\n'));
+
+        await assert.rejects(fileManager.execute('hash --check SHA256SUMS'), error => {
+            assert.deepEqual(error.result.map(({ status }) => status), ['OK', 'FAILED', 'MISSING']);
+
+            return true;
+        });
+    });
+});
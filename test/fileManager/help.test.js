@@ -0,0 +1,72 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { InputError } from '../../src/errors/index.js';
+import { createFileManager, createTempDir } from '../helpers.js';
+
+describe('help', () => {
+    it('lists the commands with their descriptions', async t => {
+        const fileManager = createFileManager({ cwd: await createTempDir(t) });
+
+        const commands = await fileManager.execute('help');
+        const names = commands.map(({ name }) => name);
+
+        assert.ok(['ls', 'cp', 'help'].every(name => names.includes(name)));
+        assert.ok(commands.every(({ description }) => description));
+    });
+
+    it('describes the usage, options and examples of a command', async t => {
+        const fileManager = createFileManager({ cwd: await createTempDir(t) });
+
+        const command = await fileManager.execute('help cp');
+
+        assert.equal(command.name, 'cp');
+        assert.equal(command.usage, 'cp [options] source... path_to_new_directory');
+        assert.ok(command.options.some(({ name, short }) => name === 'recursive' && short === 'r'));
+        assert.ok(command.examples.length);
+        assert.equal(command.handler, undefined);
+    });
+
+    it('suggests the closest command names for an unknown one', async t => {
+        const fileManager = createFileManager({ cwd: await createTempDir(t) });
+
+        await assert.rejects(fileManager.execute('help cpp'), error => {
+            assert.ok(error instanceof InputError);
+            assert.match(error.message, /'cp'/);
+
+            return true;
+        });
+        await assert.rejects(fileManager.execute('grpe TODO'), /did you mean 'grep'\?/);
+        await assert.rejects(fileManager.execute('frobnicate'), error => !error.message.includes('did you mean'));
+    });
+});
+
+describe('argument errors', () => {
+    it('are reported with the usage of the command', async t => {
+        const fileManager = createFileManager({ cwd: await createTempDir(t) });
+
+        for (const [commandLine, usage] of [['cd', 'cd path_to_directory'], ['cat a b', 'cat path_to_file'], ['cp --color a b', 'cp [options]']]) {
+            await assert.rejects(fileManager.execute(commandLine), error => {
+                assert.ok(error instanceof InputError);
+                assert.ok(error.message.includes(`Usage: ${usage}`), error.message);
+
+                return true;
+            });
+        }
+    });
+});
+
+describe('language', () => {
+    it('is kept by every file manager on its own', async t => {
+        const cwd = await createTempDir(t);
+        const fileManager = createFileManager({ cwd });
+        const russianFileManager = createFileManager({ cwd, args: ['--lang=ru'] });
+
+        await fileManager.execute('mkdir docs');
+
+        await assert.rejects(fileManager.execute('cat "a'), /Unbalanced quotes/);
+        await assert.rejects(russianFileManager.execute('cat "a'), /Незакрытые кавычки/);
+        await assert.rejects(fileManager.execute('mkdir docs'), /Directory already exists/);
+        await assert.rejects(russianFileManager.execute('mkdir docs'), /Директория уже существует/);
+    });
+});
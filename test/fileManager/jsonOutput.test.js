@@ -0,0 +1,51 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import path from 'node:path';
+
+import { createTempDir, runBatchSession, writeFiles } from '../helpers.js';
+
+async function runJsonSession(testContext, args) {
+    const dirPath = await createTempDir(testContext);
+    await writeFiles(dirPath, { 'notes.txt': 'hello\n', 'image.bin': Buffer.from([0x00, 0xff, 0x10]) });
+
+    const { exitCode, lines } = await runBatchSession({ cwd: dirPath, args: ['--continue-on-error', ...args] });
+
+    return { dirPath, exitCode, reports: lines.map(line => JSON.parse(line)) };
+}
+
+describe('JSON output', () => {
+    it('prints every command as one JSON line with --output=json', async t => {
+        const { dirPath, reports } = await runJsonSession(t, ['--output=json', '--exec=cat notes.txt; cat missing.txt']);
+
+        assert.deepEqual(reports[0], {
+            command: 'cat',
+            status: 'ok',
+            result: {
+                ...reports[0].result,
+                path: path.join(dirPath, 'notes.txt'),
+                size: 6,
+                isBinary: false,
+                encoding: 'utf8',
+                content: 'hello\n',
+            },
+            error: null,
+        });
+        assert.equal(reports[1].status, 'error');
+        assert.equal(reports[1].result, null);
+        assert.equal(reports[1].error.code, 'NOT_FOUND');
+    });
+
+    it('switches single commands to JSON with --json', async t => {
+        const { reports } = await runJsonSession(t, ['--exec=echo plain --json']);
+
+        assert.deepEqual(reports, [{ command: 'echo', status: 'ok', result: 'plain', error: null }]);
+    });
+
+    it('returns binary file content base64-encoded', async t => {
+        const { reports: [{ result }] } = await runJsonSession(t, ['--output=json', '--exec=cat image.bin']);
+
+        assert.equal(result.isBinary, true);
+        assert.equal(result.encoding, 'base64');
+        assert.deepEqual(Buffer.from(result.content, 'base64'), Buffer.from([0x00, 0xff, 0x10]));
+    });
+});
@@ -0,0 +1,48 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { utimes } from 'node:fs/promises';
+import path from 'node:path';
+
+import { InputError } from '../../src/errors/index.js';
+import { createFileManager, createTempDir, writeFiles } from '../helpers.js';
+
+describe('ls', () => {
+    it('sorts entries by the given key, in reverse with -r', async t => {
+        const dirPath = await createTempDir(t);
+        const fileManager = createFileManager({ cwd: dirPath, args: ['--output=json'] });
+        await writeFiles(dirPath, { 'b.txt': 'bbb', 'a.md': 'a', 'c.js': 'cc', '.hidden': '' });
+
+        const getNames = entries => entries.map(({ name }) => name);
+
+        assert.deepEqual(getNames(await fileManager.execute('ls')), ['a.md', 'b.txt', 'c.js']);
+        assert.deepEqual(getNames(await fileManager.execute('ls --sort=size')), ['b.txt', 'c.js', 'a.md']);
+        assert.deepEqual(getNames(await fileManager.execute('ls --sort=extension -r')), ['b.txt', 'a.md', 'c.js']);
+        assert.deepEqual(getNames(await fileManager.execute('ls -a')), ['.hidden', 'a.md', 'b.txt', 'c.js']);
+    });
+
+    it('lists directories first only when sorting by name', async t => {
+        const dirPath = await createTempDir(t);
+        const fileManager = createFileManager({ cwd: dirPath, args: ['--output=json'] });
+        await writeFiles(dirPath, { 'a.txt': 'a', 'dir/.keep': '' });
+        await utimes(path.join(dirPath, 'dir'), new Date(2000, 0, 1), new Date(2000, 0, 1));
+
+        const getNames = entries => entries.map(({ name }) => name);
+
+        assert.deepEqual(getNames(await fileManager.execute('ls')), ['dir', 'a.txt']);
+        assert.deepEqual(getNames(await fileManager.execute('ls --sort=time')), ['a.txt', 'dir']);
+    });
+
+    it('rejects a missing or unknown sort key with the command usage', async t => {
+        const dirPath = await createTempDir(t);
+        const fileManager = createFileManager({ cwd: dirPath });
+
+        for (const commandLine of ['ls --sort', 'ls --sort=color']) {
+            await assert.rejects(fileManager.execute(commandLine), error => {
+                assert.ok(error instanceof InputError);
+                assert.match(error.message, /Usage: ls /);
+
+                return true;
+            });
+        }
+    });
+});
@@ -0,0 +1,96 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { readdir, symlink } from 'node:fs/promises';
+import { createHash } from 'node:crypto';
+import path from 'node:path';
+
+import { PermissionDeniedError } from '../../src/errors/index.js';
+import { createFileManager, createTempDir, runBatchSession, writeFiles } from '../helpers.js';
+
+async function createRoot(testContext, args = []) {
+    const dirPath = await createTempDir(testContext);
+    const rootPath = path.join(dirPath, 'root');
+    await writeFiles(dirPath, { 'root/docs/a.txt': 'a', 'outside/secret.txt': 'secret' });
+
+    return { dirPath, rootPath, fileManager: createFileManager({ cwd: dirPath, args: [`--root=${rootPath}`, ...args] }) };
+}
+
+describe('--root', () => {
+    it('starts in the root and doesn\'t leave it', async t => {
+        const { rootPath, fileManager } = await createRoot(t);
+
+        assert.equal(fileManager.currentDir, rootPath);
+        await assert.rejects(fileManager.execute('cd ..'), PermissionDeniedError);
+        await assert.rejects(fileManager.execute('cat ../outside/secret.txt'), PermissionDeniedError);
+        await assert.rejects(fileManager.execute('cp docs/a.txt ../outside'), PermissionDeniedError);
+        assert.equal(fileManager.currentDir, rootPath);
+    });
+
+    it('doesn\'t list entries outside of the root through glob patterns', async t => {
+        const { dirPath, rootPath, fileManager } = await createRoot(t, ['--readonly']);
+        await symlink(path.join(dirPath, 'outside'), path.join(rootPath, 'link'));
+
+        for (const pattern of [`${dirPath}/outside/*.txt`, '../*/*', 'link/*', '*/s*']) {
+            await assert.rejects(fileManager.execute(`hash ${pattern}`), error => {
+                assert.ok(error instanceof PermissionDeniedError, pattern);
+                assert.ok(error.message.includes(`'${pattern}'`), error.message);
+                assert.ok(!error.message.includes('secret'), error.message);
+
+                return true;
+            });
+        }
+
+        await fileManager.execute('hash */*.txt');
+    });
+
+    it('fails the files of a checksum manifest that are outside the root', async t => {
+        const { rootPath, fileManager } = await createRoot(t);
+        const digest = createHash('sha256').update('secret').digest('hex');
+        await writeFiles(rootPath, { SHA256SUMS: `${digest}  ../outside/secret.txt\n` });
+
+        await assert.rejects(fileManager.execute('hash --check SHA256SUMS'), error => {
+            assert.deepEqual(error.result.map(({ status }) => status), ['FAILED']);
+
+            return true;
+        });
+    });
+});
+
+describe('--readonly', () => {
+    it('disables commands changing files and output redirection', async t => {
+        const { rootPath, fileManager } = await createRoot(t, ['--readonly']);
+
+        for (const commandLine of ['add b.txt', 'mkdir dir', 'rm -r docs', 'cp docs/a.txt docs/b.txt', 'ls > list.txt']) {
+            await assert.rejects(fileManager.execute(commandLine), PermissionDeniedError, commandLine);
+        }
+
+        assert.deepEqual(await readdir(rootPath), ['docs']);
+        assert.deepEqual(await readdir(path.join(rootPath, 'docs')), ['a.txt']);
+    });
+
+    it('keeps commands that only read files', async t => {
+        const { fileManager } = await createRoot(t, ['--readonly']);
+
+        await fileManager.execute('ls docs');
+        await fileManager.execute('cat docs/a.txt');
+        await fileManager.execute('hash docs/a.txt');
+    });
+
+    it('disables plugin commands unless they declare they don\'t change files', async t => {
+        const { dirPath, rootPath } = await createRoot(t);
+        await writeFiles(dirPath, {
+            'plugins/write.js': 'export default { name: \'write-note\', handler: () => \'written\' };',
+            'plugins/read.js': 'export default { name: \'read-note\', isMutating: false, handler: () => \'read\' };',
+        });
+
+        const runCommand = async commandLine => {
+            const args = [`--root=${rootPath}`, '--readonly', `--plugins=${path.join(dirPath, 'plugins')}`, `--exec=${commandLine}`];
+            const { exitCode } = await runBatchSession({ cwd: rootPath, args });
+
+            return exitCode;
+        };
+
+        assert.equal(await runCommand('read-note'), 0);
+        assert.equal(await runCommand('write-note'), 1);
+    });
+});
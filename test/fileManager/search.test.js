@@ -0,0 +1,64 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { utimes } from 'node:fs/promises';
+import path from 'node:path';
+
+import { createFileManager, createTempDir, writeFiles } from '../helpers.js';
+
+const TREE = {
+    'src/index.js': 'import "./lib/util.js";\n// TODO: document\n',
+    'src/lib/util.js': 'export const util = () => {};\n',
+    'src/lib/types.ts': '// todo: remove\nexport type Id = string;\n',
+    'docs/large.md': 'x'.repeat(2048),
+    'docs/image.bin': Buffer.from([0x54, 0x4f, 0x44, 0x4f, 0x00, 0x01]),
+};
+
+async function createTree(testContext) {
+    const dirPath = await createTempDir(testContext);
+    await writeFiles(dirPath, TREE);
+
+    return { dirPath, fileManager: createFileManager({ cwd: dirPath }) };
+}
+
+describe('find', () => {
+    it('filters entries by name, type and depth', async t => {
+        const { dirPath, fileManager } = await createTree(t);
+        const toRelative = paths => paths.map(entryPath => path.relative(dirPath, entryPath));
+
+        assert.deepEqual(toRelative(await fileManager.execute('find --name=*.{js,ts} src')), [
+            'src/index.js',
+            'src/lib/types.ts',
+            'src/lib/util.js',
+        ]);
+        assert.deepEqual(toRelative(await fileManager.execute('find --type=d --max-depth=1')), ['', 'docs', 'src']);
+    });
+
+    it('filters entries by size and modification time', async t => {
+        const { dirPath, fileManager } = await createTree(t);
+        const oldDate = new Date('2020-01-01');
+        await utimes(path.join(dirPath, 'src/lib/util.js'), oldDate, oldDate);
+
+        assert.deepEqual(await fileManager.execute('find --type=f --min-size=1K'), [path.join(dirPath, 'docs/large.md')]);
+        assert.deepEqual(await fileManager.execute('find --type=f --older=2021-01-01'), [path.join(dirPath, 'src/lib/util.js')]);
+    });
+});
+
+describe('grep', () => {
+    it('finds matching lines in text files of a tree', async t => {
+        const { dirPath, fileManager } = await createTree(t);
+
+        assert.deepEqual(await fileManager.execute('grep TODO'), [
+            { path: path.join(dirPath, 'src/index.js'), line: 2, text: '// TODO: document' },
+        ]);
+    });
+
+    it('matches regular expressions, ignoring case with -i', async t => {
+        const { dirPath, fileManager } = await createTree(t);
+        const matches = await fileManager.execute('grep -Ei "^// todo:" src');
+
+        assert.deepEqual(matches.map(({ path: filePath, line }) => [path.relative(dirPath, filePath), line]), [
+            ['src/index.js', 2],
+            ['src/lib/types.ts', 1],
+        ]);
+    });
+});
@@ -0,0 +1,93 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { readdir, readFile } from 'node:fs/promises';
+import path from 'node:path';
+
+import { OperationError } from '../../src/errors/index.js';
+import { createFileManager, createTempDir, writeFiles } from '../helpers.js';
+
+/**
+ * The trash of a sandboxed file manager is kept in its root, so the tests don't touch the home directory.
+ */
+async function createSandbox(testContext, files) {
+    const dirPath = await createTempDir(testContext);
+    await writeFiles(dirPath, files);
+
+    return { dirPath, fileManager: createFileManager({ cwd: dirPath, args: [`--root=${dirPath}`] }) };
+}
+
+const readText = filePath => readFile(filePath, 'utf8');
+
+describe('trash and undo', () => {
+    it('moves deleted entries to the trash and restores them', async t => {
+        const { dirPath, fileManager } = await createSandbox(t, { 'a.txt': 'a', 'dir/b.txt': 'b' });
+
+        await fileManager.execute('rm -r a.txt dir');
+        assert.deepEqual(await readdir(dirPath), ['.fm_trash']);
+
+        const items = await fileManager.execute('trash list');
+        assert.deepEqual(items.map(({ name }) => name).sort(), ['a.txt', 'dir']);
+
+        await fileManager.execute('undo');
+        assert.equal(await readText(path.join(dirPath, 'a.txt')), 'a');
+        assert.equal(await readText(path.join(dirPath, 'dir/b.txt')), 'b');
+        assert.deepEqual(await fileManager.execute('trash list'), []);
+    });
+
+    it('reports trash items that are missing', async t => {
+        const { fileManager } = await createSandbox(t, { 'a.txt': 'a' });
+
+        await fileManager.execute('rm a.txt');
+
+        await assert.rejects(fileManager.execute('trash restore 0badc0de'), {
+            name: 'NotFoundError',
+            message: /Trash item not found '0badc0de'/,
+        });
+    });
+
+    it('reverts operations one by one, from the last one', async t => {
+        const { dirPath, fileManager } = await createSandbox(t, { 'a.txt': 'a', 'dir/.keep': '' });
+
+        await fileManager.execute('rn a.txt b.txt');
+        await fileManager.execute('cp b.txt dir');
+        await fileManager.execute('undo');
+        assert.deepEqual(await readdir(path.join(dirPath, 'dir')), ['.keep']);
+
+        await fileManager.execute('undo');
+        assert.equal(await readText(path.join(dirPath, 'a.txt')), 'a');
+        await assert.rejects(fileManager.execute('undo'), OperationError);
+    });
+
+    it('restores a file overwritten by cp -f', async t => {
+        const { dirPath, fileManager } = await createSandbox(t, { 'a.txt': 'new', 'dir/a.txt': 'old' });
+
+        await fileManager.execute('cp -f a.txt dir');
+        assert.equal(await readText(path.join(dirPath, 'dir/a.txt')), 'new');
+
+        await fileManager.execute('undo');
+        assert.equal(await readText(path.join(dirPath, 'dir/a.txt')), 'old');
+        assert.equal(await readText(path.join(dirPath, 'a.txt')), 'new');
+    });
+
+    it('restores a directory replaced by mv -f', async t => {
+        const { dirPath, fileManager } = await createSandbox(t, { 'src/dir/new.txt': 'new', 'dest/dir/old.txt': 'old' });
+
+        await fileManager.execute('mv -f src/dir dest');
+        assert.deepEqual(await readdir(path.join(dirPath, 'dest/dir')), ['new.txt']);
+
+        const { succeeded } = await fileManager.execute('undo');
+        assert.deepEqual(succeeded, [path.join(dirPath, 'dest/dir')]);
+        assert.deepEqual(await readdir(path.join(dirPath, 'dest/dir')), ['old.txt']);
+        assert.deepEqual(await readdir(path.join(dirPath, 'src/dir')), ['new.txt']);
+    });
+
+    it('restores a file replaced by rn -f', async t => {
+        const { dirPath, fileManager } = await createSandbox(t, { 'a.txt': 'a', 'b.txt': 'b' });
+
+        await fileManager.execute('rn -f a.txt b.txt');
+        await fileManager.execute('undo');
+
+        assert.equal(await readText(path.join(dirPath, 'a.txt')), 'a');
+        assert.equal(await readText(path.join(dirPath, 'b.txt')), 'b');
+    });
+});
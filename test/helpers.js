@@ -0,0 +1,66 @@
+import { mkdir, mkdtemp, rm, writeFile } from 'node:fs/promises';
+import os from 'node:os';
+import path from 'node:path';
+import { PassThrough, Readable } from 'node:stream';
+import { createInterface } from 'node:readline';
+import { once } from 'node:events';
+
+import { FileManager } from '../src/fileManager.js';
+
+/**
+ * Creates a temporary directory that is removed after the test.
+ */
+export const createTempDir = async testContext => {
+    const dirPath = await mkdtemp(path.join(os.tmpdir(), 'fm-test-'));
+    testContext.after(() => rm(dirPath, { recursive: true, force: true }));
+
+    return dirPath;
+};
+
+/**
+ * Writes files by their paths relative to `dirPath`, creating the missing directories.
+ */
+export const writeFiles = async (dirPath, contents) => {
+    for (const [relativePath, content] of Object.entries(contents)) {
+        const filePath = path.join(dirPath, relativePath);
+
+        await mkdir(path.dirname(filePath), { recursive: true });
+        await writeFile(filePath, content);
+    }
+};
+
+/**
+ * Creates a file manager with English messages, its output is discarded unless output streams are given.
+ */
+export const createFileManager = ({
+    cwd,
+    args = [],
+    input = Readable.from([]),
+    output = new PassThrough().resume(),
+    errorOutput = output,
+}) => {
+    return new FileManager({ input, output, errorOutput, cwd, args: ['--lang=en', ...args] });
+};
+
+/**
+ * Runs a batch session and resolves with its exit code and the lines written to the output and the error output.
+ */
+export const runBatchSession = async ({ cwd, args = [], inputLines = [] }) => {
+    const [output, errorOutput] = [new PassThrough(), new PassThrough()];
+    const [lines, errorLines] = [[], []];
+    const input = Readable.from(inputLines.map(line => `${line}\n`));
+    const fileManager = createFileManager({ cwd, args, input, output, errorOutput });
+
+    createInterface({ input: output }).on('line', line => lines.push(line));
+    createInterface({ input: errorOutput }).on('line', line => errorLines.push(line));
+
+    const exiting = once(fileManager, 'exit');
+    await fileManager.initialize();
+    const [exitCode] = await exiting;
+
+    output.end();
+    errorOutput.end();
+    await Promise.all([once(output, 'end'), once(errorOutput, 'end')]);
+
+    return { exitCode, lines, errorLines };
+};
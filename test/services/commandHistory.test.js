@@ -0,0 +1,57 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFile } from 'node:fs/promises';
+import path from 'node:path';
+
+import { loadCommandHistory } from '../../src/services/loadCommandHistory.js';
+import { saveHistoryEntry } from '../../src/services/saveHistoryEntry.js';
+import { getPathCompletions } from '../../src/services/getPathCompletions.js';
+import { createTempDir, writeFiles } from '../helpers.js';
+
+describe('command history', () => {
+    it('starts empty without a history file', async t => {
+        const dirPath = await createTempDir(t);
+
+        assert.deepEqual(await loadCommandHistory(path.join(dirPath, '.fm_history'), 10), []);
+    });
+
+    it('loads the saved entries, oldest first', async t => {
+        const dirPath = await createTempDir(t);
+        const historyPath = path.join(dirPath, '.fm_history');
+
+        await saveHistoryEntry(historyPath, 'ls');
+        await saveHistoryEntry(historyPath, 'cd src');
+
+        assert.deepEqual(await loadCommandHistory(historyPath, 10), ['ls', 'cd src']);
+    });
+
+    it('trims the history file to the most recent entries', async t => {
+        const dirPath = await createTempDir(t);
+        const historyPath = path.join(dirPath, '.fm_history');
+        await writeFiles(dirPath, { '.fm_history': 'first\nsecond\r\nthird\n\nfourth\n' });
+
+        assert.deepEqual(await loadCommandHistory(historyPath, 2), ['third', 'fourth']);
+        assert.equal(await readFile(historyPath, 'utf8'), 'third\nfourth\n');
+    });
+});
+
+describe('getPathCompletions', () => {
+    it('completes names in the typed directory, marking directories', async t => {
+        const dirPath = await createTempDir(t);
+        await writeFiles(dirPath, { 'src/index.js': '', 'src/lib/util.js': '', 'setup.fm': '', 'src/.env': '' });
+
+        assert.deepEqual(await getPathCompletions('s', dirPath), ['setup.fm', 'src/']);
+        assert.deepEqual(await getPathCompletions('src/', dirPath), ['src/index.js', 'src/lib/']);
+        assert.deepEqual(await getPathCompletions('src/.', dirPath), ['src/.env']);
+        assert.deepEqual(await getPathCompletions('missing/', dirPath), []);
+    });
+
+    it('suggests nothing outside of the root directory', async t => {
+        const dirPath = await createTempDir(t);
+        await writeFiles(dirPath, { 'root/a.txt': '', 'outside.txt': '' });
+        const rootPath = path.join(dirPath, 'root');
+
+        assert.deepEqual(await getPathCompletions('', rootPath, rootPath), ['a.txt']);
+        assert.deepEqual(await getPathCompletions('../', rootPath, rootPath), []);
+    });
+});
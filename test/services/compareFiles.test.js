@@ -0,0 +1,72 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { symlink } from 'node:fs/promises';
+import path from 'node:path';
+
+import { compareFiles } from '../../src/services/compareFiles.js';
+import { compareDirectories, DIFF_STATUSES } from '../../src/services/compareDirectories.js';
+import { createTempDir, writeFiles } from '../helpers.js';
+
+describe('compareFiles', () => {
+    it('finds the first differing byte and its line', async t => {
+        const dirPath = await createTempDir(t);
+        await writeFiles(dirPath, { 'a.txt': 'a\nb\nc', 'b.txt': 'a\nB\nc', 'c.txt': 'a\nb\nc' });
+        const [aPath, bPath, cPath] = ['a.txt', 'b.txt', 'c.txt'].map(name => path.join(dirPath, name));
+
+        assert.deepEqual(await compareFiles(aPath, bPath), { byte: 3, line: 2, eofPath: null });
+        assert.equal(await compareFiles(aPath, cPath), null);
+    });
+
+    it('reports the shorter file if one is the start of the other', async t => {
+        const dirPath = await createTempDir(t);
+        const longContent = 'x'.repeat(100000);
+        await writeFiles(dirPath, { 'long.txt': `${longContent}\nend`, 'short.txt': longContent });
+        const [longPath, shortPath] = ['long.txt', 'short.txt'].map(name => path.join(dirPath, name));
+
+        assert.deepEqual(await compareFiles(longPath, shortPath), { byte: 100000, line: 1, eofPath: shortPath });
+    });
+});
+
+describe('compareDirectories', () => {
+    it('lists added, removed and changed entries by relative path', async t => {
+        const dirPath = await createTempDir(t);
+        await writeFiles(dirPath, {
+            'old/same.txt': 'same',
+            'old/size.txt': 'a',
+            'old/digest.txt': 'a',
+            'old/removed/a.txt': 'a',
+            'old/type': 'file',
+            'new/same.txt': 'same',
+            'new/size.txt': 'aa',
+            'new/digest.txt': 'b',
+            'new/added/a.txt': 'a',
+            'new/type/.keep': '',
+        });
+        await symlink('same.txt', path.join(dirPath, 'old/link'));
+        await symlink('size.txt', path.join(dirPath, 'new/link'));
+
+        const differences = await compareDirectories(path.join(dirPath, 'old'), path.join(dirPath, 'new'), {});
+
+        assert.deepEqual(differences, [
+            { path: 'added', status: DIFF_STATUSES.ADDED },
+            { path: 'digest.txt', status: DIFF_STATUSES.CHANGED },
+            { path: 'link', status: DIFF_STATUSES.CHANGED },
+            { path: 'removed', status: DIFF_STATUSES.REMOVED },
+            { path: 'size.txt', status: DIFF_STATUSES.CHANGED },
+            { path: 'type', status: DIFF_STATUSES.CHANGED },
+        ]);
+    });
+
+    it('compares the directories that the operands link to', async t => {
+        const dirPath = await createTempDir(t);
+        await writeFiles(dirPath, { 'old/a.txt': 'a', 'new/a.txt': 'b', 'new/b.txt': 'b' });
+        await symlink('old', path.join(dirPath, 'link'));
+
+        const differences = await compareDirectories(path.join(dirPath, 'link'), path.join(dirPath, 'new'), {});
+
+        assert.deepEqual(differences, [
+            { path: 'a.txt', status: DIFF_STATUSES.CHANGED },
+            { path: 'b.txt', status: DIFF_STATUSES.ADDED },
+        ]);
+    });
+});
@@ -0,0 +1,62 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFile, rename } from 'node:fs/promises';
+import path from 'node:path';
+import { brotliCompressSync, deflateSync, gzipSync } from 'node:zlib';
+
+import { detectCompressionFormat, COMPRESSION_FORMATS } from '../../src/services/compressionFormats.js';
+import { compressFile } from '../../src/services/compressFile.js';
+import { decompressFile } from '../../src/services/decompressFile.js';
+import { createTempDir, writeFiles } from '../helpers.js';
+
+const CONTENT = 'compressed content\n'.repeat(100);
+
+describe('detectCompressionFormat', () => {
+    it('detects gzip by its magic bytes whatever the extension', async t => {
+        const dirPath = await createTempDir(t);
+        await writeFiles(dirPath, { 'data.br': gzipSync(CONTENT), 'data': gzipSync(CONTENT) });
+
+        assert.equal(await detectCompressionFormat(path.join(dirPath, 'data.br')), 'gzip');
+        assert.equal(await detectCompressionFormat(path.join(dirPath, 'data')), 'gzip');
+    });
+
+    it('trusts the extension over the weak zlib header', async t => {
+        const dirPath = await createTempDir(t);
+        await writeFiles(dirPath, { 'data.br': Buffer.from([0x78, 0x9c, 0x00]), 'data.zz': brotliCompressSync(CONTENT) });
+
+        assert.equal(await detectCompressionFormat(path.join(dirPath, 'data.br')), 'br');
+        assert.equal(await detectCompressionFormat(path.join(dirPath, 'data.zz')), 'deflate');
+    });
+
+    it('detects deflate by the zlib header without a known extension', async t => {
+        const dirPath = await createTempDir(t);
+        await writeFiles(dirPath, { 'data.bin': deflateSync(CONTENT) });
+
+        assert.equal(await detectCompressionFormat(path.join(dirPath, 'data.bin')), 'deflate');
+    });
+
+    it('falls back to brotli for unrecognized files', async t => {
+        const dirPath = await createTempDir(t);
+        await writeFiles(dirPath, { 'data.bin': brotliCompressSync(CONTENT), 'empty': '' });
+
+        assert.equal(await detectCompressionFormat(path.join(dirPath, 'data.bin')), 'br');
+        assert.equal(await detectCompressionFormat(path.join(dirPath, 'empty')), 'br');
+    });
+});
+
+describe('compressFile and decompressFile', () => {
+    for (const [format, { extension }] of Object.entries(COMPRESSION_FORMATS)) {
+        it(`restore the original content compressed with ${format}`, async t => {
+            const dirPath = await createTempDir(t);
+            const sourcePath = path.join(dirPath, 'data.txt');
+            await writeFiles(dirPath, { 'data.txt': CONTENT });
+
+            const compressedPath = await compressFile(sourcePath, dirPath, { format, level: 1 });
+            assert.equal(compressedPath, `${sourcePath}${extension}`);
+
+            await rename(sourcePath, path.join(dirPath, 'original.txt'));
+            assert.equal(await decompressFile(compressedPath, dirPath), sourcePath);
+            assert.equal(await readFile(sourcePath, 'utf8'), CONTENT);
+        });
+    }
+});
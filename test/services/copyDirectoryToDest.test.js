@@ -0,0 +1,78 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { chmod, lstat, readdir, readFile, readlink, stat, symlink } from 'node:fs/promises';
+import path from 'node:path';
+
+import { copyDirectoryToDest } from '../../src/services/copyDirectoryToDest.js';
+import { CONFLICT_ACTIONS } from '../../src/services/resolveTargetConflict.js';
+import { deleteDirectory } from '../../src/services/deleteDirectory.js';
+import { createTempDir, writeFiles } from '../helpers.js';
+
+describe('copyDirectoryToDest', () => {
+    it('copies a directory tree with modes, keeping links as links', async t => {
+        const dirPath = await createTempDir(t);
+        await writeFiles(dirPath, { 'src/a.txt': 'a', 'src/nested/b.txt': 'b', 'src/empty/.keep': '', 'dest/.keep': '' });
+        await chmod(path.join(dirPath, 'src/a.txt'), 0o600);
+        await symlink('nested/b.txt', path.join(dirPath, 'src/link.txt'));
+
+        const summary = await copyDirectoryToDest(path.join(dirPath, 'src'), path.join(dirPath, 'dest'));
+
+        assert.deepEqual(summary.failed, []);
+        assert.equal(await readFile(path.join(dirPath, 'dest/src/nested/b.txt'), 'utf8'), 'b');
+        assert.equal(await readlink(path.join(dirPath, 'dest/src/link.txt')), 'nested/b.txt');
+        assert.equal((await stat(path.join(dirPath, 'dest/src/a.txt'))).mode & 0o777, 0o600);
+        assert.deepEqual(await readdir(path.join(dirPath, 'dest/src/empty')), ['.keep']);
+    });
+
+    it('follows links with dereference', async t => {
+        const dirPath = await createTempDir(t);
+        await writeFiles(dirPath, { 'data/b.txt': 'b', 'src/.keep': '', 'dest/.keep': '' });
+        await symlink(path.join(dirPath, 'data'), path.join(dirPath, 'src/data'));
+
+        await copyDirectoryToDest(path.join(dirPath, 'src'), path.join(dirPath, 'dest'), { dereference: true });
+
+        assert.equal((await lstat(path.join(dirPath, 'dest/src/data'))).isDirectory(), true);
+        assert.equal(await readFile(path.join(dirPath, 'dest/src/data/b.txt'), 'utf8'), 'b');
+    });
+
+    it('rejects copying a directory into itself', async t => {
+        const dirPath = await createTempDir(t);
+        await writeFiles(dirPath, { 'src/a.txt': 'a' });
+
+        await assert.rejects(copyDirectoryToDest(path.join(dirPath, 'src'), path.join(dirPath, 'src/nested')));
+        assert.deepEqual(await readdir(path.join(dirPath, 'src')), ['a.txt']);
+    });
+
+    it('merges into existing directories when existing targets are skipped', async t => {
+        const dirPath = await createTempDir(t);
+        await writeFiles(dirPath, {
+            'src/a.txt': 'new',
+            'src/nested/b.txt': 'b',
+            'dest/src/a.txt': 'old',
+            'dest/src/nested/.keep': '',
+        });
+
+        const summary = await copyDirectoryToDest(path.join(dirPath, 'src'), path.join(dirPath, 'dest'), {
+            onConflict: () => CONFLICT_ACTIONS.SKIP,
+        });
+
+        assert.deepEqual(summary.skipped, [path.join(dirPath, 'src/a.txt')]);
+        assert.equal(await readFile(path.join(dirPath, 'dest/src/a.txt'), 'utf8'), 'old');
+        assert.equal(await readFile(path.join(dirPath, 'dest/src/nested/b.txt'), 'utf8'), 'b');
+    });
+});
+
+describe('deleteDirectory', () => {
+    it('deletes a tree without following links out of it', async t => {
+        const dirPath = await createTempDir(t);
+        await writeFiles(dirPath, { 'dir/a.txt': 'a', 'dir/nested/b.txt': 'b', 'outside/c.txt': 'c' });
+        await symlink(path.join(dirPath, 'outside'), path.join(dirPath, 'dir/link'));
+
+        const summary = await deleteDirectory(path.join(dirPath, 'dir'));
+
+        assert.deepEqual(summary.failed, []);
+        assert.ok(summary.succeeded.includes(path.join(dirPath, 'dir')));
+        assert.deepEqual((await readdir(dirPath)).sort(), ['outside']);
+        assert.deepEqual(await readdir(path.join(dirPath, 'outside')), ['c.txt']);
+    });
+});
@@ -0,0 +1,38 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { readdir, readFile } from 'node:fs/promises';
+import path from 'node:path';
+
+import { copyFileToDest } from '../../src/services/copyFileToDest.js';
+import { createTempDir, writeFiles } from '../helpers.js';
+
+const OPEN_FILES_DIR = '/proc/self/fd';
+
+describe('copyFileToDest', () => {
+    it('copies a file into a directory', async t => {
+        const dirPath = await createTempDir(t);
+        await writeFiles(dirPath, { 'a.txt': 'a', 'dest/.keep': '' });
+
+        const copiedPath = await copyFileToDest(path.join(dirPath, 'a.txt'), path.join(dirPath, 'dest'));
+
+        assert.equal(copiedPath, path.join(dirPath, 'dest/a.txt'));
+        assert.equal(await readFile(copiedPath, 'utf8'), 'a');
+    });
+
+    it('closes the source when the copy can\'t be created', async t => {
+        const openFiles = await readdir(OPEN_FILES_DIR).catch(() => null);
+
+        if (!openFiles) {
+            t.skip(`${OPEN_FILES_DIR} isn't available`);
+
+            return;
+        }
+
+        const dirPath = await createTempDir(t);
+        await writeFiles(dirPath, { 'a.txt': 'a' });
+
+        await assert.rejects(copyFileToDest(path.join(dirPath, 'a.txt'), path.join(dirPath, 'missing')), { code: 'ENOENT' });
+
+        assert.equal((await readdir(OPEN_FILES_DIR)).length, openFiles.length);
+    });
+});
@@ -0,0 +1,46 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import path from 'node:path';
+
+import { dumpFileHex } from '../../src/services/dumpFileHex.js';
+import { isBinaryFile } from '../../src/services/isBinaryFile.js';
+import { createTempDir, writeFiles } from '../helpers.js';
+
+describe('dumpFileHex', () => {
+    it('dumps bytes in the canonical hexdump format', async t => {
+        const dirPath = await createTempDir(t);
+        await writeFiles(dirPath, { 'a.bin': Buffer.from('Hello, hexdump!\n\x00\x01\xff', 'latin1') });
+        const lines = [];
+
+        const length = await dumpFileHex(path.join(dirPath, 'a.bin'), { onLine: line => lines.push(line) });
+
+        assert.equal(length, 19);
+        assert.deepEqual(lines, [
+            '00000000  48 65 6c 6c 6f 2c 20 68  65 78 64 75 6d 70 21 0a  |Hello, hexdump!.|',
+            '00000010  00 01 ff                                          |...|',
+        ]);
+    });
+
+    it('dumps the part of a file given by offset and length', async t => {
+        const dirPath = await createTempDir(t);
+        await writeFiles(dirPath, { 'a.txt': 'abcdefghijklmnopqrstuvwxyz' });
+        const lines = [];
+
+        const length = await dumpFileHex(path.join(dirPath, 'a.txt'), { offset: 20, length: 100, onLine: line => lines.push(line) });
+
+        assert.equal(length, 6);
+        assert.deepEqual(lines, ['00000014  75 76 77 78 79 7a                                 |uvwxyz|']);
+        assert.equal(await dumpFileHex(path.join(dirPath, 'a.txt'), { offset: 26, onLine: line => lines.push(line) }), 0);
+    });
+});
+
+describe('isBinaryFile', () => {
+    it('detects NUL bytes at the start of a file', async t => {
+        const dirPath = await createTempDir(t);
+        await writeFiles(dirPath, { 'a.txt': 'текст\n', 'a.bin': Buffer.from([0x89, 0x50, 0x00, 0x47]), 'empty.txt': '' });
+
+        assert.equal(await isBinaryFile(path.join(dirPath, 'a.txt')), false);
+        assert.equal(await isBinaryFile(path.join(dirPath, 'a.bin')), true);
+        assert.equal(await isBinaryFile(path.join(dirPath, 'empty.txt')), false);
+    });
+});
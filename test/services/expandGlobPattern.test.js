@@ -0,0 +1,95 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { readdir } from 'node:fs/promises';
+
+import { expandGlobPattern, isGlobPattern, getLiteralPath, getNameMatcher } from '../../src/services/expandGlobPattern.js';
+import { createFileManager, createTempDir, writeFiles } from '../helpers.js';
+
+const TREE = {
+    'a.log': '',
+    'b.log': '',
+    'c.txt': '',
+    '.hidden.log': '',
+    'src/index.js': '',
+    'src/lib/util.js': '',
+    'src/lib/util.ts': '',
+};
+
+describe('isGlobPattern', () => {
+    it('detects wildcards and brace alternatives', () => {
+        assert.equal(isGlobPattern('*.log'), true);
+        assert.equal(isGlobPattern('file?.txt'), true);
+        assert.equal(isGlobPattern('src/**/*.js'), true);
+        assert.equal(isGlobPattern('{a,b}.txt'), true);
+    });
+
+    it('ignores plain paths, escaped wildcards and braces without alternatives', () => {
+        assert.equal(isGlobPattern('src/index.js'), false);
+        assert.equal(isGlobPattern('report\\*.txt'), false);
+        assert.equal(isGlobPattern('{a}.txt'), false);
+    });
+});
+
+describe('getLiteralPath', () => {
+    it('removes the escapes of glob characters', () => {
+        assert.equal(getLiteralPath('report\\*\\{1\\}.txt'), 'report*{1}.txt');
+    });
+});
+
+describe('getNameMatcher', () => {
+    it('matches names against wildcards and alternatives', () => {
+        const isMatch = getNameMatcher('*.{js,ts}');
+
+        assert.equal(isMatch('util.js'), true);
+        assert.equal(isMatch('util.ts'), true);
+        assert.equal(isMatch('util.json'), false);
+    });
+});
+
+describe('expandGlobPattern', () => {
+    it('matches names in the current directory, skipping hidden ones', async t => {
+        const dirPath = await createTempDir(t);
+        await writeFiles(dirPath, TREE);
+
+        assert.deepEqual(await expandGlobPattern('*.log', dirPath), ['a.log', 'b.log']);
+        assert.deepEqual(await expandGlobPattern('.*.log', dirPath), ['.hidden.log']);
+    });
+
+    it('matches nested directories with ** and alternatives with braces', async t => {
+        const dirPath = await createTempDir(t);
+        await writeFiles(dirPath, TREE);
+
+        assert.deepEqual(await expandGlobPattern('src/**/*.js', dirPath), ['src/index.js', 'src/lib/util.js']);
+        assert.deepEqual(await expandGlobPattern('src/lib/util.{js,ts,md}', dirPath), ['src/lib/util.js', 'src/lib/util.ts']);
+    });
+
+    it('returns nothing when no entry matches', async t => {
+        const dirPath = await createTempDir(t);
+        await writeFiles(dirPath, TREE);
+
+        assert.deepEqual(await expandGlobPattern('*.md', dirPath), []);
+    });
+});
+
+describe('glob arguments of commands', () => {
+    it('expands unquoted patterns and takes quoted ones literally', async t => {
+        const dirPath = await createTempDir(t);
+        const fileManager = createFileManager({ cwd: dirPath });
+        await writeFiles(dirPath, { '*.log': '', 'a.log': '', 'b.log': '' });
+
+        await fileManager.execute('rm -y --permanent "*.log"');
+        assert.deepEqual((await readdir(dirPath)).sort(), ['a.log', 'b.log']);
+
+        await fileManager.execute('rm -y --permanent *.log');
+        assert.deepEqual(await readdir(dirPath), []);
+    });
+
+    it('takes escaped wildcards literally', async t => {
+        const dirPath = await createTempDir(t);
+        const fileManager = createFileManager({ cwd: dirPath });
+        await writeFiles(dirPath, { 'report*.txt': '', 'report1.txt': '' });
+
+        await fileManager.execute('rm report\\*.txt --permanent');
+        assert.deepEqual(await readdir(dirPath), ['report1.txt']);
+    });
+});
@@ -0,0 +1,76 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { DIFF_OPERATIONS, formatUnifiedDiff, getDiffHunks, getLineDiff, getTextLines } from '../../src/services/getLineDiff.js';
+
+const getUnifiedDiff = (oldText, newText, contextSize) => {
+    const hunks = getDiffHunks(getLineDiff(getTextLines(oldText), getTextLines(newText)), contextSize);
+
+    return formatUnifiedDiff('old.txt', 'new.txt', hunks);
+};
+
+describe('getTextLines', () => {
+    it('keeps line breaks, so a missing last one is visible', () => {
+        assert.deepEqual(getTextLines('a\nb\n'), ['a\n', 'b\n']);
+        assert.deepEqual(getTextLines('a\n\nb'), ['a\n', '\n', 'b']);
+        assert.deepEqual(getTextLines(''), []);
+    });
+});
+
+describe('getLineDiff', () => {
+    it('finds the shortest edit script', () => {
+        const operations = getLineDiff(['a', 'b', 'c', 'a', 'b', 'b', 'a'], ['c', 'b', 'a', 'b', 'a', 'c']);
+        const edits = operations.filter(({ type }) => type !== DIFF_OPERATIONS.EQUAL);
+
+        assert.equal(edits.length, 5);
+        assert.deepEqual(operations.filter(({ type }) => type !== DIFF_OPERATIONS.INSERT).map(({ text }) => text), ['a', 'b', 'c', 'a', 'b', 'b', 'a']);
+        assert.deepEqual(operations.filter(({ type }) => type !== DIFF_OPERATIONS.DELETE).map(({ text }) => text), ['c', 'b', 'a', 'b', 'a', 'c']);
+    });
+
+    it('covers equal and completely different lists', () => {
+        assert.deepEqual(getLineDiff(['a'], ['a']), [{ type: DIFF_OPERATIONS.EQUAL, text: 'a' }]);
+        assert.deepEqual(getLineDiff(['a'], ['b']), [{ type: DIFF_OPERATIONS.DELETE, text: 'a' }, { type: DIFF_OPERATIONS.INSERT, text: 'b' }]);
+        assert.deepEqual(getLineDiff([], []), []);
+    });
+
+    it('diffs large lists that differ on every line', () => {
+        const oldLines = Array.from({ length: 4000 }, (_, index) => `line ${index}\n`);
+        const newLines = oldLines.map(line => line.toUpperCase());
+
+        const operations = getLineDiff(oldLines, newLines);
+
+        assert.equal(operations.length, 8000);
+        assert.ok(operations.every(({ type }) => type !== DIFF_OPERATIONS.EQUAL));
+    });
+});
+
+describe('formatUnifiedDiff', () => {
+    it('groups changes into hunks with context lines, as diff -u does', () => {
+        const oldText = 'a\nb\nc\nd\ne\nf\ng\nh\ni\nj\n';
+        const newText = 'a\nB\nc\nd\ne\nf\ng\nh\ni\nj\nk';
+
+        assert.deepEqual(getUnifiedDiff(oldText, newText), [
+            '--- old.txt',
+            '+++ new.txt',
+            '@@ -1,5 +1,5 @@',
+            ' a',
+            '-b',
+            '+B',
+            ' c',
+            ' d',
+            ' e',
+            '@@ -8,3 +8,4 @@',
+            ' h',
+            ' i',
+            ' j',
+            '+k',
+            '\\ No newline at end of file',
+        ]);
+    });
+
+    it('merges close changes and numbers hunks without lines on one side', () => {
+        assert.deepEqual(getUnifiedDiff('a\nb\nc\nd\n', 'a\nB\nc\nD\n', 1).slice(2), ['@@ -1,4 +1,4 @@', ' a', '-b', '+B', ' c', '-d', '+D']);
+        assert.deepEqual(getUnifiedDiff('', 'x\n').slice(2), ['@@ -0,0 +1 @@', '+x']);
+        assert.deepEqual(getUnifiedDiff('x\ny\n', 'y\n', 0).slice(2), ['@@ -1 +0,0 @@', '-x']);
+    });
+});
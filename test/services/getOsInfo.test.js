@@ -0,0 +1,51 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import util from 'node:util';
+import os from 'node:os';
+
+import { getOsInfo, OS_PARAMETERS } from '../../src/services/getOsInfo.js';
+import { createFileManager, createTempDir } from '../helpers.js';
+
+describe('getOsInfo', () => {
+    it('returns plain values in raw mode', async t => {
+        const dirPath = await createTempDir(t);
+
+        assert.equal(await getOsInfo('EOL', { isRaw: true }), os.EOL);
+        assert.equal(await getOsInfo('architecture', { isRaw: true }), os.arch());
+        assert.deepEqual(Object.keys(await getOsInfo('memory', { isRaw: true })), ['total', 'free', 'used']);
+
+        const disk = await getOsInfo('disk', { isRaw: true, currentDir: dirPath });
+        assert.equal(disk.path, dirPath);
+        assert.ok(disk.total > 0 && disk.free <= disk.total && disk.used <= disk.total);
+    });
+
+    it('formats values as text', async t => {
+        t.mock.method(os, 'uptime', () => 90061.7);
+        t.mock.method(os, 'totalmem', () => 4 * 1024 ** 3);
+        t.mock.method(os, 'freemem', () => 1024 ** 3);
+        t.mock.method(os, 'loadavg', () => [0.5, 0.25, 1]);
+
+        assert.equal(await getOsInfo('EOL'), util.inspect(os.EOL));
+        assert.equal(await getOsInfo('uptime'), '1 day, 01:01:01');
+        assert.equal(await getOsInfo('memory'), 'Total: 4.0G, used: 3.0G (75%), free: 1.0G');
+        assert.equal(await getOsInfo('loadavg'), '0.50 0.25 1.00 (1, 5 and 15 minutes)');
+    });
+
+    it('rejects unknown parameters', async () => {
+        await assert.rejects(getOsInfo('kernel'));
+        await assert.rejects(getOsInfo('hasOwnProperty'));
+    });
+});
+
+describe('os', () => {
+    it('collects every parameter with --all', async t => {
+        const dirPath = await createTempDir(t);
+        const fileManager = createFileManager({ cwd: dirPath, args: ['--output=json'] });
+
+        const osInfo = await fileManager.execute('os --all');
+
+        assert.deepEqual(Object.keys(osInfo), OS_PARAMETERS);
+        assert.equal(osInfo.disk.path, dirPath);
+        assert.equal(await fileManager.execute('os --homedir'), os.homedir());
+    });
+});
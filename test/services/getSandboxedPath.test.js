@@ -0,0 +1,87 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdir, symlink } from 'node:fs/promises';
+import { createHash } from 'node:crypto';
+import path from 'node:path';
+
+import { getSandboxedPath } from '../../src/services/getSandboxedPath.js';
+import { verifyChecksums, CHECK_STATUSES } from '../../src/services/verifyChecksums.js';
+import { PermissionDeniedError } from '../../src/errors/index.js';
+import { createTempDir, writeFiles } from '../helpers.js';
+
+async function createRoot(testContext) {
+    const dirPath = await createTempDir(testContext);
+    const rootPath = path.join(dirPath, 'root');
+    await writeFiles(dirPath, { 'root/inside.txt': 'inside', 'outside/secret.txt': 'secret' });
+
+    return { dirPath, rootPath };
+}
+
+describe('getSandboxedPath', () => {
+    it('resolves paths inside the root, including ones that don\'t exist yet', async t => {
+        const { rootPath } = await createRoot(t);
+
+        assert.equal(await getSandboxedPath(path.join(rootPath, 'inside.txt'), rootPath), path.join(rootPath, 'inside.txt'));
+        assert.equal(await getSandboxedPath(path.join(rootPath, 'new/file.txt'), rootPath), path.join(rootPath, 'new/file.txt'));
+        assert.equal(await getSandboxedPath(rootPath, rootPath), rootPath);
+    });
+
+    it('rejects paths leaving the root with ..', async t => {
+        const { rootPath } = await createRoot(t);
+
+        await assert.rejects(getSandboxedPath(path.join(rootPath, '../outside/secret.txt'), rootPath), PermissionDeniedError);
+        await assert.rejects(getSandboxedPath(`${rootPath}-sibling`, rootPath), PermissionDeniedError);
+    });
+
+    it('rejects paths leading outside through symbolic links', async t => {
+        const { dirPath, rootPath } = await createRoot(t);
+        await symlink(path.join(dirPath, 'outside'), path.join(rootPath, 'link'));
+        await symlink(path.join(dirPath, 'outside/new.txt'), path.join(rootPath, 'dangling'));
+
+        await assert.rejects(getSandboxedPath(path.join(rootPath, 'link/secret.txt'), rootPath), PermissionDeniedError);
+        await assert.rejects(getSandboxedPath(path.join(rootPath, 'link/new.txt'), rootPath), PermissionDeniedError);
+        await assert.rejects(getSandboxedPath(path.join(rootPath, 'dangling'), rootPath), PermissionDeniedError);
+    });
+
+    it('allows links that stay inside the root', async t => {
+        const { rootPath } = await createRoot(t);
+        await mkdir(path.join(rootPath, 'dir'));
+        await symlink('../inside.txt', path.join(rootPath, 'dir/link.txt'));
+
+        assert.equal(await getSandboxedPath(path.join(rootPath, 'dir/link.txt'), rootPath), path.join(rootPath, 'dir/link.txt'));
+    });
+
+    it('allows any path without a root', async t => {
+        const { rootPath } = await createRoot(t);
+
+        assert.equal(await getSandboxedPath(path.join(rootPath, '../outside')), path.resolve(rootPath, '../outside'));
+    });
+});
+
+describe('verifyChecksums', () => {
+    it('reports files rejected by resolvePath as failed', async t => {
+        const { rootPath } = await createRoot(t);
+        const getDigest = content => createHash('sha256').update(content).digest('hex');
+        const manifestPath = path.join(rootPath, 'SHA256SUMS');
+        await writeFiles(rootPath, {
+            SHA256SUMS: [
+                `${getDigest('inside')}  inside.txt`,
+                `${getDigest('secret')}  ../outside/secret.txt`,
+                `${getDigest('missing')}  missing.txt`,
+            ].join('\n'),
+        });
+
+        const results = [];
+        const counts = await verifyChecksums(manifestPath, {
+            resolvePath: filePath => getSandboxedPath(filePath, rootPath),
+            onResult: (listedPath, status) => results.push([listedPath, status]),
+        });
+
+        assert.deepEqual(results, [
+            ['inside.txt', CHECK_STATUSES.OK],
+            ['../outside/secret.txt', CHECK_STATUSES.FAILED],
+            ['missing.txt', CHECK_STATUSES.MISSING],
+        ]);
+        assert.deepEqual(counts, { OK: 1, FAILED: 1, MISSING: 1 });
+    });
+});
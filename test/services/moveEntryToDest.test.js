@@ -0,0 +1,109 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { lstat, mkdtemp, readdir, readFile, readlink, rm, stat, symlink } from 'node:fs/promises';
+import path from 'node:path';
+
+import { moveEntryToDest } from '../../src/services/moveEntryToDest.js';
+import { CONFLICT_ACTIONS } from '../../src/services/resolveTargetConflict.js';
+import { createTempDir, writeFiles } from '../helpers.js';
+
+// A memory filesystem is usually mounted there, so moves to it cross devices
+const OTHER_DEVICE_DIR = '/dev/shm';
+
+async function createOtherDeviceDir(testContext, dirPath) {
+    const otherStats = await stat(OTHER_DEVICE_DIR).catch(() => null);
+
+    if (!otherStats || otherStats.dev === (await stat(dirPath)).dev) {
+        return null;
+    }
+
+    const otherDirPath = await mkdtemp(path.join(OTHER_DEVICE_DIR, 'fm-test-'));
+    testContext.after(() => rm(otherDirPath, { recursive: true, force: true }));
+
+    return otherDirPath;
+}
+
+describe('moveEntryToDest', () => {
+    it('renames entries within one device', async t => {
+        const dirPath = await createTempDir(t);
+        await writeFiles(dirPath, { 'src/dir/a.txt': 'a', 'dest/.keep': '' });
+        const { ino } = await stat(path.join(dirPath, 'src/dir/a.txt'));
+
+        const summary = await moveEntryToDest(path.join(dirPath, 'src/dir'), path.join(dirPath, 'dest'));
+
+        assert.deepEqual(summary.succeeded, [path.join(dirPath, 'src/dir')]);
+        assert.equal((await stat(path.join(dirPath, 'dest/dir/a.txt'))).ino, ino);
+        assert.deepEqual(await readdir(path.join(dirPath, 'src')), []);
+    });
+
+    it('copies, verifies and deletes entries across devices', async t => {
+        const dirPath = await createTempDir(t);
+        const otherDirPath = await createOtherDeviceDir(t, dirPath);
+
+        if (!otherDirPath) {
+            t.skip(`${OTHER_DEVICE_DIR} isn't on another device`);
+
+            return;
+        }
+
+        await writeFiles(dirPath, { 'dir/a.txt': 'a', 'dir/nested/b.txt': 'b', 'file.txt': 'file' });
+        await symlink('a.txt', path.join(dirPath, 'dir/link.txt'));
+
+        for (const name of ['dir', 'file.txt']) {
+            const summary = await moveEntryToDest(path.join(dirPath, name), otherDirPath);
+            assert.deepEqual(summary.failed, []);
+        }
+
+        assert.deepEqual(await readdir(dirPath), []);
+        assert.deepEqual((await readdir(otherDirPath)).sort(), ['dir', 'file.txt']);
+        assert.equal(await readFile(path.join(otherDirPath, 'dir/nested/b.txt'), 'utf8'), 'b');
+        assert.equal(await readlink(path.join(otherDirPath, 'dir/link.txt')), 'a.txt');
+        assert.equal((await lstat(path.join(otherDirPath, 'file.txt'))).isFile(), true);
+    });
+
+    it('replaces an overwritten target only after the entry is moved', async t => {
+        const dirPath = await createTempDir(t);
+        await writeFiles(dirPath, { 'src/a.txt': 'new', 'dest/a.txt': 'old' });
+        const replaced = [];
+        const onReplace = async targetPath => {
+            replaced.push(await readFile(targetPath, 'utf8'));
+            await rm(targetPath);
+        };
+
+        await moveEntryToDest(path.join(dirPath, 'src/a.txt'), path.join(dirPath, 'dest'), {
+            onConflict: () => CONFLICT_ACTIONS.OVERWRITE,
+            onReplace,
+        });
+
+        assert.deepEqual(replaced, ['old']);
+        assert.deepEqual(await readdir(path.join(dirPath, 'dest')), ['a.txt']);
+        assert.equal(await readFile(path.join(dirPath, 'dest/a.txt'), 'utf8'), 'new');
+    });
+
+    it('keeps an overwritten target when the entry can\'t be moved', async t => {
+        const dirPath = await createTempDir(t);
+        await writeFiles(dirPath, { 'dir/sub/dir/a.txt': 'old' });
+        const onConflict = () => CONFLICT_ACTIONS.OVERWRITE;
+
+        // A directory can't be moved into itself
+        await assert.rejects(moveEntryToDest(path.join(dirPath, 'dir'), path.join(dirPath, 'dir/sub'), { onConflict }));
+
+        assert.deepEqual(await readdir(path.join(dirPath, 'dir/sub')), ['dir']);
+        assert.equal(await readFile(path.join(dirPath, 'dir/sub/dir/a.txt'), 'utf8'), 'old');
+    });
+
+    it('keeps an overwritten target when the entry can\'t be replaced', async t => {
+        const dirPath = await createTempDir(t);
+        await writeFiles(dirPath, { 'src/a.txt': 'new', 'dest/a.txt': 'old' });
+        const onReplace = () => Promise.reject(new Error('Trash is full'));
+
+        await assert.rejects(moveEntryToDest(path.join(dirPath, 'src/a.txt'), path.join(dirPath, 'dest'), {
+            onConflict: () => CONFLICT_ACTIONS.OVERWRITE,
+            onReplace,
+        }), /Trash is full/);
+
+        assert.equal(await readFile(path.join(dirPath, 'src/a.txt'), 'utf8'), 'new');
+        assert.deepEqual(await readdir(path.join(dirPath, 'dest')), ['a.txt']);
+        assert.equal(await readFile(path.join(dirPath, 'dest/a.txt'), 'utf8'), 'old');
+    });
+});
@@ -0,0 +1,91 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { appendFile, truncate } from 'node:fs/promises';
+import { setTimeout } from 'node:timers/promises';
+import path from 'node:path';
+
+import { readTailLines } from '../../src/services/readTailLines.js';
+import { readFileLines } from '../../src/services/readFileLines.js';
+import { followFile } from '../../src/services/followFile.js';
+import { createTempDir, writeFiles } from '../helpers.js';
+
+describe('readTailLines', () => {
+    it('reads the last lines and the file size', async t => {
+        const dirPath = await createTempDir(t);
+        await writeFiles(dirPath, { 'a.txt': 'one\r\ntwo\nthree\n', 'b.txt': 'one\ntwo' });
+
+        assert.deepEqual(await readTailLines(path.join(dirPath, 'a.txt'), 2), { lines: ['two', 'three'], size: 15 });
+        assert.deepEqual((await readTailLines(path.join(dirPath, 'a.txt'), 10)).lines, ['one', 'two', 'three']);
+        assert.deepEqual((await readTailLines(path.join(dirPath, 'b.txt'), 1)).lines, ['two']);
+        assert.deepEqual((await readTailLines(path.join(dirPath, 'b.txt'), 0)).lines, []);
+    });
+
+    it('keeps characters split between chunks of a large file intact', async t => {
+        const dirPath = await createTempDir(t);
+        const lines = Array.from({ length: 40000 }, (_, index) => `строка ${index}`);
+        await writeFiles(dirPath, { 'big.txt': `${lines.join('\n')}\n` });
+
+        assert.deepEqual((await readTailLines(path.join(dirPath, 'big.txt'), 30000)).lines, lines.slice(-30000));
+    });
+});
+
+describe('readFileLines', () => {
+    it('reads lines only as far as they are used', async t => {
+        const dirPath = await createTempDir(t);
+        await writeFiles(dirPath, { 'a.txt': 'one\r\ntwo\nthree' });
+        const lines = [];
+
+        for await (const line of readFileLines(path.join(dirPath, 'a.txt'))) {
+            lines.push(line);
+
+            if (lines.length === 2) {
+                break;
+            }
+        }
+
+        assert.deepEqual(lines, ['one', 'two']);
+        assert.deepEqual(await Array.fromAsync(readFileLines(path.join(dirPath, 'a.txt'))), ['one', 'two', 'three']);
+    });
+});
+
+describe('followFile', () => {
+    it('passes appended data until it is aborted, restarting after truncation', { timeout: 10000 }, async t => {
+        // The file is watched once its current data is read, so changes are made after a pause
+        const WATCH_DELAY = 100;
+
+        const dirPath = await createTempDir(t);
+        const filePath = path.join(dirPath, 'app.log');
+        await writeFiles(dirPath, { 'app.log': 'old\n' });
+        const controller = new AbortController();
+        const chunks = [];
+        let onReceived = null;
+
+        const waitForData = () => new Promise(resolve => { onReceived = resolve; });
+        let received = waitForData();
+        const following = followFile(filePath, {
+            position: 2,
+            signal: controller.signal,
+            onData: chunk => {
+                chunks.push(chunk.toString());
+                onReceived();
+            },
+        });
+
+        await received;
+        await setTimeout(WATCH_DELAY);
+        received = waitForData();
+        await appendFile(filePath, 'new\n');
+        await received;
+
+        await setTimeout(WATCH_DELAY);
+        received = waitForData();
+        await truncate(filePath, 0);
+        await appendFile(filePath, 'r\n');
+        await received;
+
+        controller.abort();
+        await following;
+
+        assert.equal(chunks.join(''), 'd\nnew\nr\n');
+    });
+});
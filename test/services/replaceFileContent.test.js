@@ -0,0 +1,62 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { chmod, link, lstat, readdir, readFile, readlink, stat, symlink } from 'node:fs/promises';
+import path from 'node:path';
+
+import { getReplacedContent, writeReplacedContent } from '../../src/services/replaceFileContent.js';
+import { createTempDir, writeFiles } from '../helpers.js';
+
+describe('getReplacedContent', () => {
+    it('replaces every match and counts them', async t => {
+        const dirPath = await createTempDir(t);
+        await writeFiles(dirPath, { 'a.txt': 'v1.0 and v2.0' });
+        const filePath = path.join(dirPath, 'a.txt');
+
+        assert.deepEqual(await getReplacedContent(filePath, /v(\d)\.0/g, 'v$1.1'), {
+            content: 'v1.0 and v2.0',
+            replacedContent: 'v1.1 and v2.1',
+            count: 2,
+        });
+        assert.equal((await getReplacedContent(filePath, /v1/g, '$&', { isLiteral: true })).replacedContent, '$&.0 and v2.0');
+        assert.deepEqual(await getReplacedContent(filePath, /v3/g, 'v4'), { content: 'v1.0 and v2.0', replacedContent: 'v1.0 and v2.0', count: 0 });
+    });
+});
+
+describe('writeReplacedContent', () => {
+    it('replaces the file content keeping its permissions', async t => {
+        const dirPath = await createTempDir(t);
+        await writeFiles(dirPath, { 'run.sh': 'echo old' });
+        const filePath = path.join(dirPath, 'run.sh');
+        await chmod(filePath, 0o750);
+
+        await writeReplacedContent(filePath, 'echo new');
+
+        assert.equal(await readFile(filePath, 'utf8'), 'echo new');
+        assert.equal((await stat(filePath)).mode & 0o777, 0o750);
+        assert.deepEqual(await readdir(dirPath), ['run.sh']);
+    });
+
+    it('writes the file a symbolic link points to, keeping the link', async t => {
+        const dirPath = await createTempDir(t);
+        await writeFiles(dirPath, { 'data/a.txt': 'old' });
+        await symlink('data/a.txt', path.join(dirPath, 'link.txt'));
+
+        await writeReplacedContent(path.join(dirPath, 'link.txt'), 'new');
+
+        assert.equal((await lstat(path.join(dirPath, 'link.txt'))).isSymbolicLink(), true);
+        assert.equal(await readlink(path.join(dirPath, 'link.txt')), 'data/a.txt');
+        assert.equal(await readFile(path.join(dirPath, 'data/a.txt'), 'utf8'), 'new');
+        assert.deepEqual(await readdir(path.join(dirPath, 'data')), ['a.txt']);
+    });
+
+    it('keeps hard links of the file linked', async t => {
+        const dirPath = await createTempDir(t);
+        await writeFiles(dirPath, { 'a.txt': 'old' });
+        await link(path.join(dirPath, 'a.txt'), path.join(dirPath, 'b.txt'));
+
+        await writeReplacedContent(path.join(dirPath, 'a.txt'), 'new');
+
+        assert.equal(await readFile(path.join(dirPath, 'b.txt'), 'utf8'), 'new');
+        assert.equal((await stat(path.join(dirPath, 'a.txt'))).ino, (await stat(path.join(dirPath, 'b.txt'))).ino);
+    });
+});
@@ -0,0 +1,134 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { readdir, readFile } from 'node:fs/promises';
+import path from 'node:path';
+
+import { resolveTargetConflict, CONFLICT_ACTIONS, TARGET_STATUSES } from '../../src/services/resolveTargetConflict.js';
+import { moveEntryToDest } from '../../src/services/moveEntryToDest.js';
+import { copyDirectoryToDest } from '../../src/services/copyDirectoryToDest.js';
+import { renameFile } from '../../src/services/renameFile.js';
+import { AlreadyExistsError } from '../../src/errors/index.js';
+import { createTempDir, writeFiles } from '../helpers.js';
+
+const overwrite = () => CONFLICT_ACTIONS.OVERWRITE;
+
+describe('resolveTargetConflict', () => {
+    it('frees a missing target without asking', async t => {
+        const dirPath = await createTempDir(t);
+        const onConflict = () => assert.fail('no conflict expected');
+
+        assert.equal(await resolveTargetConflict(null, path.join(dirPath, 'new.txt'), { onConflict }), TARGET_STATUSES.FREE);
+    });
+
+    it('rejects an existing target without a conflict policy', async t => {
+        const dirPath = await createTempDir(t);
+        await writeFiles(dirPath, { 'a.txt': 'a', 'b.txt': 'b' });
+
+        await assert.rejects(resolveTargetConflict(path.join(dirPath, 'a.txt'), path.join(dirPath, 'b.txt')), AlreadyExistsError);
+    });
+
+    it('keeps the target when the entry is skipped', async t => {
+        const dirPath = await createTempDir(t);
+        await writeFiles(dirPath, { 'b.txt': 'b' });
+
+        const status = await resolveTargetConflict(null, path.join(dirPath, 'b.txt'), { onConflict: () => CONFLICT_ACTIONS.SKIP });
+
+        assert.equal(status, TARGET_STATUSES.SKIP);
+        assert.equal(await readFile(path.join(dirPath, 'b.txt'), 'utf8'), 'b');
+    });
+
+    it('renames the target to a backup', async t => {
+        const dirPath = await createTempDir(t);
+        await writeFiles(dirPath, { 'b.txt': 'b' });
+
+        const status = await resolveTargetConflict(null, path.join(dirPath, 'b.txt'), { onConflict: () => CONFLICT_ACTIONS.BACKUP });
+
+        assert.equal(status, TARGET_STATUSES.FREE);
+        assert.deepEqual(await readdir(dirPath), ['b.txt~']);
+    });
+
+    it('deletes an overwritten file', async t => {
+        const dirPath = await createTempDir(t);
+        await writeFiles(dirPath, { 'b.txt': 'b' });
+
+        assert.equal(await resolveTargetConflict(null, path.join(dirPath, 'b.txt'), { onConflict: overwrite }), TARGET_STATUSES.FREE);
+        assert.deepEqual(await readdir(dirPath), []);
+    });
+
+    it('rejects writing a file onto itself', async t => {
+        const dirPath = await createTempDir(t);
+        const filePath = path.join(dirPath, 'a.txt');
+        await writeFiles(dirPath, { 'a.txt': 'a' });
+
+        await assert.rejects(resolveTargetConflict(filePath, filePath, { onConflict: overwrite }));
+        assert.equal(await readFile(filePath, 'utf8'), 'a');
+    });
+
+    it('rejects overwriting a directory with a file and the other way round', async t => {
+        const dirPath = await createTempDir(t);
+        await writeFiles(dirPath, { 'dir/a.txt': 'a', 'file': 'f' });
+
+        await assert.rejects(resolveTargetConflict(null, path.join(dirPath, 'dir'), { onConflict: overwrite }));
+        await assert.rejects(resolveTargetConflict(null, path.join(dirPath, 'file'), { isDirectory: true, onConflict: overwrite }));
+    });
+
+    it('merges into an existing directory unless merging is disabled', async t => {
+        const dirPath = await createTempDir(t);
+        const targetPath = path.join(dirPath, 'dir');
+        await writeFiles(dirPath, { 'dir/a.txt': 'a' });
+
+        assert.equal(await resolveTargetConflict(null, targetPath, { isDirectory: true, onConflict: overwrite }), TARGET_STATUSES.MERGE);
+        assert.equal(await resolveTargetConflict(null, targetPath, {
+            isDirectory: true,
+            isMergeable: false,
+            onConflict: overwrite,
+        }), TARGET_STATUSES.FREE);
+        assert.deepEqual(await readdir(dirPath), []);
+    });
+});
+
+describe('commands writing to existing targets', () => {
+    it('copies a directory into an existing one, overwriting only the same files', async t => {
+        const dirPath = await createTempDir(t);
+        await writeFiles(dirPath, { 'src/dir/a.txt': 'new', 'dest/dir/a.txt': 'old', 'dest/dir/b.txt': 'kept' });
+
+        const summary = await copyDirectoryToDest(path.join(dirPath, 'src/dir'), path.join(dirPath, 'dest'), { onConflict: overwrite });
+
+        assert.deepEqual(summary.failed, []);
+        assert.equal(await readFile(path.join(dirPath, 'dest/dir/a.txt'), 'utf8'), 'new');
+        assert.equal(await readFile(path.join(dirPath, 'dest/dir/b.txt'), 'utf8'), 'kept');
+    });
+
+    it('replaces a non-empty directory when moving over it', async t => {
+        const dirPath = await createTempDir(t);
+        await writeFiles(dirPath, { 'src/dir/new.txt': 'new', 'dest/dir/old.txt': 'old' });
+
+        const summary = await moveEntryToDest(path.join(dirPath, 'src/dir'), path.join(dirPath, 'dest'), { onConflict: overwrite });
+
+        assert.deepEqual(summary.failed, []);
+        assert.deepEqual(await readdir(path.join(dirPath, 'dest/dir')), ['new.txt']);
+        assert.deepEqual(await readdir(path.join(dirPath, 'src')), []);
+    });
+
+    it('replaces a directory when renaming another directory onto it', async t => {
+        const dirPath = await createTempDir(t);
+        await writeFiles(dirPath, { 'first/a.txt': 'a', 'second/b.txt': 'b' });
+
+        const renamedPath = await renameFile(path.join(dirPath, 'first'), path.join(dirPath, 'second'), { onConflict: overwrite });
+
+        assert.equal(renamedPath, path.join(dirPath, 'second'));
+        assert.deepEqual(await readdir(path.join(dirPath, 'second')), ['a.txt']);
+    });
+
+    it('skips a moved entry with an existing target when asked to', async t => {
+        const dirPath = await createTempDir(t);
+        await writeFiles(dirPath, { 'a.txt': 'new', 'dest/a.txt': 'old' });
+
+        const summary = await moveEntryToDest(path.join(dirPath, 'a.txt'), path.join(dirPath, 'dest'), {
+            onConflict: () => CONFLICT_ACTIONS.SKIP,
+        });
+
+        assert.deepEqual(summary.skipped, [path.join(dirPath, 'a.txt')]);
+        assert.equal(await readFile(path.join(dirPath, 'dest/a.txt'), 'utf8'), 'old');
+    });
+});
@@ -0,0 +1,146 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { readdir, readFile, readlink, symlink, writeFile } from 'node:fs/promises';
+import path from 'node:path';
+
+import { encodeTarHeader, detectArchiveCompression, getTarPadding, TAR_BLOCK_SIZE, TAR_ENTRY_TYPES } from '../../src/services/tarFormat.js';
+import { createTarArchive } from '../../src/services/createTarArchive.js';
+import { extractTarArchive } from '../../src/services/extractTarArchive.js';
+import { listTarArchive } from '../../src/services/listTarArchive.js';
+import { createTempDir, writeFiles } from '../helpers.js';
+
+const GNU_MAGIC = 'ustar  \0';
+const MAGIC_OFFSET = 257;
+const CHECKSUM_OFFSET = 148;
+const CHECKSUM_LENGTH = 8;
+
+/**
+ * Builds a plain archive from `{ name, type, content, linkName }` entries, as another tar could write it.
+ */
+function buildArchive(entries, { isGnu = false } = {}) {
+    const blocks = entries.flatMap(({ name, type = TAR_ENTRY_TYPES.FILE, content = '', linkName }) => {
+        const data = Buffer.from(content);
+        const header = encodeTarHeader({ name, mode: 0o644, uid: 0, gid: 0, size: data.length, mtime: new Date(), type, linkName });
+
+        return [isGnu ? toGnuHeader(header) : header, data, Buffer.alloc(getTarPadding(data.length))];
+    });
+
+    return Buffer.concat([...blocks, Buffer.alloc(TAR_BLOCK_SIZE * 2)]);
+}
+
+function toGnuHeader(header) {
+    header.write(GNU_MAGIC, MAGIC_OFFSET, 'latin1');
+    header.fill(' ', CHECKSUM_OFFSET, CHECKSUM_OFFSET + CHECKSUM_LENGTH);
+
+    const checksum = header.reduce((sum, byte) => sum + byte, 0);
+    header.write(`${checksum.toString(8).padStart(6, '0')}\0 `, CHECKSUM_OFFSET, 'latin1');
+
+    return header;
+}
+
+describe('createTarArchive and extractTarArchive', () => {
+    for (const format of [null, 'gzip']) {
+        it(`restore files, directories and links of a ${format ?? 'plain'} archive`, async t => {
+            const dirPath = await createTempDir(t);
+            const archivePath = path.join(dirPath, format ? 'backup.tar.gz' : 'backup.tar');
+            await writeFiles(dirPath, { 'project/readme.md': '# Project', 'project/src/index.js': 'export {};', 'project/empty.txt': '' });
+            await symlink('readme.md', path.join(dirPath, 'project/link.md'));
+
+            const { failed } = await createTarArchive([path.join(dirPath, 'project')], archivePath, { format });
+            assert.deepEqual(failed, []);
+
+            const extractPath = path.join(dirPath, 'extracted');
+            const summary = await extractTarArchive(archivePath, extractPath);
+
+            assert.deepEqual(summary.failed, []);
+            assert.equal(await readFile(path.join(extractPath, 'project/readme.md'), 'utf8'), '# Project');
+            assert.equal(await readFile(path.join(extractPath, 'project/src/index.js'), 'utf8'), 'export {};');
+            assert.equal(await readFile(path.join(extractPath, 'project/empty.txt'), 'utf8'), '');
+            assert.equal(await readlink(path.join(extractPath, 'project/link.md')), 'readme.md');
+        });
+    }
+});
+
+describe('extractTarArchive', () => {
+    it('rejects entries leaving the destination', async t => {
+        const dirPath = await createTempDir(t);
+        const archivePath = path.join(dirPath, 'evil.tar');
+        const extractPath = path.join(dirPath, 'extracted');
+        await writeFile(archivePath, buildArchive([
+            { name: '../outside.txt', content: 'escaped' },
+            { name: '/tmp/absolute.txt', content: 'escaped' },
+            { name: 'dir/../../outside.txt', content: 'escaped' },
+            { name: 'safe.txt', content: 'safe' },
+        ]));
+
+        const summary = await extractTarArchive(archivePath, extractPath);
+
+        assert.deepEqual(summary.succeeded, ['safe.txt']);
+        assert.deepEqual(summary.failed.map(({ path: entryPath }) => entryPath), [
+            '../outside.txt',
+            '/tmp/absolute.txt',
+            'dir/../../outside.txt',
+        ]);
+        assert.deepEqual((await readdir(dirPath)).sort(), ['evil.tar', 'extracted']);
+    });
+
+    it('rejects links pointing outside and entries written through links', async t => {
+        const dirPath = await createTempDir(t);
+        const archivePath = path.join(dirPath, 'evil.tar');
+        const extractPath = path.join(dirPath, 'extracted');
+        await writeFile(archivePath, buildArchive([
+            { name: 'escape', type: TAR_ENTRY_TYPES.SYMLINK, linkName: '..' },
+            { name: 'inner', type: TAR_ENTRY_TYPES.DIRECTORY },
+            { name: 'alias', type: TAR_ENTRY_TYPES.SYMLINK, linkName: 'inner' },
+            { name: 'alias/file.txt', content: 'redirected' },
+        ]));
+
+        const summary = await extractTarArchive(archivePath, extractPath);
+
+        assert.deepEqual(summary.succeeded, ['inner', 'alias']);
+        assert.deepEqual(summary.failed.map(({ path: entryPath }) => entryPath), ['escape', 'alias/file.txt']);
+        assert.deepEqual(await readdir(path.join(extractPath, 'inner')), []);
+    });
+
+    it('follows the links extracted so far when checking link targets', async t => {
+        const dirPath = await createTempDir(t);
+        const archivePath = path.join(dirPath, 'evil.tar');
+        const extractPath = path.join(dirPath, 'extracted');
+        await writeFile(archivePath, buildArchive([
+            { name: 'd', type: TAR_ENTRY_TYPES.DIRECTORY },
+            { name: 'd/up', type: TAR_ENTRY_TYPES.SYMLINK, linkName: '..' },
+            { name: 'x', type: TAR_ENTRY_TYPES.SYMLINK, linkName: 'd/up/..' },
+            { name: 'root', type: TAR_ENTRY_TYPES.SYMLINK, linkName: 'd/up' },
+            { name: 'shared', type: TAR_ENTRY_TYPES.SYMLINK, linkName: '../../outside' },
+            { name: 'd/sibling', type: TAR_ENTRY_TYPES.SYMLINK, linkName: '../root/d' },
+        ]));
+
+        const summary = await extractTarArchive(archivePath, extractPath);
+
+        assert.deepEqual(summary.succeeded, ['d', 'd/up', 'root', 'd/sibling']);
+        assert.deepEqual(summary.failed.map(({ path: entryPath }) => entryPath), ['x', 'shared']);
+    });
+});
+
+describe('detectArchiveCompression', () => {
+    it('recognizes plain ustar and GNU archives by their magic', async t => {
+        const dirPath = await createTempDir(t);
+        const entries = [{ name: 'a.txt', content: 'a' }];
+        await writeFile(path.join(dirPath, 'ustar.tar.gz'), buildArchive(entries));
+        await writeFile(path.join(dirPath, 'gnu.tar'), buildArchive(entries, { isGnu: true }));
+
+        assert.equal(await detectArchiveCompression(path.join(dirPath, 'ustar.tar.gz')), null);
+        assert.equal(await detectArchiveCompression(path.join(dirPath, 'gnu.tar')), null);
+        assert.deepEqual((await listTarArchive(path.join(dirPath, 'gnu.tar'))).map(({ Name }) => Name), ['a.txt']);
+    });
+
+    it('detects the compression of compressed archives', async t => {
+        const dirPath = await createTempDir(t);
+        await writeFiles(dirPath, { 'a.txt': 'a' });
+
+        for (const [format, name] of [['gzip', 'backup.tgz'], ['br', 'backup.tbr'], ['deflate', 'backup.tar.zz']]) {
+            await createTarArchive([path.join(dirPath, 'a.txt')], path.join(dirPath, name), { format });
+            assert.equal(await detectArchiveCompression(path.join(dirPath, name)), format);
+        }
+    });
+});
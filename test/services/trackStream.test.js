@@ -0,0 +1,55 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { readdir } from 'node:fs/promises';
+import path from 'node:path';
+
+import { calculateHash } from '../../src/services/calculateHash.js';
+import { copyFileToDest } from '../../src/services/copyFileToDest.js';
+import { compressFile } from '../../src/services/compressFile.js';
+import { createTempDir, writeFiles } from '../helpers.js';
+
+const FILE_SIZE = 1024 * 1024;
+
+async function createLargeFile(testContext) {
+    const dirPath = await createTempDir(testContext);
+    await writeFiles(dirPath, { 'large.bin': Buffer.alloc(FILE_SIZE, 1), 'dest/.keep': '' });
+
+    return { dirPath, filePath: path.join(dirPath, 'large.bin') };
+}
+
+describe('progress reporting', () => {
+    it('reports the processed bytes up to the file size', async t => {
+        const { filePath } = await createLargeFile(t);
+        const reports = [];
+
+        await calculateHash(filePath, { onProgress: report => reports.push(report) });
+
+        assert.ok(reports.length > 1);
+        assert.deepEqual(reports.at(-1), { filePath, processedBytes: FILE_SIZE, totalBytes: FILE_SIZE });
+        assert.ok(reports.every(({ processedBytes }, index) => !index || processedBytes > reports[index - 1].processedBytes));
+    });
+});
+
+describe('cancellation', () => {
+    it('rejects operations started with an aborted signal', async t => {
+        const { filePath } = await createLargeFile(t);
+
+        await assert.rejects(calculateHash(filePath, { signal: AbortSignal.abort() }), { name: 'AbortError' });
+    });
+
+    for (const [name, runOperation] of [
+        ['copyFileToDest', copyFileToDest],
+        ['compressFile', (filePath, targetDir, options) => compressFile(filePath, targetDir, { format: 'gzip', ...options })],
+    ]) {
+        it(`stops ${name} midway and removes the partial output`, async t => {
+            const { dirPath, filePath } = await createLargeFile(t);
+            const controller = new AbortController();
+            const onProgress = ({ processedBytes }) => processedBytes < FILE_SIZE && controller.abort();
+
+            await assert.rejects(runOperation(filePath, path.join(dirPath, 'dest'), { signal: controller.signal, onProgress }), {
+                name: 'AbortError',
+            });
+            assert.deepEqual(await readdir(path.join(dirPath, 'dest')), ['.keep']);
+        });
+    }
+});
@@ -0,0 +1,19 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { getEditDistance } from '../../src/utils/getEditDistance.js';
+
+describe('getEditDistance', () => {
+    it('counts insertions, deletions and substitutions', () => {
+        assert.equal(getEditDistance('ls', 'ls'), 0);
+        assert.equal(getEditDistance('cpp', 'cp'), 1);
+        assert.equal(getEditDistance('mk', 'mkdir'), 3);
+        assert.equal(getEditDistance('cat', 'cut'), 1);
+        assert.equal(getEditDistance('', 'rm'), 2);
+    });
+
+    it('counts a transposition of adjacent characters as one edit', () => {
+        assert.equal(getEditDistance('grpe', 'grep'), 1);
+        assert.equal(getEditDistance('ca', 'ac'), 1);
+    });
+});
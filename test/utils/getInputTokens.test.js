@@ -0,0 +1,80 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import os from 'node:os';
+
+import { getInputTokens, getQuotedInputTokens, quoteInputToken } from '../../src/utils/index.js';
+
+describe('getInputTokens', () => {
+    it('splits input by whitespace', () => {
+        assert.deepEqual(getInputTokens('  cp   a.txt\tb.txt  '), ['cp', 'a.txt', 'b.txt']);
+    });
+
+    it('keeps quoted whitespace inside a token', () => {
+        assert.deepEqual(getInputTokens('cd "My Documents"'), ['cd', 'My Documents']);
+        assert.deepEqual(getInputTokens('cd \'My Documents\''), ['cd', 'My Documents']);
+    });
+
+    it('joins quoted and unquoted parts of one token', () => {
+        assert.deepEqual(getInputTokens('cat report" "2024.txt'), ['cat', 'report 2024.txt']);
+    });
+
+    it('keeps empty quoted tokens', () => {
+        assert.deepEqual(getInputTokens('add ""'), ['add', '']);
+    });
+
+    it('unescapes quotes and backslashes inside double quotes only', () => {
+        assert.deepEqual(getInputTokens('echo "say \\"hi\\"" \'a\\b\''), ['echo', 'say "hi"', 'a\\b']);
+    });
+
+    it('unescapes whitespace, quotes and backslashes outside of quotes', () => {
+        assert.deepEqual(getInputTokens('cat My\\ File \\"x\\" a\\\\b'), ['cat', 'My File', '"x"', 'a\\b']);
+    });
+
+    it('keeps backslashes before ordinary characters', () => {
+        assert.deepEqual(getInputTokens('cd C:\\Users\\me'), ['cd', 'C:\\Users\\me']);
+    });
+
+    it('expands a leading ~ to the home directory', () => {
+        assert.deepEqual(getInputTokens('cd ~ ~/docs a~b'), ['cd', os.homedir(), `${os.homedir()}/docs`, 'a~b']);
+    });
+
+    it('keeps quoted and escaped ~', () => {
+        assert.deepEqual(getInputTokens('cd "~" \\~'), ['cd', '~', '~']);
+    });
+
+    it('rejects unbalanced quotes', () => {
+        assert.throws(() => getInputTokens('cd "My Documents'));
+        assert.throws(() => getInputTokens('cd \'My Documents'));
+    });
+
+    it('rejects an unfinished escape', () => {
+        assert.throws(() => getInputTokens('cd docs\\'));
+    });
+});
+
+describe('getQuotedInputTokens', () => {
+    it('marks fully and partly quoted tokens', () => {
+        assert.deepEqual(getQuotedInputTokens('rm "*.log" *.tmp src/"*"'), [
+            { token: 'rm', isQuoted: false },
+            { token: '*.log', isQuoted: true },
+            { token: '*.tmp', isQuoted: false },
+            { token: 'src/*', isQuoted: true },
+        ]);
+    });
+});
+
+describe('quoteInputToken', () => {
+    it('keeps plain tokens as they are', () => {
+        assert.equal(quoteInputToken('src/*.js'), 'src/*.js');
+    });
+
+    it('quotes tokens that would be read back differently', () => {
+        const tokens = ['My Docs', 'say "hi"', 'C:\\Users', '', '~', 'a>b', 'it\'s'];
+
+        assert.deepEqual(getInputTokens(tokens.map(token => quoteInputToken(token)).join(' ')), tokens);
+    });
+
+    it('quotes tokens that were quoted in the input', () => {
+        assert.equal(quoteInputToken('*.log', true), '"*.log"');
+    });
+});
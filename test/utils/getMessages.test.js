@@ -0,0 +1,50 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { getMessages, resolveLocale } from '../../src/utils/getMessages.js';
+import * as locales from '../../src/locales/index.js';
+
+describe('resolveLocale', () => {
+    it('picks the supported locale of a language tag', () => {
+        assert.equal(resolveLocale('ru'), 'ru');
+        assert.equal(resolveLocale('ru-RU'), 'ru');
+        assert.equal(resolveLocale('ru_RU.UTF-8'), 'ru');
+        assert.equal(resolveLocale('EN_us'), 'en');
+        assert.equal(resolveLocale('de_DE.UTF-8'), null);
+        assert.equal(resolveLocale(undefined), null);
+    });
+});
+
+describe('getMessages', () => {
+    it('takes the locale of a language tag, falling back to English', () => {
+        assert.equal(getMessages('ru_RU.UTF-8').getUnknownCommand('x'), "Неизвестная команда 'x'");
+        assert.equal(getMessages('de').getUnknownCommand('x'), "Unknown command 'x'");
+        assert.equal(getMessages().getUnknownCommand('x'), "Unknown command 'x'");
+    });
+
+    it('chooses plural forms by the count', () => {
+        const en = getMessages('en');
+        const ru = getMessages('ru');
+
+        assert.equal(en.getPartiallyFailed(1), '1 entry could not be processed');
+        assert.equal(en.getPartiallyFailed(3), '3 entries could not be processed');
+        assert.equal(ru.getPartiallyFailed(21), 'Не удалось обработать 21 элемент');
+        assert.equal(ru.getPartiallyFailed(3), 'Не удалось обработать 3 элемента');
+        assert.equal(ru.getPartiallyFailed(11), 'Не удалось обработать 11 элементов');
+    });
+
+    it('describes commands in the locale language', () => {
+        assert.equal(getMessages('ru').getCommandDescription('ls'), 'Показать содержимое текущей или указанной директории');
+        assert.equal(getMessages('en').getCommandDescription('missing'), '');
+    });
+
+    it('has every message translated in every locale', () => {
+        const { en, ...translations } = locales;
+        const getKeys = bundle => Object.keys(bundle).filter(key => key !== 'commands').sort();
+
+        for (const [locale, messages] of Object.entries(translations)) {
+            assert.deepEqual(getKeys(messages), getKeys(en), locale);
+            assert.deepEqual(Object.keys(messages.commands).sort(), Object.keys(en.commands).sort(), locale);
+        }
+    });
+});
@@ -0,0 +1,19 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { getRedirection } from '../../src/utils/getRedirection.js';
+
+describe('getRedirection', () => {
+    it('splits off the target of > and >>', () => {
+        assert.deepEqual(getRedirection('ls -l > list.txt'), { commandLine: 'ls -l ', target: ' list.txt', isAppend: false });
+        assert.deepEqual(getRedirection('echo hi>>"my notes.txt"'), { commandLine: 'echo hi', target: '"my notes.txt"', isAppend: true });
+    });
+
+    it('leaves quoted and escaped > characters to the command', () => {
+        for (const input of ['echo "a > b"', 'echo \'a >> b\'', 'echo a \\> b']) {
+            assert.deepEqual(getRedirection(input), { commandLine: input, target: null, isAppend: false });
+        }
+
+        assert.equal(getRedirection('echo "a > b" > c.txt').target, ' c.txt');
+    });
+});
@@ -0,0 +1,16 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { getScriptCommands } from '../../src/utils/index.js';
+
+describe('getScriptCommands', () => {
+    it('splits commands by semicolons and line breaks, skipping comments and empty lines', () => {
+        const script = '# backup\ncd src; ls\n\n  # done\nup\r\n';
+
+        assert.deepEqual(getScriptCommands(script), ['cd src', 'ls', 'up']);
+    });
+
+    it('keeps quoted and escaped separators inside commands', () => {
+        assert.deepEqual(getScriptCommands('add "a;b.txt"; add \'c\nd\'; add e\\;f'), ['add "a;b.txt"', 'add \'c\nd\'', 'add e\\;f']);
+    });
+});